@@ -1,79 +1,375 @@
 import browser from 'webextension-polyfill';
+import { buildZipArchive, bundleAssets, renamedAssetPath, rewriteImageReferences } from './lib/assetBundle';
+import { renderFilename, slugify } from './lib/filenameTemplate';
+import { buildMarkdownDocument } from './lib/markdownDocument';
+import { findProfile, resolveProfileSettings } from './lib/profiles';
+import { ASSET_MODES, loadSettings, SETTINGS_DEFAULTS, TOOLBAR_ACTIONS } from './lib/settings';
 
-class MarkdownDownloader {
+const LINKED_PAGE_TIMEOUT_MS = 60_000;
+const PREVIEW_POPUP_PATH = 'dist/popup.html';
+const TOOLBAR_ACTION_MIRROR_KEY = 'pagetomd.toolbarAction';
+
+const CONTEXT_MENU_ENTRIES = [
+    { id: 'save-page', title: 'Save page as Markdown', contexts: ['page'] },
+    { id: 'save-selection', title: 'Save selection as Markdown', contexts: ['selection'] },
+    { id: 'save-link', title: 'Save linked page as Markdown', contexts: ['link'] },
+    { id: 'copy-image', title: 'Copy image as Markdown', contexts: ['image'] }
+];
+
+export class MarkdownDownloader {
     constructor() {
+        this.linkedPageTabs = new Set();
         this.setupEventListeners();
     }
 
-    setupEventListeners() {
+    getBrowserActionApi() {
         const nativeBrowser = globalThis.browser;
-        const onClicked =
-            nativeBrowser?.browserAction?.onClicked ??
-            nativeBrowser?.action?.onClicked ??
-            browser.action?.onClicked ??
-            browser.browserAction?.onClicked;
-        if (onClicked) {
-            onClicked.addListener(this.handleIconClick.bind(this));
-        }
+        return nativeBrowser?.browserAction ?? nativeBrowser?.action ?? browser.action ?? browser.browserAction ?? null;
+    }
+
+    // openPopup() only works inside the click handler, before anything is
+    // awaited, so the setting cannot be read from storage.local on click. It
+    // is mirrored into the event page's localStorage instead, which survives
+    // the page being unloaded and reads synchronously.
+    async syncToolbarAction() {
+        const { toolbarAction } = await loadSettings(browser.storage.local, ['toolbarAction']);
+        const action = TOOLBAR_ACTIONS.includes(toolbarAction) ? toolbarAction : SETTINGS_DEFAULTS.toolbarAction;
+        globalThis.localStorage?.setItem(TOOLBAR_ACTION_MIRROR_KEY, action);
+        // A popup left attached would keep onClicked, and so Shift+click, from firing.
+        await this.getBrowserActionApi()?.setPopup?.({ popup: '' });
+    }
+
+    readToolbarAction() {
+        const action = globalThis.localStorage?.getItem(TOOLBAR_ACTION_MIRROR_KEY);
+        return TOOLBAR_ACTIONS.includes(action) ? action : SETTINGS_DEFAULTS.toolbarAction;
+    }
+
+    setupEventListeners() {
+        this.getBrowserActionApi()?.onClicked.addListener(this.handleIconClick.bind(this));
+
+        // Registered synchronously so a menu click that wakes the event page
+        // is not dispatched before anyone listens; the entries themselves
+        // outlive the page and are only (re)created on install and startup.
+        this.getMenusApi()?.onClicked.addListener(this.handleMenuClick.bind(this));
+        browser.runtime.onInstalled.addListener(() => void this.setupBrowserUi());
+        browser.runtime.onStartup?.addListener(() => void this.setupBrowserUi());
 
+        browser.commands?.onCommand.addListener(this.handleCommand.bind(this));
         browser.runtime.onMessage.addListener(this.handleMessage.bind(this));
+        browser.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.toolbarAction) void this.syncToolbarAction();
+        });
+    }
+
+    async setupBrowserUi() {
+        await Promise.all([this.createContextMenus(), this.syncToolbarAction()]);
+    }
+
+    getMenusApi() {
+        return browser.menus ?? browser.contextMenus ?? null;
+    }
+
+    async createContextMenus() {
+        const menus = this.getMenusApi();
+        if (!menus) return;
+
+        await menus.removeAll();
+        for (const entry of CONTEXT_MENU_ENTRIES) {
+            menus.create({ id: entry.id, title: entry.title, contexts: entry.contexts });
+            menus.create({
+                id: `${entry.id}-llm`,
+                title: `${entry.title} without links (LLM mode)`,
+                contexts: entry.contexts
+            });
+        }
+    }
+
+    async handleMenuClick(info, tab) {
+        const menuItemId = String(info?.menuItemId ?? '');
+        const llmMode = menuItemId.endsWith('-llm');
+        const entryId = menuItemId.replace(/-llm$/, '');
+
+        const { profiles, defaultProfile, shiftProfile } = await this.getProfileSettings();
+        const llmProfile =
+            profiles.find((profile) => profile.id === 'llm') ??
+            profiles.find((profile) => profile.stripLinks) ??
+            shiftProfile;
+        const profile = llmMode ? llmProfile : defaultProfile;
+
+        switch (entryId) {
+            case 'save-page':
+                await this.triggerConversion(tab.id, { scope: 'page', profile });
+                break;
+            case 'save-selection':
+                await this.triggerConversion(tab.id, { scope: 'selection', profile });
+                break;
+            case 'save-link':
+                await this.convertLinkedPage(info.linkUrl, profile);
+                break;
+            case 'copy-image':
+                await browser.tabs
+                    .sendMessage(tab.id, {
+                        action: 'copy_image_markdown',
+                        srcUrl: info.srcUrl,
+                        targetElementId: info.targetElementId,
+                        stripImages: profile.stripImages
+                    })
+                    .catch((err) => {
+                        console.error('Could not send message to content script. Try reloading the page.', err);
+                    });
+                break;
+            default:
+                break;
+        }
     }
 
-    async getDefaultStripLinks() {
+    async convertLinkedPage(url, profile) {
+        if (!url) return;
+
+        const tab = await browser.tabs.create({ url, active: false });
+        this.linkedPageTabs.add(tab.id);
+        const closeTimer = setTimeout(() => void this.closeLinkedPageTab(tab.id), LINKED_PAGE_TIMEOUT_MS);
+
         try {
-            const result = await browser.storage.local.get('defaultStripLinks');
-            return result.defaultStripLinks ?? false;
-        } catch {
-            return false;
+            await this.waitForTabComplete(tab.id);
+            await this.sendWithRetry(tab.id, {
+                action: 'trigger_conversion',
+                options: this.buildConversionOptions('page', profile)
+            });
+        } catch (error) {
+            console.error('Could not convert linked page:', error);
+            clearTimeout(closeTimer);
+            await this.closeLinkedPageTab(tab.id);
+        }
+    }
+
+    waitForTabComplete(tabId) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                browser.tabs.onUpdated.removeListener(onUpdated);
+                reject(new Error('Timed out waiting for the linked page to load'));
+            }, LINKED_PAGE_TIMEOUT_MS);
+
+            const onUpdated = (updatedTabId, changeInfo) => {
+                if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+                clearTimeout(timer);
+                browser.tabs.onUpdated.removeListener(onUpdated);
+                resolve();
+            };
+
+            browser.tabs.onUpdated.addListener(onUpdated);
+        });
+    }
+
+    async sendWithRetry(tabId, message, attempts = 5) {
+        for (let attempt = 1; ; attempt += 1) {
+            try {
+                return await browser.tabs.sendMessage(tabId, message);
+            } catch (error) {
+                // The content script may not be injected yet right after "complete".
+                if (attempt >= attempts) throw error;
+                await new Promise((resolve) => setTimeout(resolve, 500));
+            }
         }
     }
 
+    async closeLinkedPageTab(tabId) {
+        if (!this.linkedPageTabs.delete(tabId)) return;
+        await browser.tabs.remove(tabId).catch(() => {});
+    }
+
+    async getProfileSettings() {
+        const stored = await loadSettings(browser.storage.local, [
+            'profiles',
+            'defaultProfile',
+            'shiftProfile',
+            'defaultStripLinks'
+        ]);
+        return resolveProfileSettings(stored);
+    }
+
     async handleIconClick(tab, onClickData) {
         const modifiers = onClickData?.modifiers ?? [];
         const shiftHeld = Array.isArray(modifiers) && modifiers.includes('Shift');
-        const defaultStripLinks = await this.getDefaultStripLinks();
-        const stripLinks = shiftHeld ? !defaultStripLinks : defaultStripLinks;
+        if (!shiftHeld && this.readToolbarAction() === 'preview') {
+            this.openPreviewPopup();
+            return;
+        }
+
+        const { defaultProfile, shiftProfile } = await this.getProfileSettings();
+        const profile = shiftHeld ? shiftProfile : defaultProfile;
+
+        await this.triggerConversion(tab.id, { scope: 'auto', profile });
+    }
+
+    openPreviewPopup() {
+        const browserAction = this.getBrowserActionApi();
+        if (!browserAction?.openPopup) return;
+
+        // The popup is only attached for this click; leaving it set would stop
+        // onClicked from firing and break the Shift+click quick save. setPopup()
+        // is not awaited because that would end the click's user gesture and
+        // openPopup() would be refused; calls reach the browser in order, so
+        // the popup is attached by the time it opens.
+        void browserAction.setPopup({ popup: browser.runtime.getURL(PREVIEW_POPUP_PATH) });
+        browserAction
+            .openPopup()
+            .catch((err) => console.warn('[PageToMD] Could not open the preview popup', err))
+            .finally(() => browserAction.setPopup({ popup: '' }));
+    }
+
+    async handleCommand(command) {
+        if (command !== 'save-selection') return;
+
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id) return;
+
+        const { defaultProfile } = await this.getProfileSettings();
+        await this.triggerConversion(tab.id, { scope: 'selection', profile: defaultProfile });
+    }
+
+    buildConversionOptions(scope, profile) {
+        return {
+            scope,
+            profileId: profile.id,
+            stripLinks: profile.stripLinks,
+            stripImages: profile.stripImages,
+            inlineImages: profile.inlineImages,
+            calloutStyle: profile.calloutStyle
+        };
+    }
 
+    async triggerConversion(tabId, { scope, profile }) {
         await browser.tabs
-            .sendMessage(tab.id, {
+            .sendMessage(tabId, {
                 action: 'trigger_conversion',
-                options: {
-                    stripLinks,
-                    stripImages: stripLinks
-                }
+                options: this.buildConversionOptions(scope, profile)
             })
             .catch((err) => {
                 console.error('Could not send message to content script. Try reloading the page.', err);
             });
     }
 
-    handleMessage(message) {
+    handleMessage(message, sender) {
+        if (message?.type === 'SAVE_EDITED_MARKDOWN') {
+            return this.saveEditedMarkdown(message.data)
+                .then(() => ({ success: true }))
+                .catch((error) => {
+                    console.error('Save failed:', error);
+                    return { success: false, error: error?.message ?? String(error) };
+                });
+        }
         if (message?.type !== 'DOWNLOAD_MARKDOWN') return;
 
-        return this.downloadMarkdown(message.data)
+        const senderTabId = sender?.tab?.id;
+        return this.saveMarkdown(message.data, senderTabId)
             .then(() => ({ success: true }))
             .catch((error) => {
-                console.error('Download failed:', error);
+                console.error('Save failed:', error);
                 return { success: false, error: error?.message ?? String(error) };
+            })
+            .finally(() => {
+                if (this.linkedPageTabs.has(senderTabId)) {
+                    void this.closeLinkedPageTab(senderTabId);
+                }
             });
     }
 
-    async downloadMarkdown({ markdown, metadata, options }) {
-        const filename = this.generateFilename(metadata);
-        const frontmatter = this.generateFrontmatter(metadata, options);
-        const title = metadata?.title ? String(metadata.title).trim() : '';
-        const markdownStart = (markdown ?? '').replace(/^\s+/, '');
-        const startsWithHeading = /^#{1,6}\s+\S/.test(markdownStart);
-        const titleBlock = title && !startsWithHeading ? `# ${title}\n\n` : '';
-        const content = frontmatter + titleBlock + (markdown ?? '');
+    async saveMarkdown(data, tabId, { outputTarget: targetOverride } = {}) {
+        const settings = await loadSettings(browser.storage.local, ['outputTarget', 'filenameTemplate', 'assetMode']);
+        const outputTarget = targetOverride ?? settings.outputTarget;
+        const { profiles } = await this.getProfileSettings();
+        const profile = findProfile(profiles, data.options?.profileId);
 
-        try {
-            const blob = new Blob([content], {
-                type: 'text/markdown;charset=utf-8'
+        if (outputTarget === 'clipboard' || outputTarget === 'both') {
+            const copied = await this.copyInTab(tabId, buildMarkdownDocument(data, profile));
+            // Never lose a capture: a tab that cannot take focus (e.g. a linked
+            // page converted in the background) gets a download instead.
+            if (!copied && outputTarget === 'clipboard') {
+                console.warn('[PageToMD] Clipboard write failed, downloading instead');
+                await this.downloadDocument(data, profile, settings);
+            }
+        }
+
+        if (outputTarget !== 'clipboard') {
+            await this.downloadDocument(data, profile, settings);
+        }
+    }
+
+    // The preview popup's Save button always downloads, whatever the output target.
+    async saveEditedMarkdown(data) {
+        await this.saveMarkdown(data, null, { outputTarget: 'download' });
+    }
+
+    async downloadDocument(data, profile, { filenameTemplate, assetMode }) {
+        if (data.fileType) {
+            const filename = this.generateFilename(data.metadata, filenameTemplate, data.fileType.extension);
+            await this.downloadBlob(filename, new Blob([data.markdown ?? ''], { type: data.fileType.mimeType }));
+            return;
+        }
+
+        const filename = this.generateFilename(data.metadata, filenameTemplate);
+        if (!ASSET_MODES.includes(assetMode) || assetMode === 'off' || profile.stripImages) {
+            await this.downloadMarkdown(filename, buildMarkdownDocument(data, profile));
+            return;
+        }
+
+        const bundle = await bundleAssets(data.markdown, {
+            baseUrl: data.metadata?.url,
+            prefix: slugify(data.metadata?.title) || 'image'
+        });
+        const metadata = bundle.failed.length
+            ? { ...data.metadata, extra: { ...data.metadata?.extra, assets_failed: bundle.failed } }
+            : data.metadata;
+
+        if (assetMode === 'zip') {
+            const markdownName = filename.slice(filename.lastIndexOf('/') + 1);
+            const content = buildMarkdownDocument({ markdown: bundle.markdown, metadata }, profile);
+            const archive = buildZipArchive(markdownName, content, bundle.assets);
+            await this.downloadBlob(
+                renderFilename(filenameTemplate, data.metadata, { extension: 'zip' }),
+                new Blob([archive], { type: 'application/zip' })
+            );
+            return;
+        }
+
+        // Assets live in `assets/` beside the .md, wherever the template put it.
+        // An existing file is never replaced; links follow any uniquified name.
+        const folder = filename.slice(0, filename.lastIndexOf('/') + 1);
+        const renamed = new Map();
+        for (const asset of bundle.assets) {
+            const downloadId = await this.downloadBlob(folder + asset.path, new Blob([asset.bytes], { type: asset.mime }));
+            const path = renamedAssetPath(asset.path, await this.getDownloadedFilename(downloadId));
+            if (path) renamed.set(asset.path, path);
+        }
+        const markdown = rewriteImageReferences(bundle.markdown, renamed);
+        await this.downloadMarkdown(filename, buildMarkdownDocument({ markdown, metadata }, profile));
+    }
+
+    async copyInTab(tabId, text) {
+        if (tabId == null) return false;
+
+        const response = await browser.tabs
+            .sendMessage(tabId, { action: 'copy_to_clipboard', text })
+            .catch((err) => {
+                console.error('Could not send clipboard text to content script.', err);
+                return null;
             });
+        return !!response?.success;
+    }
+
+    async downloadMarkdown(filename, content) {
+        const blob = new Blob([content], {
+            type: 'text/markdown;charset=utf-8'
+        });
+        await this.downloadBlob(filename, blob);
+    }
+
+    async downloadBlob(filename, blob) {
+        try {
             const url = URL.createObjectURL(blob);
 
-            await browser.downloads.download({
+            const downloadId = await browser.downloads.download({
                 url,
                 filename,
                 saveAs: false,
@@ -81,57 +377,19 @@ class MarkdownDownloader {
             });
 
             setTimeout(() => URL.revokeObjectURL(url), 10_000);
+            return downloadId;
         } catch (error) {
             throw new Error(`Download failed: ${error?.message ?? String(error)}`);
         }
     }
 
-    generateFilename(metadata) {
-        const title = metadata?.title || 'untitled';
-        const domain = metadata?.domain || 'web-clipper';
-
-        const sanitizedTitle = title
-            .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
-            .replace(/\s+/g, ' ')
-            .trim()
-            .substring(0, 100);
-
-        return `${sanitizedTitle} - ${domain}.md`;
+    async getDownloadedFilename(downloadId) {
+        const [item] = await browser.downloads.search({ id: downloadId }).catch(() => []);
+        return item?.filename ?? null;
     }
 
-    generateFrontmatter(metadata, options) {
-        const llmMode = !!options?.stripLinks;
-        const frontmatter = {
-            title: metadata?.title,
-            author: metadata?.author,
-            source: metadata?.source,
-            url: metadata?.url,
-            date_saved: new Date().toISOString()
-        };
-
-        if (metadata?.publishedDate) frontmatter.date_published = metadata.publishedDate;
-
-        if (!llmMode) {
-            frontmatter.word_count = metadata?.wordCount;
-            frontmatter.reading_time = `${metadata?.readingTime} min`;
-            if (metadata?.description) frontmatter.description = metadata.description;
-            if (metadata?.tags && metadata.tags.length > 0) frontmatter.tags = metadata.tags;
-        }
-
-        const yamlContent = Object.entries(frontmatter)
-            .map(([key, value]) => {
-                if (value === undefined || value === null || value === '') return null;
-                if (Array.isArray(value)) {
-                    return `${key}:\n${value.map((v) => `  - "${v}"`).join('\n')}`;
-                }
-
-                const safeValue = String(value).replace(/"/g, '\\"');
-                return `${key}: "${safeValue}"`;
-            })
-            .filter(Boolean)
-            .join('\n');
-
-        return `---\n${yamlContent}\n---\n\n`;
+    generateFilename(metadata, template, extension = 'md') {
+        return renderFilename(template, metadata, { extension });
     }
 }
 
@@ -0,0 +1,79 @@
+import { beforeEach, describe, it, expect, vi } from 'vitest';
+
+const listener = () => ({ addListener: vi.fn() });
+
+const browserAction = {
+    onClicked: listener(),
+    setPopup: vi.fn(async () => {}),
+    openPopup: vi.fn(async () => {})
+};
+
+vi.mock('webextension-polyfill', () => ({
+    default: {
+        browserAction,
+        menus: { onClicked: listener(), removeAll: vi.fn(async () => {}), create: vi.fn() },
+        commands: { onCommand: listener() },
+        runtime: {
+            onInstalled: listener(),
+            onStartup: listener(),
+            onMessage: listener(),
+            getURL: (path) => `moz-extension://id/${path}`
+        },
+        storage: { onChanged: listener(), local: { get: vi.fn(async () => ({})) } },
+        tabs: { sendMessage: vi.fn(async () => ({})) }
+    }
+}));
+
+const { MarkdownDownloader } = await import('./background.js');
+
+function createLocalStorage(values = {}) {
+    const store = new Map(Object.entries(values));
+    return {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value))
+    };
+}
+
+describe('toolbar click', () => {
+    let downloader;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.stubGlobal('localStorage', createLocalStorage());
+        downloader = new MarkdownDownloader();
+        vi.spyOn(downloader, 'triggerConversion').mockResolvedValue();
+    });
+
+    it('opens the preview on a plain click and quick-saves with the Shift+click profile', async () => {
+        await downloader.handleIconClick({ id: 7 }, { modifiers: [] });
+        expect(browserAction.openPopup).toHaveBeenCalledTimes(1);
+        expect(downloader.triggerConversion).not.toHaveBeenCalled();
+
+        await downloader.handleIconClick({ id: 7 }, { modifiers: ['Shift'] });
+        expect(browserAction.openPopup).toHaveBeenCalledTimes(1);
+        expect(downloader.triggerConversion).toHaveBeenCalledWith(7, {
+            scope: 'auto',
+            profile: expect.objectContaining({ id: 'llm' })
+        });
+    });
+
+    it('saves with the default profile when the toolbar action is "save"', async () => {
+        localStorage.setItem('pagetomd.toolbarAction', 'save');
+
+        await downloader.handleIconClick({ id: 7 }, { modifiers: [] });
+        expect(browserAction.openPopup).not.toHaveBeenCalled();
+        expect(downloader.triggerConversion).toHaveBeenCalledWith(7, {
+            scope: 'auto',
+            profile: expect.objectContaining({ id: 'obsidian' })
+        });
+    });
+
+    it('mirrors the stored setting and leaves no popup attached', async () => {
+        const { default: browser } = await import('webextension-polyfill');
+        browser.storage.local.get.mockResolvedValueOnce({ toolbarAction: 'save' });
+
+        await downloader.syncToolbarAction();
+        expect(downloader.readToolbarAction()).toBe('save');
+        expect(browserAction.setPopup).toHaveBeenCalledWith({ popup: '' });
+    });
+});
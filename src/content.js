@@ -2,9 +2,23 @@ import browser from 'webextension-polyfill';
 import Defuddle from 'defuddle';
 import TurndownService from 'turndown';
 import { gfm } from 'turndown-plugin-gfm';
-import { extractRedditThread } from './lib/redditExtractor';
+import { convertAdmonitions, formatCallout, isCallout } from './lib/admonitions';
+import { writeClipboardText } from './lib/clipboard';
+import {
+    FOOTNOTE_ATTRIBUTE,
+    FOOTNOTE_REF_ATTRIBUTE,
+    convertFootnotes,
+    formatFootnoteDefinition,
+    formatFootnoteReference
+} from './lib/footnotes';
+import { inlineImageSources } from './lib/inlineImages';
+import { MATH_ATTRIBUTE, formatMath, replaceRenderedMath } from './lib/math';
+import { extractSelection, hasSelection } from './lib/selection';
+import { loadSettings } from './lib/settings';
+import { createSiteExtractorRegistry } from './lib/siteExtractors';
 import { preserveActiveTabs } from './lib/tabState';
-import { tryExtractYouTubeTranscript } from './lib/youtubeTranscript';
+import { formatCopySummary } from './lib/textStats';
+import { showToast } from './lib/toast';
 
 class AdvancedMarkdownConverter {
     constructor() {
@@ -13,8 +27,11 @@ class AdvancedMarkdownConverter {
         this.defuddleResult = null;
         this.defuddleHtml = null;
         this.codeBlocks = [];
-        this.options = { stripLinks: false, stripImages: false };
+        this.options = { profileId: null, stripLinks: false, stripImages: false, inlineImages: false, calloutStyle: 'gfm' };
+        this.inlinedImages = new Map();
         this.metadataOverrides = null;
+        this.mathDelimiters = 'dollars';
+        this.siteExtractors = createSiteExtractorRegistry();
 
         console.log('[PageToMD] content script loaded: mermaid-preprocess-v2');
 
@@ -27,6 +44,15 @@ class AdvancedMarkdownConverter {
             if (message?.action === 'trigger_conversion') {
                 void this.processPage(message?.options);
             }
+            if (message?.action === 'convert_preview') {
+                return this.previewPage(message?.options);
+            }
+            if (message?.action === 'copy_image_markdown') {
+                void this.copyImageMarkdown(message);
+            }
+            if (message?.action === 'copy_to_clipboard') {
+                return this.copyToClipboard(message.text);
+            }
         });
     }
 
@@ -67,6 +93,14 @@ class AdvancedMarkdownConverter {
             }
         });
 
+        this.turndown.addRule('inlineImages', {
+            filter: (node) => node.nodeName === 'IMG' && self.inlinedImages.has(node.getAttribute('src')),
+            replacement: (_content, node) => {
+                const alt = (node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+                return `![${alt}](${self.imageSource(node)})`;
+            }
+        });
+
         this.turndown.addRule('preformattedCode', {
             filter: (node) => {
                 const match = node.nodeName === 'PRE';
@@ -132,6 +166,31 @@ class AdvancedMarkdownConverter {
             }
         });
 
+        this.turndown.addRule('math', {
+            filter: (node) => node.nodeType === 1 && node.hasAttribute(MATH_ATTRIBUTE),
+            replacement: (_content, node) =>
+                formatMath(node.textContent.trim(), node.getAttribute(MATH_ATTRIBUTE) === 'display', self.mathDelimiters)
+        });
+        this.prioritizeRule('math');
+
+        this.turndown.addRule('footnoteReference', {
+            filter: (node) => node.nodeType === 1 && node.hasAttribute(FOOTNOTE_REF_ATTRIBUTE),
+            replacement: (_content, node) => formatFootnoteReference(node.getAttribute(FOOTNOTE_REF_ATTRIBUTE))
+        });
+        this.turndown.addRule('footnoteDefinition', {
+            filter: (node) => node.nodeType === 1 && node.hasAttribute(FOOTNOTE_ATTRIBUTE),
+            replacement: (content, node) => formatFootnoteDefinition(node.getAttribute(FOOTNOTE_ATTRIBUTE), content)
+        });
+        this.prioritizeRule('footnoteReference');
+        this.prioritizeRule('footnoteDefinition');
+
+        this.turndown.addRule('callout', {
+            filter: (node) => isCallout(node),
+            replacement: (content, node) =>
+                formatCallout(node.getAttribute('data-callout'), node.getAttribute('title') ?? '', content, self.options.calloutStyle)
+        });
+        this.prioritizeRule('callout');
+
         this.turndown.addRule('cleanHeadings', {
             filter: (node) => /^H[1-6]$/.test(node.nodeName),
             replacement: (_content, node) => {
@@ -189,7 +248,7 @@ class AdvancedMarkdownConverter {
                 let markdown = '';
                 if (img) {
                     const alt = img.getAttribute('alt') || '';
-                    const src = img.getAttribute('src') || '';
+                    const src = self.imageSource(img);
                     if (self.options.stripImages) {
                         const safeAlt = String(alt).trim().replace(/\s+/g, ' ');
                         if (safeAlt) {
@@ -214,6 +273,7 @@ class AdvancedMarkdownConverter {
 
         this.turndown.remove(['script', 'style', 'noscript', 'iframe', 'object', 'embed', 'footer', 'nav']);
 
+        this.prioritizeRule('inlineImages');
         this.prioritizeRule('stripLinks');
         this.prioritizeRule('stripImages');
     }
@@ -221,6 +281,35 @@ class AdvancedMarkdownConverter {
     async processPage(options) {
         console.log('Starting conversion...');
 
+        try {
+            const result = await this.convertPage(options);
+            if (result.error) {
+                alert(result.error);
+                return;
+            }
+
+            await this.sendToBackground(result.markdown, result.metadata, result.fileType);
+            console.log('Conversion sent to background.');
+        } catch (error) {
+            console.error('Processing failed:', error);
+            alert('Failed to convert page: ' + (error?.message ?? String(error)));
+        }
+    }
+
+    // Used by the toolbar popup: same conversion, but handed back for editing
+    // instead of being saved.
+    async previewPage(options) {
+        try {
+            return await this.convertPage(options, { interactive: false });
+        } catch (error) {
+            console.error('Preview failed:', error);
+            return { error: 'Failed to convert page: ' + (error?.message ?? String(error)) };
+        }
+    }
+
+    // `interactive` is false for the popup preview: an in-page prompt would
+    // take focus from the popup and close it.
+    async convertPage(options, { interactive = true } = {}) {
         try {
             const debugResult = await browser.storage.local.get('debugLogging');
             this.debug = !!debugResult.debugLogging;
@@ -228,57 +317,118 @@ class AdvancedMarkdownConverter {
             this.debug = false;
         }
 
+        const { mathDelimiters } = await loadSettings(browser.storage.local, ['mathDelimiters']);
+        this.mathDelimiters = mathDelimiters;
         this.metadataOverrides = null;
         this.options = {
+            profileId: options?.profileId ?? null,
             stripLinks: !!options?.stripLinks,
-            stripImages: !!options?.stripImages
+            stripImages: !!options?.stripImages,
+            inlineImages: !!options?.inlineImages,
+            calloutStyle: options?.calloutStyle ?? 'gfm'
         };
+        this.inlinedImages = new Map();
+        const scope = options?.scope ?? 'auto';
 
+        if (scope === 'selection' || (scope === 'auto' && hasSelection(document))) {
+            return this.convertSelection();
+        }
+
+        const siteResult = await this.siteExtractors.run(document, {
+            options: this.options,
+            settings: await loadSettings(browser.storage.local),
+            interactive
+        });
+        if (siteResult?.error) {
+            return { error: siteResult.error };
+        }
+        if (siteResult) {
+            this.log(`Using ${siteResult.extractor} site extractor`);
+            this.metadataOverrides = siteResult.metadataOverrides ?? null;
+            this.defuddleResult = null;
+            this.defuddleHtml = null;
+        }
+
+        if (siteResult?.markdown) {
+            return { markdown: siteResult.markdown, metadata: this.extractMetadata(), fileType: siteResult.fileType ?? null };
+        }
+
+        const content = siteResult?.article ?? this.extractMainContent();
+        const metadata = this.extractMetadata();
+        await this.prepareInlineImages(content);
+        let markdown = this.convertToMarkdown(content);
+        if (siteResult?.appendix) {
+            markdown = `${markdown.trimEnd()}\n\n${siteResult.appendix}\n`;
+        }
+
+        return { markdown, metadata };
+    }
+
+    async convertSelection() {
+        const selection = extractSelection(document);
+        if (!selection) {
+            return { error: 'Select some text on the page first.' };
+        }
+
+        this.log('Converting current selection only', { wordCount: selection.wordCount });
+        this.defuddleResult = null;
+        this.defuddleHtml = null;
+        this.metadataOverrides = { selection: true, wordCount: selection.wordCount };
+
+        const metadata = this.extractMetadata();
+        await this.prepareInlineImages(selection.article);
+        const markdown = this.convertToMarkdown(selection.article);
+
+        return { markdown, metadata };
+    }
+
+    async copyImageMarkdown({ srcUrl, targetElementId, stripImages }) {
         try {
-            const yt = await tryExtractYouTubeTranscript();
-            if (yt.found) {
-                await this.sendToBackground(yt.markdown, yt.metadata);
-                console.log('YouTube transcript sent to background.');
+            const img = this.findContextMenuImage(srcUrl, targetElementId);
+            const alt = (img?.getAttribute('alt') || '').trim().replace(/\s+/g, ' ');
+            const markdown = stripImages ? (alt ? `(Image: ${alt})` : '') : `![${alt}](${srcUrl})`;
+            if (!markdown) {
+                alert('This image has no alt text to copy.');
                 return;
             }
-            if (yt.isYouTube) {
-                alert('No transcript available for this YouTube video.');
-                return;
-            }
-
-            const content = this.extractMainContent();
-            const metadata = this.extractMetadata();
-            const markdown = this.convertToMarkdown(content);
 
-            await this.sendToBackground(markdown, metadata);
-            console.log('Conversion sent to background.');
+            await writeClipboardText(markdown);
+            showToast('Copied image as Markdown');
+            this.log('Copied image markdown', { srcUrl, stripImages });
         } catch (error) {
-            console.error('Processing failed:', error);
-            alert('Failed to convert page: ' + (error?.message ?? String(error)));
+            console.error('Copy image failed:', error);
+            alert('Failed to copy image: ' + (error?.message ?? String(error)));
         }
     }
 
-
-    extractMainContent() {
-        const poeConversation = this.extractPoeConversationTranscript();
-        if (poeConversation) {
-            this.log('Using Poe conversation extractor');
-            this.defuddleResult = null;
-            this.defuddleHtml = null;
-            return poeConversation;
+    async copyToClipboard(text) {
+        try {
+            await writeClipboardText(text ?? '');
+            showToast(formatCopySummary(text));
+            return { success: true };
+        } catch (error) {
+            console.error('Clipboard write failed:', error);
+            return { success: false, error: error?.message ?? String(error) };
         }
+    }
 
-        const redditThread = extractRedditThread(document);
-        if (redditThread?.article) {
-            this.log('Using Reddit thread extractor');
-            this.metadataOverrides = redditThread.metadataOverrides ?? null;
-            this.defuddleResult = null;
-            this.defuddleHtml = redditThread.article.outerHTML || '';
-            return redditThread.article;
+    findContextMenuImage(srcUrl, targetElementId) {
+        const menus = globalThis.browser?.menus;
+        if (targetElementId != null && menus?.getTargetElement) {
+            const target = menus.getTargetElement(targetElementId);
+            if (target?.nodeName === 'IMG') return target;
         }
 
+        return (
+            Array.from(document.images).find((img) => img.currentSrc === srcUrl || img.src === srcUrl) ?? null
+        );
+    }
+
+    extractMainContent() {
         const originalBodyClone = document.body.cloneNode(true);
         const tabStateResult = this.preserveInteractiveState(originalBodyClone);
+        // Defuddle drops the classes that identify admonitions.
+        const admonitionCount = convertAdmonitions(originalBodyClone);
         const originalPreCount = originalBodyClone.querySelectorAll('pre').length;
 
         try {
@@ -289,6 +439,7 @@ class AdvancedMarkdownConverter {
             this.defuddleResult = result;
             this.defuddleHtml = result?.content ?? null;
             this.log('Interactive-state preprocessing complete', tabStateResult);
+            this.log('Admonitions converted to callouts', { count: admonitionCount });
 
             if (result?.content) {
                 const parsedDoc = new DOMParser().parseFromString(result.content, 'text/html');
@@ -387,133 +538,28 @@ class AdvancedMarkdownConverter {
         }
     }
 
-    isOnPoeConversationPage() {
-        const host = window.location.hostname || '';
-        if (!/poe\.com$/i.test(host)) return false;
-        return !!document.querySelector('[id^="message-"].ChatMessage_chatMessage__xkgHx');
-    }
-
-    extractPoeConversationTranscript() {
-        try {
-            if (!this.isOnPoeConversationPage()) return null;
-
-            const messageNodes = Array.from(
-                document.querySelectorAll('[id^="message-"].ChatMessage_chatMessage__xkgHx')
-            );
-            if (!messageNodes.length) return null;
-
-            const transcript = document.createElement('article');
-            transcript.setAttribute('data-pagetomd-generated', 'poe-conversation');
-            transcript.classList.add('pagetomd-poe-conversation');
-
-            const title = document.createElement('h1');
-            title.textContent = document.title || 'Poe Conversation';
-            transcript.appendChild(title);
-
-            let addedMessages = 0;
-            for (const node of messageNodes) {
-                const section = this.buildPoeMessageSection(node);
-                if (!section) continue;
-                transcript.appendChild(section);
-                addedMessages += 1;
-            }
-
-            if (addedMessages === 0) return null;
-            return transcript;
-        } catch (error) {
-            console.warn('[PageToMD] Failed to extract Poe conversation', error);
-            return null;
-        }
-    }
-
-    buildPoeMessageSection(messageNode) {
-        const wrapper = messageNode.querySelector('.ChatMessage_messageWrapper__4Ugd6');
-        const isUser =
-            wrapper?.classList?.contains('ChatMessage_rightSideMessageWrapper__r0roB') ?? false;
-        const role = isUser ? 'user' : 'assistant';
-        const speakerName = this.extractPoeSpeakerName(messageNode, role);
-
-        const contentNode =
-            messageNode.querySelector('.Message_messageTextContainer__w64Sc') ??
-            messageNode.querySelector('.Message_selectableText__SQ8WH') ??
-            messageNode.querySelector('.Markdown_markdownContainer__Tz3HQ') ??
-            messageNode.querySelector('.Message_messageBubbleWrapper__sEq8z');
-
-        const attachmentsNode = messageNode.querySelector('.Attachments_attachments__x_H2Q');
-
-        if (!contentNode && !attachmentsNode) {
-            return null;
-        }
-
-        const section = document.createElement('section');
-        section.setAttribute('data-speaker-role', role);
-        if (speakerName) {
-            section.setAttribute('data-speaker', speakerName);
-        }
-
-        const heading = document.createElement('h3');
-        heading.textContent = speakerName || (isUser ? 'You' : 'Assistant');
-        section.appendChild(heading);
-
-        if (contentNode) {
-            const clonedContent = contentNode.cloneNode(true);
-            this.stripPoeUiElements(clonedContent);
-            section.appendChild(clonedContent);
-        }
-
-        if (attachmentsNode) {
-            section.appendChild(attachmentsNode.cloneNode(true));
-        }
-
-        const timestamp = this.extractPoeMessageTimestamp(messageNode);
-        if (timestamp) {
-            const meta = document.createElement('p');
-            meta.textContent = timestamp;
-            meta.setAttribute('data-message-meta', 'timestamp');
-            section.appendChild(meta);
-        }
-
-        return section;
-    }
-
-    extractPoeSpeakerName(messageNode, role) {
-        if (role === 'user') {
-            return 'You';
-        }
-
-        const botHeader = messageNode.querySelector('.BotHeader_title__cURS_');
-        const text = botHeader?.textContent?.trim();
-        if (text) return text;
-
-        const avatarAlt = messageNode.querySelector('.Avatar_root__rwLF0 img')?.getAttribute('alt');
-        if (avatarAlt) return avatarAlt.replace(/^Bot image for\s*/i, '').trim();
-
-        return 'Assistant';
-    }
-
-    extractPoeMessageTimestamp(messageNode) {
-        const metaTexts = Array.from(
-            messageNode.querySelectorAll('.Message_messageMetadataText__FxY5_')
-        )
-            .map((el) => el.textContent?.trim())
-            .filter((text) => text && text !== 'Parameters' && text !== '·');
-
-        if (!metaTexts.length) return '';
-
-        const candidate = metaTexts[metaTexts.length - 1];
-        if (!candidate) return '';
-
-        return candidate;
+    // Turndown is synchronous, so images are fetched up front and the image
+    // and figure rules look them up through imageSource().
+    async prepareInlineImages(contentElement) {
+        this.inlinedImages = new Map();
+        if (!this.options.inlineImages || this.options.stripImages || !contentElement) return;
+
+        const { inlineImageMaxKb, inlineTotalMaxKb } = await loadSettings(browser.storage.local, [
+            'inlineImageMaxKb',
+            'inlineTotalMaxKb'
+        ]);
+        const sources = Array.from(contentElement.querySelectorAll('img'), (img) => img.getAttribute('src'));
+        this.inlinedImages = await inlineImageSources(sources, {
+            baseUrl: document.baseURI,
+            maxImageBytes: inlineImageMaxKb * 1024,
+            maxTotalBytes: inlineTotalMaxKb * 1024
+        });
+        this.log('Inlined images', { inlined: this.inlinedImages.size, found: sources.length });
     }
 
-    stripPoeUiElements(node) {
-        node.querySelectorAll('.MessageOverflowActions_overflowActionsWrapper__uC5oj').forEach((el) =>
-            el.remove()
-        );
-        node.querySelectorAll('.ChatMessageOverflowButton_overflowButtonWrapper__gzb2s').forEach(
-            (el) => el.remove()
-        );
-        node.querySelectorAll('button').forEach((el) => el.remove());
+    imageSource(img) {
+        const src = img.getAttribute('src') || '';
+        return this.inlinedImages.get(src) ?? src;
     }
 
     convertToMarkdown(contentElement) {
@@ -667,6 +713,22 @@ class AdvancedMarkdownConverter {
             rawMermaidUsedCount
         });
 
+        const mathCount = replaceRenderedMath(body);
+        if (mathCount > 0) {
+            this.log('normalizeContentHtml: math recovered as TeX', { count: mathCount });
+        }
+
+        const admonitionCount = convertAdmonitions(body);
+        if (admonitionCount > 0) {
+            this.log('normalizeContentHtml: admonitions converted to callouts', { count: admonitionCount });
+        }
+
+        // Notes a selection leaves out are looked up in the page.
+        const footnoteCount = convertFootnotes(body, { sourceDoc: document });
+        if (footnoteCount > 0) {
+            this.log('normalizeContentHtml: footnotes gathered', { count: footnoteCount });
+        }
+
         const pres = Array.from(body.querySelectorAll('pre'));
         this.log('normalizeContentHtml: found PRE elements in source HTML', { count: pres.length });
 
@@ -960,7 +1022,6 @@ class AdvancedMarkdownConverter {
 
         const text = doc.body.textContent || '';
         metadata.wordCount = def?.wordCount ?? text.trim().split(/\s+/).length;
-        metadata.readingTime = Math.ceil(metadata.wordCount / 200);
 
         if (this.metadataOverrides) {
             for (const [key, value] of Object.entries(this.metadataOverrides)) {
@@ -973,6 +1034,8 @@ class AdvancedMarkdownConverter {
             }
         }
 
+        metadata.readingTime = Math.ceil(metadata.wordCount / 200);
+
         return metadata;
     }
 
@@ -998,10 +1061,10 @@ class AdvancedMarkdownConverter {
         return Array.from(tags).slice(0, 10);
     }
 
-    sendToBackground(markdown, metadata) {
+    sendToBackground(markdown, metadata, fileType = null) {
         return browser.runtime.sendMessage({
             type: 'DOWNLOAD_MARKDOWN',
-            data: { markdown, metadata, options: this.options }
+            data: { markdown, metadata, fileType, options: this.options }
         });
     }
 
@@ -0,0 +1,138 @@
+/**
+ * Admonitions (notes, tips, warnings) from documentation sites. The styled
+ * containers are rewritten into `<blockquote data-callout="type">`, the form
+ * Defuddle gives callout asides and one of the few it keeps intact; the
+ * converter's `callout` Turndown rule then writes a GFM alert or an
+ * Obsidian callout, as the profile's `calloutStyle` says.
+ *
+ * Recognized: Docusaurus (`.admonition-*`, `.theme-admonition-*`), MkDocs
+ * and Sphinx (`.admonition`, docutils' bare `.note` / `.warning` with an
+ * `.admonition-title`), MkDocs Material's collapsible `<details>`, and
+ * GitHub's `.markdown-alert`.
+ */
+
+// `gfm`: > [!NOTE] with GitHub's five types; `obsidian`: > [!type] Title.
+export const CALLOUT_STYLES = ['gfm', 'obsidian'];
+
+const CALLOUT_ATTRIBUTE = 'data-callout';
+
+const TYPE_ALIASES = {
+    note: 'note',
+    info: 'info',
+    tip: 'tip',
+    hint: 'tip',
+    important: 'important',
+    warning: 'warning',
+    attention: 'warning',
+    caution: 'caution',
+    danger: 'danger',
+    error: 'danger',
+    seealso: 'note',
+    abstract: 'abstract',
+    summary: 'abstract',
+    example: 'example',
+    quote: 'quote',
+    question: 'question',
+    success: 'success',
+    check: 'success',
+    failure: 'failure',
+    bug: 'bug',
+    todo: 'todo'
+};
+
+// GitHub renders only these five.
+const GFM_TYPES = {
+    tip: 'TIP',
+    success: 'TIP',
+    important: 'IMPORTANT',
+    warning: 'WARNING',
+    question: 'WARNING',
+    caution: 'CAUTION',
+    danger: 'CAUTION',
+    failure: 'CAUTION',
+    bug: 'CAUTION'
+};
+
+const CONTAINER_SELECTOR = [
+    '.admonition',
+    '.theme-admonition',
+    '.markdown-alert',
+    ...Object.keys(TYPE_ALIASES).flatMap((type) => [`div.${type}`, `details.${type}`])
+].join(', ');
+
+const TITLE_SELECTOR = [
+    ':scope > .admonition-title',
+    ':scope > .markdown-alert-title',
+    ':scope > .admonition-heading',
+    ':scope > [class*="admonitionHeading"]',
+    ':scope > summary'
+].join(', ');
+
+const CONTENT_SELECTOR = ':scope > .admonition-content, :scope > [class*="admonitionContent"]';
+
+// "markdown-alert-warning", "theme-admonition-tip", "admonition-note" or a bare "note".
+function readTypeName(node) {
+    for (const token of node.classList) {
+        const name = token.replace(/^(markdown-alert-|theme-admonition-|admonition-)/, '').toLowerCase();
+        if (TYPE_ALIASES[name]) return name;
+    }
+    return 'note';
+}
+
+// The generic class names need a title element to count as an admonition.
+function isAdmonition(node) {
+    if (node.hasAttribute(CALLOUT_ATTRIBUTE)) return false;
+    if (node.matches('.admonition, .theme-admonition, .markdown-alert')) return true;
+    return !!node.querySelector(TITLE_SELECTOR);
+}
+
+/** Rewrites admonitions under `root` as callout blockquotes; returns the count. */
+export function convertAdmonitions(root) {
+    const doc = root.ownerDocument ?? root;
+    let converted = 0;
+
+    for (const node of Array.from(root.querySelectorAll(CONTAINER_SELECTOR))) {
+        if (!isAdmonition(node)) continue;
+
+        const name = readTypeName(node);
+        const titleElement = node.querySelector(TITLE_SELECTOR);
+        const title = titleElement?.textContent.replace(/\s+/g, ' ').trim() ?? '';
+        titleElement?.remove();
+
+        const quote = doc.createElement('blockquote');
+        quote.setAttribute(CALLOUT_ATTRIBUTE, TYPE_ALIASES[name]);
+        // The heading usually just repeats the type ("Note", "tip").
+        if (title && title.toLowerCase() !== name) {
+            quote.setAttribute('title', title);
+        }
+        quote.append(...(node.querySelector(CONTENT_SELECTOR) ?? node).childNodes);
+        node.replaceWith(quote);
+        converted += 1;
+    }
+
+    return converted;
+}
+
+export function isCallout(node) {
+    return node.nodeName === 'BLOCKQUOTE' && node.hasAttribute(CALLOUT_ATTRIBUTE);
+}
+
+/**
+ * The callout as Markdown. GFM alerts have no titles, so a custom title
+ * becomes a bold first line; Obsidian keeps it after the type.
+ */
+export function formatCallout(type, title, content, style = 'gfm') {
+    const kind = TYPE_ALIASES[String(type).toLowerCase()] ?? 'note';
+    const lines = content.trim() ? content.trim().replace(/\n{3,}/g, '\n\n').split('\n') : [];
+
+    let header;
+    if (style === 'obsidian') {
+        header = `> [!${kind}]${title ? ` ${title}` : ''}`;
+    } else {
+        header = `> [!${GFM_TYPES[kind] ?? 'NOTE'}]`;
+        if (title) lines.unshift(`**${title}**`, ...(lines.length ? [''] : []));
+    }
+
+    const body = lines.map((line) => (line ? `> ${line}` : '>'));
+    return `\n\n${[header, ...body].join('\n')}\n\n`;
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { convertAdmonitions, formatCallout } from './admonitions.js';
+
+function parse(html) {
+    const doc = new Window().document;
+    doc.body.innerHTML = html;
+    return doc;
+}
+
+function callouts(doc) {
+    return Array.from(doc.body.querySelectorAll('blockquote[data-callout]'), (el) => [
+        el.getAttribute('data-callout'),
+        el.getAttribute('title'),
+        el.textContent.replace(/\s+/g, ' ').trim()
+    ]);
+}
+
+describe('admonitions', () => {
+    it('converts MkDocs, Sphinx and MkDocs Material admonitions', () => {
+        const doc = parse(
+            '<div class="admonition warning"><p class="admonition-title">Warning</p><p>Mind the gap.</p></div>' +
+                '<div class="admonition note"><p class="admonition-title">Before you start</p><p>Install it.</p></div>' +
+                '<div class="seealso"><p class="admonition-title">See also</p><p>The guide.</p></div>' +
+                '<details class="tip"><summary>Shortcut</summary><p>Press T.</p></details>'
+        );
+
+        expect(convertAdmonitions(doc.body)).toBe(4);
+        expect(callouts(doc)).toEqual([
+            ['warning', null, 'Mind the gap.'],
+            ['note', 'Before you start', 'Install it.'],
+            ['note', 'See also', 'The guide.'],
+            ['tip', 'Shortcut', 'Press T.']
+        ]);
+    });
+
+    it('converts Docusaurus and GitHub markup', () => {
+        const doc = parse(
+            '<div class="theme-admonition theme-admonition-danger alert alert--danger admonition_xJq3">' +
+                '<div class="admonitionHeading_Gvgb"><span class="admonitionIcon_Rf37"><svg></svg></span>danger</div>' +
+                '<div class="admonitionContent_BuS1"><p>Do not run this in production.</p></div></div>' +
+                '<div class="admonition admonition-tip alert alert--success">' +
+                '<div class="admonition-heading"><h5>Pro tip</h5></div>' +
+                '<div class="admonition-content"><p>Use the cache.</p></div></div>' +
+                '<div class="markdown-alert markdown-alert-important"><p class="markdown-alert-title"><svg></svg>Important</p>' +
+                '<p>Back up first.</p></div>'
+        );
+
+        expect(convertAdmonitions(doc.body)).toBe(3);
+        expect(callouts(doc)).toEqual([
+            ['danger', null, 'Do not run this in production.'],
+            ['tip', 'Pro tip', 'Use the cache.'],
+            ['important', null, 'Back up first.']
+        ]);
+    });
+
+    it('leaves ordinary elements with type-like classes alone', () => {
+        const doc = parse('<div class="note">Sticky note</div><details class="summary"><p>No title.</p></details>');
+
+        expect(convertAdmonitions(doc.body)).toBe(0);
+        expect(doc.body.querySelector('blockquote')).toBeNull();
+    });
+
+    it('handles nested admonitions and is idempotent', () => {
+        const doc = parse(
+            '<div class="admonition note"><p class="admonition-title">Note</p><p>Outer.</p>' +
+                '<div class="admonition warning"><p class="admonition-title">Warning</p><p>Inner.</p></div></div>'
+        );
+
+        expect(convertAdmonitions(doc.body)).toBe(2);
+        expect(convertAdmonitions(doc.body)).toBe(0);
+        expect(doc.body.querySelector('blockquote[data-callout="note"] > blockquote[data-callout="warning"]')).not.toBeNull();
+    });
+
+    it('formats GitHub alerts', () => {
+        expect(formatCallout('warning', '', 'Mind the gap.\n\nReally.')).toBe(
+            '\n\n> [!WARNING]\n> Mind the gap.\n>\n> Really.\n\n'
+        );
+        expect(formatCallout('hint', 'Before you start', 'Install it.', 'gfm')).toBe(
+            '\n\n> [!TIP]\n> **Before you start**\n>\n> Install it.\n\n'
+        );
+        expect(formatCallout('seealso', '', 'The guide.')).toBe('\n\n> [!NOTE]\n> The guide.\n\n');
+        expect(formatCallout('bug', '', '')).toBe('\n\n> [!CAUTION]\n\n');
+    });
+
+    it('formats Obsidian callouts', () => {
+        expect(formatCallout('Warning', 'Before you start', 'Install it.\n\n\n\n- one', 'obsidian')).toBe(
+            '\n\n> [!warning] Before you start\n> Install it.\n>\n> - one\n\n'
+        );
+        expect(formatCallout('mystery', '', 'Text.', 'obsidian')).toBe('\n\n> [!note]\n> Text.\n\n');
+    });
+});
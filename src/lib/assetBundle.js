@@ -0,0 +1,168 @@
+import { strToU8, zipSync } from 'fflate';
+
+/**
+ * "Bundle assets" support: finds the images a conversion references, fetches
+ * them (decoding data: URIs such as the Mermaid SVG fallbacks in place), and
+ * rewrites the Markdown to point at local copies under `assets/`.
+ */
+
+const ASSET_FOLDER = 'assets';
+const FETCH_TIMEOUT_MS = 20_000;
+
+// `![alt](url "title")`; alt may contain escaped brackets and the URL may be
+// wrapped in <> or contain one level of balanced parentheses.
+const IMAGE_RE = /(!\[(?:\\.|[^\]\\])*\]\(\s*)(<[^>\n]*>|(?:[^\s()]|\([^\s()]*\))+)((?:\s+"(?:\\.|[^"\\])*")?\s*\))/g;
+
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico',
+    'image/tiff': 'tiff'
+};
+
+function unwrapUrl(raw) {
+    return raw.startsWith('<') && raw.endsWith('>') ? raw.slice(1, -1) : raw;
+}
+
+export function findImageReferences(markdown) {
+    const urls = [];
+    for (const match of String(markdown ?? '').matchAll(IMAGE_RE)) {
+        const url = unwrapUrl(match[2]);
+        if (url && !urls.includes(url)) urls.push(url);
+    }
+    return urls;
+}
+
+export function rewriteImageReferences(markdown, mapping) {
+    return String(markdown ?? '').replace(IMAGE_RE, (whole, head, raw, tail) => {
+        const replacement = mapping.get(unwrapUrl(raw));
+        return replacement ? `${head}${replacement}${tail}` : whole;
+    });
+}
+
+/** Returns `{ mime, bytes }` for a data: URI, or null if it is malformed. */
+export function decodeDataUri(uri) {
+    const match = /^data:([^,]*?),(.*)$/s.exec(String(uri ?? ''));
+    if (!match) return null;
+
+    const params = match[1].split(';');
+    const mime = (params[0] || 'text/plain').trim().toLowerCase();
+    const isBase64 = params.slice(1).some((param) => param.trim().toLowerCase() === 'base64');
+
+    try {
+        if (isBase64) {
+            const binary = atob(match[2].replace(/\s+/g, ''));
+            return { mime, bytes: Uint8Array.from(binary, (ch) => ch.charCodeAt(0)) };
+        }
+        return { mime, bytes: new TextEncoder().encode(decodeURIComponent(match[2])) };
+    } catch {
+        return null;
+    }
+}
+
+export function extensionFor(mime, url) {
+    const known = MIME_EXTENSIONS[String(mime ?? '').split(';')[0].trim().toLowerCase()];
+    if (known) return known;
+
+    try {
+        const ext = /\.([a-z0-9]{2,5})$/i.exec(new URL(url).pathname)?.[1];
+        if (ext) return ext.toLowerCase() === 'jpeg' ? 'jpg' : ext.toLowerCase();
+    } catch {
+        // Not a parseable URL; fall through.
+    }
+    return 'bin';
+}
+
+// FNV-1a, as 8 hex digits: enough to tell one page's images from another's.
+export function contentHash(bytes) {
+    let hash = 0x811c9dc5;
+    for (const byte of bytes) {
+        hash = Math.imul(hash ^ byte, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export async function fetchAsset(url, fetchImpl = globalThis.fetch) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+        const response = await fetchImpl(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return {
+            mime: response.headers.get('content-type') ?? '',
+            bytes: new Uint8Array(await response.arrayBuffer())
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Fetches every image referenced by `markdown`. Relative URLs are resolved
+ * against `baseUrl`; assets are named `assets/<prefix>-<hash>.<ext>` after
+ * their content, so two captures sharing a title (or one page saved again
+ * after it changed) never point at each other's files.
+ * Returns the rewritten Markdown, the fetched assets and the URLs that could
+ * not be fetched (those keep their original link).
+ */
+export async function bundleAssets(markdown, { baseUrl, prefix = 'image', fetchImpl = globalThis.fetch } = {}) {
+    const mapping = new Map();
+    const assets = [];
+    const failed = [];
+
+    for (const url of findImageReferences(markdown)) {
+        let asset = null;
+        if (url.startsWith('data:')) {
+            asset = decodeDataUri(url);
+        } else {
+            try {
+                const resolved = new URL(url, baseUrl).href;
+                asset = await fetchAsset(resolved, fetchImpl);
+                asset.source = resolved;
+            } catch (error) {
+                console.warn('[PageToMD] Could not fetch asset', url, error);
+            }
+        }
+
+        if (!asset) {
+            failed.push(url);
+            continue;
+        }
+
+        const path = `${ASSET_FOLDER}/${prefix}-${contentHash(asset.bytes)}.${extensionFor(asset.mime, asset.source ?? url)}`;
+        if (!assets.some((existing) => existing.path === path)) {
+            assets.push({ path, mime: asset.mime, bytes: asset.bytes });
+        }
+        mapping.set(url, path);
+    }
+
+    return { markdown: rewriteImageReferences(markdown, mapping), assets, failed };
+}
+
+/**
+ * The link to use for an asset the downloads API saved as `savedFilename`
+ * (an absolute path, uniquified to e.g. "x(1).png" when the name was taken),
+ * or null when it was saved under the requested name.
+ */
+export function renamedAssetPath(path, savedFilename) {
+    const savedName = String(savedFilename ?? '').split(/[\\/]/).pop();
+    const folder = path.slice(0, path.lastIndexOf('/') + 1);
+    if (!savedName || folder + savedName === path) return null;
+    return folder + encodeURI(savedName);
+}
+
+/** Packs the Markdown file and its assets into a zip archive. */
+export function buildZipArchive(markdownName, content, assets) {
+    const files = { [markdownName]: strToU8(content) };
+    for (const asset of assets) {
+        // Images are already compressed; storing them saves time for nothing lost.
+        files[asset.path] = [asset.bytes, { level: 0 }];
+    }
+    return zipSync(files);
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import { unzipSync, strFromU8 } from 'fflate';
+import {
+    buildZipArchive,
+    bundleAssets,
+    contentHash,
+    decodeDataUri,
+    findImageReferences,
+    renamedAssetPath,
+    rewriteImageReferences
+} from './assetBundle.js';
+
+function response(bytes, type, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => type },
+        arrayBuffer: async () => new Uint8Array(bytes).buffer
+    };
+}
+
+describe('assetBundle', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+    const markdown = [
+        '![A \\[chart\\]](https://cdn.test/img/chart.png "Chart")',
+        '![](/relative/photo.jpeg)',
+        '![wiki](https://en.wiki.test/File_(1).gif)',
+        `![Diagram](data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)})`,
+        '![again](https://cdn.test/img/chart.png)',
+        '![gone](https://cdn.test/missing.png)',
+        '[not an image](https://cdn.test/page)'
+    ].join('\n\n');
+
+    it('finds each image URL once, including parentheses and data URIs', () => {
+        expect(findImageReferences(markdown)).toEqual([
+            'https://cdn.test/img/chart.png',
+            '/relative/photo.jpeg',
+            'https://en.wiki.test/File_(1).gif',
+            `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`,
+            'https://cdn.test/missing.png'
+        ]);
+    });
+
+    it('rewrites only mapped image links and keeps titles', () => {
+        const mapping = new Map([['https://cdn.test/img/chart.png', 'assets/x-1.png']]);
+        const rewritten = rewriteImageReferences(markdown, mapping);
+        expect(rewritten).toContain('![A \\[chart\\]](assets/x-1.png "Chart")');
+        expect(rewritten).toContain('![again](assets/x-1.png)');
+        expect(rewritten).toContain('[not an image](https://cdn.test/page)');
+    });
+
+    it('decodes base64 and percent-encoded data URIs', () => {
+        expect(new TextDecoder().decode(decodeDataUri('data:text/plain;base64,aGk=').bytes)).toBe('hi');
+        const decoded = decodeDataUri(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+        expect(decoded.mime).toBe('image/svg+xml');
+        expect(new TextDecoder().decode(decoded.bytes)).toBe(svg);
+        expect(decodeDataUri('not a data uri')).toBeNull();
+    });
+
+    it('fetches assets, rewrites links and reports failures', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const fetchImpl = vi.fn(async (url) => {
+            if (url.endsWith('missing.png')) return response([], 'text/html', 404);
+            if (url.endsWith('.gif')) return response([1], 'image/gif');
+            return response([1, 2, 3], url.endsWith('.png') ? 'image/png' : 'application/octet-stream');
+        });
+
+        const bundle = await bundleAssets(markdown, { baseUrl: 'https://site.test/post/', prefix: 'my-post', fetchImpl });
+        warn.mockRestore();
+
+        expect(fetchImpl).toHaveBeenCalledWith('https://site.test/relative/photo.jpeg', expect.anything());
+        const small = contentHash(new Uint8Array([1, 2, 3]));
+        const svgHash = contentHash(new TextEncoder().encode(svg));
+        expect(bundle.assets.map((asset) => asset.path)).toEqual([
+            `assets/my-post-${small}.png`,
+            `assets/my-post-${small}.jpg`,
+            `assets/my-post-${contentHash(new Uint8Array([1]))}.gif`,
+            `assets/my-post-${svgHash}.svg`
+        ]);
+        expect(bundle.failed).toEqual(['https://cdn.test/missing.png']);
+        expect(bundle.markdown).toContain(`![Diagram](assets/my-post-${svgHash}.svg)`);
+        expect(bundle.markdown).toContain('![gone](https://cdn.test/missing.png)');
+    });
+
+    it('keeps the assets of two captures with the same title apart', async () => {
+        const page = '![photo](https://cdn.test/photo.png)';
+        const first = await bundleAssets(page, { prefix: 'same-title', fetchImpl: async () => response([1, 2], 'image/png') });
+        const second = await bundleAssets(page, { prefix: 'same-title', fetchImpl: async () => response([3, 4], 'image/png') });
+        const again = await bundleAssets(page, { prefix: 'same-title', fetchImpl: async () => response([3, 4], 'image/png') });
+
+        expect(first.assets[0].path).toMatch(/^assets\/same-title-[0-9a-f]{8}\.png$/);
+        expect(second.assets[0].path).not.toBe(first.assets[0].path);
+        expect(again.assets[0].path).toBe(second.assets[0].path);
+        expect(first.markdown).toBe(`![photo](${first.assets[0].path})`);
+    });
+
+    it('relinks assets the downloads API saved under a uniquified name', () => {
+        expect(renamedAssetPath('assets/post-1a2b3c4d.png', '/home/me/Downloads/notes/assets/post-1a2b3c4d.png')).toBeNull();
+        expect(renamedAssetPath('assets/post-1a2b3c4d.png', 'C:\\Users\\me\\assets\\post-1a2b3c4d(1).png')).toBe(
+            'assets/post-1a2b3c4d(1).png'
+        );
+        expect(renamedAssetPath('assets/post-1a2b3c4d.png', '/dl/assets/post-1a2b3c4d (1).png')).toBe('assets/post-1a2b3c4d%20(1).png');
+        expect(renamedAssetPath('assets/post-1a2b3c4d.png', null)).toBeNull();
+    });
+
+    it('zips the Markdown with its assets', () => {
+        const zip = buildZipArchive('Post.md', '# Post', [{ path: 'assets/p-1.png', bytes: new Uint8Array([9]) }]);
+        const files = unzipSync(zip);
+        expect(strFromU8(files['Post.md'])).toBe('# Post');
+        expect(Array.from(files['assets/p-1.png'])).toEqual([9]);
+    });
+});
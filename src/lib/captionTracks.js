@@ -0,0 +1,168 @@
+import { promptChoice } from './choicePrompt.js';
+import { countWords, renderTranscript } from './transcriptFormat.js';
+
+/**
+ * Caption track choice shared by the video transcript extractors, plus a
+ * WebVTT reader for sites that serve their tracks as .vtt files.
+ *
+ * Tracks are normalized to YouTube's shape:
+ * `{ languageCode, kind, name: { simpleText }, baseUrl }` with
+ * `kind: 'asr'` for automatic captions.
+ */
+
+const LANG_FALLBACK_CHAIN = [
+    'en', 'de', 'fr', 'es', 'it', 'zh', 'ja', 'ko', 'pt', 'ru'
+];
+
+// Which caption kind wins when a language has both: uploaded captions or
+// automatic speech recognition.
+export const TRACK_KINDS = ['manual', 'asr'];
+
+/** "en-GB, de fr" → ['en-GB', 'de', 'fr']. */
+export function parseLanguageList(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[\s,;]+/);
+    return list.map((code) => String(code).trim()).filter(Boolean);
+}
+
+const primaryLanguage = (code) => String(code ?? '').toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Walks `languages` (then the built-in fallback chain) and returns a track
+ * for the first language that has one. Within a language the preferred
+ * `kind` wins, then an exact code ("en-GB") over a regional variant.
+ */
+export function pickBestTrack(tracks, { languages = [], kind = 'manual' } = {}) {
+    if (!tracks || tracks.length === 0) return null;
+
+    const rank = (track, lang) =>
+        ((track.kind === 'asr') === (kind === 'asr') ? 0 : 2) +
+        (String(track.languageCode).toLowerCase() === lang.toLowerCase() ? 0 : 1);
+
+    for (const lang of [...parseLanguageList(languages), ...LANG_FALLBACK_CHAIN]) {
+        const candidates = tracks.filter((t) => primaryLanguage(t.languageCode) === primaryLanguage(lang));
+        if (candidates.length) return candidates.sort((a, b) => rank(a, lang) - rank(b, lang))[0];
+    }
+
+    return tracks.find((t) => (t.kind === 'asr') === (kind === 'asr')) ?? tracks[0];
+}
+
+export function describeTrack(track) {
+    const name = track.name?.simpleText || track.name?.runs?.map((run) => run.text).join('') || track.languageCode;
+    const asr = track.kind === 'asr';
+    return {
+        language: track.languageCode,
+        kind: asr ? 'auto-generated' : 'manual',
+        label: asr ? `${name} (auto-generated)` : name
+    };
+}
+
+/** The transcript settings every video extractor reads. */
+export function transcriptSettings(settings = {}) {
+    return {
+        languages: settings.transcriptLanguages ?? '',
+        kind: settings.transcriptTrackKind ?? 'manual',
+        askTrack: !!settings.transcriptAskTrack,
+        format: settings.transcriptFormat ?? 'paragraphs',
+        exportFormat: settings.transcriptExportFormat ?? 'markdown'
+    };
+}
+
+// Offers every track, the preferred one first; null keeps the preferred one.
+async function promptForTrack(doc, tracks, preferred) {
+    const ordered = [preferred, ...tracks.filter((track) => track !== preferred)];
+    const index = await promptChoice(
+        'Which transcript should be saved?',
+        ordered.map((track) => describeTrack(track).label),
+        { doc, dismissLabel: 'Use the preferred track' }
+    );
+    return index == null ? null : ordered[index];
+}
+
+/**
+ * The preferred track, or the user's pick when asking is enabled, the
+ * conversion is interactive and there is more than one track.
+ */
+export async function chooseTrack(doc, tracks, { languages, kind, askTrack = false, interactive = false } = {}) {
+    const preferred = pickBestTrack(tracks, { languages, kind });
+    if (!askTrack || !interactive || !tracks || tracks.length < 2) return preferred;
+    try {
+        return (await promptForTrack(doc, tracks, preferred)) ?? preferred;
+    } catch (error) {
+        console.warn('[PageToMD] Track choice failed, using preferred track:', error);
+        return preferred;
+    }
+}
+
+/**
+ * The site-extractor result for a fetched transcript: Markdown (or a
+ * subtitle file) plus title, author, word count and the track's language
+ * and kind for the frontmatter.
+ */
+export function transcriptResult(segments, { settings, track = null, title, author = null, publishedDate = null, linkTimestamp = null }) {
+    if (!segments?.length) {
+        return { error: 'The transcript is empty.' };
+    }
+
+    const rendered = renderTranscript(segments, {
+        exportFormat: settings.exportFormat,
+        language: track?.languageCode,
+        format: settings.format,
+        title,
+        linkTimestamp
+    });
+    if (rendered.error) {
+        return { error: rendered.error };
+    }
+
+    const { language, kind } = track ? describeTrack(track) : {};
+    return {
+        markdown: rendered.markdown,
+        fileType: rendered.fileType,
+        metadataOverrides: {
+            title,
+            author,
+            publishedDate,
+            wordCount: countWords(segments),
+            extra: track ? { transcript_language: language, transcript_kind: kind } : undefined
+        }
+    };
+}
+
+const VTT_TIME_RE = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/;
+
+function parseVttTime(text) {
+    const match = VTT_TIME_RE.exec(text.trim());
+    if (!match) return null;
+    return Number(match[1] ?? 0) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(match[4]) / 1000;
+}
+
+function decodeCueText(text) {
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * WebVTT text → `{ start, duration, text }` segments. NOTE, STYLE and REGION
+ * blocks are skipped, cue settings and voice/styling tags dropped.
+ */
+export function parseWebVtt(text) {
+    const segments = [];
+    const blocks = String(text ?? '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex((line) => line.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const [startText, rest = ''] = lines[timingIndex].split('-->');
+        const start = parseVttTime(startText);
+        const end = parseVttTime(rest.trim().split(/\s+/)[0] ?? '');
+        const cueText = decodeCueText(lines.slice(timingIndex + 1).join(' ')).replace(/\s+/g, ' ').trim();
+        if (start == null || !cueText) continue;
+        segments.push({ start, duration: end != null && end >= start ? end - start : null, text: cueText });
+    }
+    return segments;
+}
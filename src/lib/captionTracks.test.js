@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { chooseTrack, describeTrack, parseLanguageList, parseWebVtt, pickBestTrack, transcriptSettings } from './captionTracks.js';
+
+const track = (languageCode, kind = '') => ({ languageCode, kind, baseUrl: `https://example.com/${languageCode}/${kind || 'manual'}` });
+
+describe('parseLanguageList', () => {
+    it('splits on commas and whitespace and drops blanks', () => {
+        expect(parseLanguageList('en-GB, de  fr,')).toEqual(['en-GB', 'de', 'fr']);
+        expect(parseLanguageList(['es', ' '])).toEqual(['es']);
+        expect(parseLanguageList(undefined)).toEqual([]);
+    });
+});
+
+describe('pickBestTrack', () => {
+    const tracks = [track('fr'), track('de', 'asr'), track('de'), track('en', 'asr'), track('en-GB')];
+
+    it('keeps the old default: English, uploaded captions first', () => {
+        expect(pickBestTrack(tracks)).toBe(tracks[4]);
+        expect(pickBestTrack([track('ja'), track('ko')])).toEqual(track('ja'));
+        expect(pickBestTrack([])).toBeNull();
+    });
+
+    it('walks the preferred languages in order', () => {
+        expect(pickBestTrack(tracks, { languages: ['pt', 'de', 'fr'] })).toBe(tracks[2]);
+        expect(pickBestTrack(tracks, { languages: 'fr, de' })).toBe(tracks[0]);
+    });
+
+    it('prefers the requested caption kind within a language', () => {
+        expect(pickBestTrack(tracks, { languages: ['de'], kind: 'asr' })).toBe(tracks[1]);
+        expect(pickBestTrack(tracks, { languages: ['en'], kind: 'asr' })).toBe(tracks[3]);
+        // Kind outranks the exact regional code.
+        expect(pickBestTrack(tracks, { languages: ['en'] })).toBe(tracks[4]);
+    });
+
+    it('falls back to any track of the preferred kind', () => {
+        const others = [track('nl'), track('sv', 'asr')];
+        expect(pickBestTrack(others, { languages: ['pl'], kind: 'asr' })).toBe(others[1]);
+    });
+});
+
+describe('describeTrack', () => {
+    it('labels auto-generated tracks and reports language and kind', () => {
+        expect(describeTrack({ languageCode: 'en', kind: 'asr', name: { simpleText: 'English' } })).toEqual({
+            language: 'en',
+            kind: 'auto-generated',
+            label: 'English (auto-generated)'
+        });
+        expect(describeTrack({ languageCode: 'de', name: { runs: [{ text: 'German' }] } })).toEqual({
+            language: 'de',
+            kind: 'manual',
+            label: 'German'
+        });
+    });
+});
+
+describe('chooseTrack', () => {
+    const tracks = [track('en'), track('de')];
+
+    it('returns the preferred track without prompting unless asked and interactive', async () => {
+        expect(await chooseTrack(null, tracks, { languages: 'de', askTrack: true })).toBe(tracks[1]);
+        expect(await chooseTrack(null, tracks, { languages: 'de', interactive: true })).toBe(tracks[1]);
+        expect(await chooseTrack(null, [tracks[0]], { askTrack: true, interactive: true })).toBe(tracks[0]);
+    });
+});
+
+describe('transcriptSettings', () => {
+    it('fills in the defaults', () => {
+        expect(transcriptSettings()).toEqual({
+            languages: '',
+            kind: 'manual',
+            askTrack: false,
+            format: 'paragraphs',
+            exportFormat: 'markdown'
+        });
+        expect(transcriptSettings({ transcriptLanguages: 'de', transcriptTrackKind: 'asr', transcriptExportFormat: 'srt' })).toMatchObject({
+            languages: 'de',
+            kind: 'asr',
+            exportFormat: 'srt'
+        });
+    });
+});
+
+describe('parseWebVtt', () => {
+    it('reads cues with and without hours, ids and settings', () => {
+        const vtt = [
+            'WEBVTT',
+            'Kind: captions',
+            '',
+            'NOTE a comment',
+            'that spans lines',
+            '',
+            '1',
+            '00:00:01.000 --> 00:00:03.500 align:start position:10%',
+            '<v Speaker>Hello &amp; <b>welcome</b></v>',
+            'to the talk.',
+            '',
+            '01:02.250 --> 01:04.000',
+            'Second cue'
+        ].join('\r\n');
+
+        expect(parseWebVtt(vtt)).toEqual([
+            { start: 1, duration: 2.5, text: 'Hello & welcome to the talk.' },
+            { start: 62.25, duration: 1.75, text: 'Second cue' }
+        ]);
+    });
+
+    it('skips cues without text or a readable start', () => {
+        expect(parseWebVtt('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n\nbad --> 00:00:03.000\ntext')).toEqual([]);
+        expect(parseWebVtt('')).toEqual([]);
+    });
+});
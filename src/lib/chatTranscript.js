@@ -0,0 +1,92 @@
+import { replaceRenderedMath } from './math.js';
+
+/**
+ * Shared pieces for chat UI extractors (ChatGPT, Claude, Gemini): each one
+ * finds its turns and hands them here to build the same speaker-by-speaker
+ * article the Poe extractor produces.
+ */
+
+// Controls every chat UI puts inside or next to a message.
+const COMMON_UI_SELECTORS = ['button', '[role="toolbar"]', '.sr-only'];
+
+export function getPageLocation(doc) {
+    const win = doc?.defaultView ?? (typeof window !== 'undefined' ? window : null);
+    return win?.location ?? null;
+}
+
+export function isChatHost(doc, hostPattern) {
+    const location = getPageLocation(doc);
+    return !!location && hostPattern.test(location.hostname || '');
+}
+
+export function createTranscriptArticle(doc, kind, title) {
+    const article = doc.createElement('article');
+    article.setAttribute('data-pagetomd-generated', `${kind}-conversation`);
+
+    const heading = doc.createElement('h1');
+    heading.textContent = title;
+    article.appendChild(heading);
+    return article;
+}
+
+export function stripChatUi(node, selectors = []) {
+    for (const selector of [...selectors, ...COMMON_UI_SELECTORS]) {
+        node.querySelectorAll(selector).forEach((el) => el.remove());
+    }
+}
+
+/**
+ * Appends one turn to `article`. The content is cloned (and handed to
+ * `prepare` for site-specific fixes), math is swapped for TeX placeholders
+ * before the rendered copy is stripped as UI, and nothing is added when the
+ * turn turns out to be empty.
+ */
+export function appendTurn(doc, article, { role, speaker, content, timestamp, uiSelectors = [], prepare }) {
+    if (!content) return false;
+
+    const body = content.cloneNode(true);
+    prepare?.(body);
+    replaceRenderedMath(body);
+    stripChatUi(body, uiSelectors);
+    if (!body.textContent.trim() && !body.querySelector('img, pre, [data-pagetomd-math]')) return false;
+
+    const section = doc.createElement('section');
+    section.setAttribute('data-speaker-role', role);
+    section.setAttribute('data-speaker', speaker);
+
+    const heading = doc.createElement('h3');
+    heading.textContent = speaker;
+    section.append(heading, body);
+
+    if (timestamp) {
+        const meta = doc.createElement('p');
+        meta.textContent = timestamp;
+        meta.setAttribute('data-message-meta', 'timestamp');
+        section.appendChild(meta);
+    }
+
+    article.appendChild(section);
+    return true;
+}
+
+/**
+ * Moves a code block's language label (a header the UI draws above the
+ * block) onto the <code> element as `language-*` so the fence keeps it.
+ */
+export function adoptCodeLanguage(codeElement, label) {
+    const language = String(label ?? '').trim().toLowerCase().replace(/\s+/g, '-');
+    if (!codeElement || !language || /\blang(uage)?-/.test(codeElement.className)) return;
+    codeElement.classList.add(`language-${language}`);
+}
+
+/** First `<time datetime>` in the conversation, as an ISO date string. */
+export function findConversationDate(root) {
+    const value = root.querySelector('time[datetime]')?.getAttribute('datetime');
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function cleanModelName(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim() || null;
+}
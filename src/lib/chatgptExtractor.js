@@ -0,0 +1,65 @@
+import {
+    appendTurn,
+    cleanModelName,
+    createTranscriptArticle,
+    findConversationDate,
+    isChatHost
+} from './chatTranscript.js';
+
+const CHATGPT_HOST_PATTERN = /(^|\.)(chatgpt\.com|chat\.openai\.com)$/i;
+const TURN_SELECTOR = '[data-message-author-role]';
+const UI_SELECTORS = ['[data-testid$="-turn-action-button"]', '[data-testid="copy-code-button"]'];
+
+export function isChatGptConversationPage(doc = document) {
+    return isChatHost(doc, CHATGPT_HOST_PATTERN) && !!doc.querySelector(TURN_SELECTOR);
+}
+
+function findModelName(doc, turns) {
+    const slug = turns.map((turn) => turn.getAttribute('data-message-model-slug')).find(Boolean);
+    if (slug) return slug;
+    return cleanModelName(doc.querySelector('[data-testid="model-switcher-dropdown-button"]')?.textContent);
+}
+
+export function extractChatGptConversation(doc = document) {
+    if (!isChatGptConversationPage(doc)) return null;
+
+    try {
+        const turns = Array.from(doc.querySelectorAll(TURN_SELECTOR));
+        const title = doc.title && doc.title !== 'ChatGPT' ? doc.title : 'ChatGPT Conversation';
+        const article = createTranscriptArticle(doc, 'chatgpt', title);
+
+        let added = 0;
+        for (const turn of turns) {
+            const role = turn.getAttribute('data-message-author-role') === 'user' ? 'user' : 'assistant';
+            const content =
+                role === 'user'
+                    ? turn.querySelector('.whitespace-pre-wrap') ?? turn
+                    : turn.querySelector('.markdown') ?? turn;
+            const speaker = role === 'user' ? 'You' : 'ChatGPT';
+            if (appendTurn(doc, article, { role, speaker, content, uiSelectors: UI_SELECTORS })) {
+                added += 1;
+            }
+        }
+
+        if (added === 0) return null;
+        return {
+            article,
+            metadataOverrides: {
+                title,
+                source: 'ChatGPT',
+                publishedDate: findConversationDate(doc.body),
+                extra: { model: findModelName(doc, turns) }
+            }
+        };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract ChatGPT conversation', error);
+        return null;
+    }
+}
+
+export const chatgptSiteExtractor = {
+    name: 'chatgpt',
+    priority: 20,
+    matches: (doc) => isChatGptConversationPage(doc),
+    extract: (doc) => extractChatGptConversation(doc)
+};
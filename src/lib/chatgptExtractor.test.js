@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { Window } from 'happy-dom';
+import { extractChatGptConversation, isChatGptConversationPage } from './chatgptExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/chatgpt-conversation.html', import.meta.url), 'utf-8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.document.title = 'Derivative of x squared';
+    window.location.href = url;
+    return window.document;
+}
+
+describe('chatgptExtractor', () => {
+    const chatUrl = 'https://chatgpt.com/c/67a1b2c3-d4e5';
+
+    it('identifies ChatGPT conversation pages', () => {
+        expect(isChatGptConversationPage(createDocument(fixture, chatUrl))).toBe(true);
+        expect(isChatGptConversationPage(createDocument(fixture, 'https://chat.openai.com/c/1'))).toBe(true);
+        expect(isChatGptConversationPage(createDocument('<main></main>', chatUrl))).toBe(false);
+        expect(isChatGptConversationPage(createDocument(fixture, 'https://example.com/c/1'))).toBe(false);
+    });
+
+    it('builds a speaker-by-speaker transcript with model metadata', () => {
+        const { article, metadataOverrides } = extractChatGptConversation(createDocument(fixture, chatUrl));
+
+        expect(article.querySelector('h1')?.textContent).toBe('Derivative of x squared');
+        const sections = article.querySelectorAll('section[data-speaker-role]');
+        expect(Array.from(sections, (s) => s.getAttribute('data-speaker-role'))).toEqual(['user', 'assistant']);
+        expect(sections[0].querySelector('h3')?.textContent).toBe('You');
+        expect(sections[1].querySelector('h3')?.textContent).toBe('ChatGPT');
+        expect(metadataOverrides).toMatchObject({ source: 'ChatGPT', extra: { model: 'gpt-4o' } });
+    });
+
+    it('keeps code and math but drops copy and regenerate controls', () => {
+        const { article } = extractChatGptConversation(createDocument(fixture, chatUrl));
+        const assistant = article.querySelector('section[data-speaker-role="assistant"]');
+
+        expect(assistant.querySelector('code.language-python')?.textContent).toContain('return 2 * x');
+        const math = Array.from(assistant.querySelectorAll('[data-pagetomd-math]'), (el) => el.textContent);
+        expect(math).toEqual(['2x', '\\frac{d}{dx} x^2 = 2x']);
+        expect(article.querySelector('button')).toBeNull();
+        expect(article.textContent).not.toMatch(/Copy code|Regenerate|ChatGPT said/);
+    });
+});
@@ -0,0 +1,89 @@
+const PROMPT_ID = 'pagetomd-choice-prompt';
+
+/**
+ * Asks the user to pick one of `choices` (strings) in a small in-page dialog.
+ * Resolves with the chosen index, or null when dismissed (Escape or the
+ * dismiss button). Like the toast, it lives in a closed shadow root.
+ */
+export function promptChoice(message, choices, { doc = document, dismissLabel = 'Cancel' } = {}) {
+    doc.getElementById(PROMPT_ID)?.remove();
+
+    return new Promise((resolve) => {
+        const host = doc.createElement('div');
+        host.id = PROMPT_ID;
+        host.style.all = 'initial';
+        host.style.position = 'fixed';
+        host.style.inset = '0';
+        host.style.zIndex = '2147483647';
+        host.style.display = 'flex';
+        host.style.alignItems = 'center';
+        host.style.justifyContent = 'center';
+        host.style.background = 'rgba(0, 0, 0, 0.4)';
+
+        const shadow = host.attachShadow({ mode: 'closed' });
+        const box = doc.createElement('div');
+        box.setAttribute('role', 'dialog');
+        box.setAttribute('aria-modal', 'true');
+        box.style.cssText = [
+            'font: 13px/1.4 system-ui, sans-serif',
+            'color: #fbfbfe',
+            'background: #2b2a33',
+            'padding: 14px',
+            'border-radius: 6px',
+            'box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3)',
+            'max-width: 360px',
+            'max-height: 70vh',
+            'overflow: auto',
+            'display: flex',
+            'flex-direction: column',
+            'gap: 6px'
+        ].join(';');
+
+        const heading = doc.createElement('p');
+        heading.textContent = message;
+        heading.style.cssText = 'margin: 0 0 4px; font-weight: 600';
+        box.appendChild(heading);
+
+        const finish = (value) => {
+            doc.removeEventListener('keydown', onKeydown, true);
+            host.remove();
+            resolve(value);
+        };
+        const onKeydown = (event) => {
+            if (event.key !== 'Escape') return;
+            event.stopPropagation();
+            finish(null);
+        };
+
+        const buttonStyle = [
+            'font: inherit',
+            'color: inherit',
+            'background: #42414d',
+            'border: 0',
+            'border-radius: 4px',
+            'padding: 6px 10px',
+            'text-align: left',
+            'cursor: pointer'
+        ].join(';');
+        choices.forEach((label, index) => {
+            const button = doc.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.style.cssText = buttonStyle;
+            button.addEventListener('click', () => finish(index));
+            box.appendChild(button);
+        });
+
+        const dismiss = doc.createElement('button');
+        dismiss.type = 'button';
+        dismiss.textContent = dismissLabel;
+        dismiss.style.cssText = `${buttonStyle};background: transparent;text-align: center`;
+        dismiss.addEventListener('click', () => finish(null));
+        box.appendChild(dismiss);
+
+        shadow.appendChild(box);
+        doc.addEventListener('keydown', onKeydown, true);
+        (doc.body || doc.documentElement).appendChild(host);
+        box.querySelector('button')?.focus();
+    });
+}
@@ -0,0 +1,71 @@
+import {
+    appendTurn,
+    cleanModelName,
+    createTranscriptArticle,
+    findConversationDate,
+    isChatHost
+} from './chatTranscript.js';
+
+const CLAUDE_HOST_PATTERN = /(^|\.)claude\.ai$/i;
+const USER_SELECTOR = '[data-testid="user-message"]';
+const ASSISTANT_SELECTOR = '.font-claude-response, .font-claude-message';
+const TURN_SELECTOR = `${USER_SELECTOR}, ${ASSISTANT_SELECTOR}`;
+const UI_SELECTORS = ['[data-testid="action-bar-copy"]', '[data-testid="action-bar-retry"]'];
+const TITLE_SUFFIX_RE = /\s*[-–|]\s*Claude\s*$/i;
+
+export function isClaudeConversationPage(doc = document) {
+    return isChatHost(doc, CLAUDE_HOST_PATTERN) && !!doc.querySelector(TURN_SELECTOR);
+}
+
+// Both assistant classes have been used, sometimes nested; keep the outermost.
+function findTurns(doc) {
+    return Array.from(doc.querySelectorAll(TURN_SELECTOR)).filter(
+        (node) => !node.parentElement?.closest(TURN_SELECTOR)
+    );
+}
+
+function findModelName(doc) {
+    return cleanModelName(
+        doc.querySelector('[data-testid="model-selector-dropdown"]')?.textContent ??
+            doc.querySelector('[data-testid="model-selector"]')?.textContent
+    );
+}
+
+export function extractClaudeConversation(doc = document) {
+    if (!isClaudeConversationPage(doc)) return null;
+
+    try {
+        const title = (doc.title || '').replace(TITLE_SUFFIX_RE, '').trim() || 'Claude Conversation';
+        const article = createTranscriptArticle(doc, 'claude', title);
+
+        let added = 0;
+        for (const turn of findTurns(doc)) {
+            const role = turn.matches(USER_SELECTOR) ? 'user' : 'assistant';
+            const speaker = role === 'user' ? 'You' : 'Claude';
+            if (appendTurn(doc, article, { role, speaker, content: turn, uiSelectors: UI_SELECTORS })) {
+                added += 1;
+            }
+        }
+
+        if (added === 0) return null;
+        return {
+            article,
+            metadataOverrides: {
+                title,
+                source: 'Claude',
+                publishedDate: findConversationDate(doc.body),
+                extra: { model: findModelName(doc) }
+            }
+        };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Claude conversation', error);
+        return null;
+    }
+}
+
+export const claudeSiteExtractor = {
+    name: 'claude',
+    priority: 20,
+    matches: (doc) => isClaudeConversationPage(doc),
+    extract: (doc) => extractClaudeConversation(doc)
+};
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { Window } from 'happy-dom';
+import { extractClaudeConversation, isClaudeConversationPage } from './claudeExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/claude-conversation.html', import.meta.url), 'utf-8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.document.title = 'Haiku about tests - Claude';
+    window.location.href = url;
+    return window.document;
+}
+
+describe('claudeExtractor', () => {
+    const chatUrl = 'https://claude.ai/chat/0f1e2d3c';
+
+    it('identifies Claude conversation pages', () => {
+        expect(isClaudeConversationPage(createDocument(fixture, chatUrl))).toBe(true);
+        expect(isClaudeConversationPage(createDocument('<div></div>', chatUrl))).toBe(false);
+        expect(isClaudeConversationPage(createDocument(fixture, 'https://example.com/chat/1'))).toBe(false);
+    });
+
+    it('builds one section per turn, ignoring nested response wrappers', () => {
+        const { article, metadataOverrides } = extractClaudeConversation(createDocument(fixture, chatUrl));
+
+        expect(article.querySelector('h1')?.textContent).toBe('Haiku about tests');
+        const sections = article.querySelectorAll('section[data-speaker-role]');
+        expect(Array.from(sections, (s) => s.getAttribute('data-speaker'))).toEqual(['You', 'Claude']);
+        expect(metadataOverrides).toEqual({
+            title: 'Haiku about tests',
+            source: 'Claude',
+            publishedDate: '2026-02-14T18:30:00.000Z',
+            extra: { model: 'Claude Sonnet 4' }
+        });
+    });
+
+    it('keeps code and math but drops the action bar', () => {
+        const { article } = extractClaudeConversation(createDocument(fixture, chatUrl));
+        const assistant = article.querySelector('section[data-speaker-role="assistant"]');
+
+        expect(assistant.querySelector('code.language-bash')?.textContent).toBe('pnpm test');
+        expect(assistant.querySelector('[data-pagetomd-math="inline"]')?.textContent).toBe('5 + 7 + 5');
+        expect(article.textContent).not.toMatch(/Retry|Copy/);
+    });
+});
@@ -0,0 +1,35 @@
+// navigator.clipboard needs focus and, outside a user gesture, the
+// clipboardWrite permission. execCommand('copy') still works in content
+// scripts on pages that deny the async API, so keep it as a fallback.
+function copyWithExecCommand(text, doc) {
+    const textarea = doc.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.top = '-1000px';
+    textarea.style.opacity = '0';
+    doc.body.appendChild(textarea);
+
+    try {
+        textarea.select();
+        return doc.execCommand('copy');
+    } finally {
+        textarea.remove();
+    }
+}
+
+export async function writeClipboardText(text, doc = document) {
+    const clipboard = doc.defaultView?.navigator?.clipboard;
+    if (clipboard?.writeText) {
+        try {
+            await clipboard.writeText(text);
+            return;
+        } catch (error) {
+            console.warn('[PageToMD] navigator.clipboard failed, trying execCommand', error);
+        }
+    }
+
+    if (!copyWithExecCommand(text, doc)) {
+        throw new Error('Clipboard write was blocked by the page');
+    }
+}
@@ -0,0 +1,107 @@
+export const DEFAULT_FILENAME_TEMPLATE = '{title} - {domain}';
+
+export const FILENAME_PLACEHOLDERS = ['title', 'domain', 'date', 'author', 'slug', 'source'];
+
+const PLACEHOLDER_RE = /\{(\w+)(?::([^}]+))?\}/g;
+const UNSAFE_CHARS_RE = /[<>:"/\\|?*\x00-\x1f]/g;
+const MAX_SEGMENT_LENGTH = 100;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function formatDate(date, format = 'YYYY-MM-DD') {
+    const tokens = {
+        YYYY: String(date.getFullYear()),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+export function slugify(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 80)
+        .replace(/-+$/, '');
+}
+
+// Device names Windows refuses as a file or folder name, with or without an extension.
+const WINDOWS_RESERVED_RE = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])(?=\.|$)/i;
+
+export function sanitizeSegment(segment) {
+    return String(segment ?? '')
+        .replace(UNSAFE_CHARS_RE, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        // Leading dots hide files or climb directories; trailing dots and
+        // spaces are stripped by Windows and break the download.
+        .replace(/^[.\s]+|[.\s]+$/g, '')
+        .substring(0, MAX_SEGMENT_LENGTH)
+        .trim()
+        .replace(WINDOWS_RESERVED_RE, '$1_');
+}
+
+function resolvePlaceholder(name, format, metadata, now) {
+    switch (name) {
+        case 'title':
+            return metadata?.title || 'untitled';
+        case 'domain':
+            return metadata?.domain || 'web-clipper';
+        case 'date':
+            return formatDate(now, format || 'YYYY-MM-DD');
+        case 'author':
+            return metadata?.author || '';
+        case 'slug':
+            return slugify(metadata?.title) || 'untitled';
+        case 'source':
+            return metadata?.source || metadata?.domain || '';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Replaces known placeholders in free text (used for templated frontmatter
+ * values). Unknown placeholders are left as typed.
+ */
+export function fillPlaceholders(text, metadata, { now = new Date() } = {}) {
+    return String(text ?? '').replace(PLACEHOLDER_RE, (match, name, format) => {
+        const value = resolvePlaceholder(name, format, metadata, now);
+        return value == null ? match : String(value);
+    });
+}
+
+/**
+ * Renders a filename template such as `clips/{domain}/{date}-{slug}` into a
+ * download path relative to the downloads folder. `/` in the template makes
+ * subfolders; `/` inside a placeholder value never does.
+ */
+export function renderFilename(template, metadata, { now = new Date(), extension = 'md' } = {}) {
+    const source = (template || '').trim() || DEFAULT_FILENAME_TEMPLATE;
+    const suffix = `.${extension}`;
+
+    const segments = source
+        .split('/')
+        .map((segment) =>
+            segment.replace(PLACEHOLDER_RE, (match, name, format) => {
+                const value = resolvePlaceholder(name, format, metadata, now);
+                if (value == null) return match;
+                return String(value).replace(/[/\\]/g, ' ');
+            })
+        )
+        .map(sanitizeSegment)
+        .filter(Boolean);
+
+    let basename = segments.pop() || 'untitled';
+    if (basename.toLowerCase().endsWith(suffix)) {
+        basename = basename.slice(0, -suffix.length).trim() || 'untitled';
+    }
+
+    return [...segments, `${basename}${suffix}`].join('/');
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FILENAME_TEMPLATE, fillPlaceholders, renderFilename, sanitizeSegment, slugify } from './filenameTemplate.js';
+
+describe('filenameTemplate', () => {
+    const now = new Date(2026, 2, 7, 9, 5, 3);
+    const metadata = {
+        title: 'Understanding Readability: A "Deep" Dive',
+        domain: 'developer.mozilla.org',
+        author: 'Jane Doe',
+        source: 'MDN'
+    };
+
+    it('keeps the historical "<title> - <domain>.md" default', () => {
+        expect(renderFilename(DEFAULT_FILENAME_TEMPLATE, metadata, { now })).toBe(
+            'Understanding Readability A Deep Dive - developer.mozilla.org.md'
+        );
+        expect(renderFilename('', metadata, { now })).toBe(
+            'Understanding Readability A Deep Dive - developer.mozilla.org.md'
+        );
+    });
+
+    it('routes into subfolders and formats dates', () => {
+        expect(renderFilename('clips/{domain}/{date}-{slug}.md', metadata, { now })).toBe(
+            'clips/developer.mozilla.org/2026-03-07-understanding-readability-a-deep-dive.md'
+        );
+        expect(renderFilename('{date:YYYY}/{date:MM-DD HH.mm.ss} {author}', metadata, { now })).toBe(
+            '2026/03-07 09.05.03 Jane Doe.md'
+        );
+        expect(renderFilename('{source}/{title}', metadata, { now, extension: 'srt' })).toBe(
+            'MDN/Understanding Readability A Deep Dive.srt'
+        );
+    });
+
+    it('never lets placeholder values create folders or climb out', () => {
+        expect(renderFilename('{title}', { title: '../../etc/passwd' }, { now })).toBe('etc passwd.md');
+        expect(renderFilename('../{title}', { title: 'a/b' }, { now })).toBe('a b.md');
+    });
+
+    it('drops empty segments and leaves unknown placeholders untouched', () => {
+        expect(renderFilename('{author}/{title}', { title: 'Post' }, { now })).toBe('Post.md');
+        expect(renderFilename('{nope} {title}', { title: 'Post' }, { now })).toBe('{nope} Post.md');
+    });
+
+    it('sanitizes and truncates each segment', () => {
+        expect(sanitizeSegment('  a<b>c:d*?  ')).toBe('abcd');
+        expect(sanitizeSegment('.hidden.')).toBe('hidden');
+        expect(sanitizeSegment('CON')).toBe('CON_');
+        expect(sanitizeSegment('nul.')).toBe('nul_');
+        expect(sanitizeSegment('com1.backup')).toBe('com1_.backup');
+        expect(sanitizeSegment('Console')).toBe('Console');
+        expect(sanitizeSegment('x'.repeat(150))).toHaveLength(100);
+    });
+
+    it('fills placeholders in free text without sanitizing', () => {
+        expect(fillPlaceholders('Clipped from {source} on {date}', metadata, { now })).toBe(
+            'Clipped from MDN on 2026-03-07'
+        );
+        expect(fillPlaceholders('{title}', metadata, { now })).toBe(metadata.title);
+    });
+
+    it('slugifies titles', () => {
+        expect(slugify('Crème Brûlée — 10 Tips!')).toBe('creme-brulee-10-tips');
+        expect(slugify('')).toBe('');
+    });
+});
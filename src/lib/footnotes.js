@@ -0,0 +1,155 @@
+/**
+ * Footnotes. References are swapped for placeholder elements carrying the
+ * label and the notes they point at are gathered into definition
+ * placeholders at the end; the converter's Turndown rules write them as
+ * `[^1]` and `[^1]: …`.
+ *
+ * Recognized references: Wikipedia's `sup.reference`, `a.footnote-ref`
+ * (Hugo, Jekyll, markdown-it), Substack's `a.footnote-anchor`,
+ * `role="doc-noteref"`, GitHub's `data-footnote-ref`, and the `sup#fnref:N`
+ * form Defuddle rewrites footnotes into.
+ */
+
+export const FOOTNOTE_REF_ATTRIBUTE = 'data-pagetomd-footnote-ref';
+export const FOOTNOTE_ATTRIBUTE = 'data-pagetomd-footnote';
+
+const REFERENCE_SELECTOR =
+    'sup.reference, a.footnote-ref, a.footnote-anchor, [role="doc-noteref"], a[data-footnote-ref], sup[id^="fnref"]';
+
+// Where a note ends when the link target is an anchor inside it.
+const NOTE_SELECTOR = 'li, .footnote, [role="doc-endnote"], aside';
+
+// "Jump up" / ↩ links and Substack's note numbers.
+const BACKLINK_SELECTOR = '.mw-cite-backlink, .footnote-backref, [role="doc-backlink"], [data-footnote-backref], a.footnote-number';
+
+// Wikipedia's text without its backlinks, Substack's note body.
+const NOTE_CONTENT_SELECTOR = '.reference-text, .footnote-content';
+
+function findLink(reference) {
+    return reference.matches('a[href*="#"]') ? reference : reference.querySelector('a[href*="#"]');
+}
+
+function targetId(link) {
+    const hash = link.getAttribute('href')?.split('#')[1];
+    if (!hash) return '';
+    try {
+        return decodeURIComponent(hash);
+    } catch {
+        return hash;
+    }
+}
+
+// Link targets under `root` by id (and old-style `<a name>`).
+function indexTargets(root) {
+    const targets = new Map();
+    for (const el of root.querySelectorAll('[id], a[name]')) {
+        const id = el.id || el.getAttribute('name');
+        if (!targets.has(id)) targets.set(id, el);
+    }
+    return targets;
+}
+
+function findNote(targets, sourceDoc, id) {
+    const target = targets.get(id) ?? sourceDoc?.getElementById(id) ?? null;
+    if (!target) return null;
+    return target.matches('a, sup, span') ? (target.closest(NOTE_SELECTOR) ?? target.parentElement) : target;
+}
+
+// "[12]" → "12", "[note 3]" → "note-3"; Markdown labels cannot hold spaces.
+function labelFromText(text) {
+    return text.replace(/^[[(]|[\])]$/g, '').trim().replace(/\s+/g, '-').replace(/[[\]^]/g, '');
+}
+
+function createReference(doc, label) {
+    const placeholder = doc.createElement('span');
+    placeholder.setAttribute(FOOTNOTE_REF_ATTRIBUTE, label);
+    placeholder.textContent = label;
+    return placeholder;
+}
+
+function buildDefinition(doc, note, label, referenceIds) {
+    const content = (note.querySelector(NOTE_CONTENT_SELECTOR) ?? note).cloneNode(true);
+    content.querySelectorAll(BACKLINK_SELECTOR).forEach((el) => el.remove());
+    content.querySelectorAll('a[href*="#"]').forEach((link) => {
+        if (referenceIds.has(targetId(link))) link.remove();
+    });
+
+    const definition = doc.createElement('div');
+    definition.setAttribute(FOOTNOTE_ATTRIBUTE, label);
+    definition.append(...Array.from(content.childNodes, (node) => doc.importNode(node, true)));
+    return definition;
+}
+
+// Drops a note, then any wrapper (list, "footnotes" section, <hr>) left empty.
+function removeNote(root, note) {
+    let node = note;
+    while (node && node !== root && node.parentElement) {
+        const parent = node.parentElement;
+        node.remove();
+        if (parent === root || parent.textContent.trim() || parent.querySelector('img, [data-pagetomd-math]')) break;
+        node = parent;
+    }
+}
+
+/**
+ * Converts the footnotes under `root`; returns how many notes were gathered.
+ * Notes missing from `root` (a selection, say) are looked up in `sourceDoc`;
+ * references whose note cannot be found are left alone.
+ */
+export function convertFootnotes(root, { sourceDoc = null } = {}) {
+    const doc = root.ownerDocument ?? root;
+    const notes = new Map(); // note element → label
+    const labels = new Set();
+    const references = [];
+    const targets = indexTargets(root);
+
+    for (const reference of root.querySelectorAll(REFERENCE_SELECTOR)) {
+        // `sup.reference > a.footnote-ref` and similar nestings: the outer one wins.
+        if (references.some((entry) => entry.element.contains(reference))) continue;
+        const link = findLink(reference);
+        const id = link ? targetId(link) : '';
+        const note = id ? findNote(targets, sourceDoc, id) : null;
+        if (!note || note.contains(reference)) continue;
+
+        if (!notes.has(note)) {
+            let label = labelFromText(link.textContent);
+            if (!label || labels.has(label)) label = String(notes.size + 1);
+            while (labels.has(label)) label = `${label}-${notes.size + 1}`;
+            labels.add(label);
+            notes.set(note, label);
+        }
+        const sup = reference.closest('sup');
+        const element = sup && root.contains(sup) ? sup : reference;
+        references.push({ element, link, label: notes.get(note) });
+    }
+    if (!notes.size) return 0;
+
+    const referenceIds = new Set(
+        references.flatMap(({ element, link }) => [element.id, link.id].filter(Boolean))
+    );
+    for (const { element, label } of references) {
+        element.replaceWith(createReference(doc, label));
+    }
+
+    const container = doc.createElement('div');
+    container.setAttribute('data-pagetomd-footnotes', '');
+    for (const [note, label] of notes) {
+        container.appendChild(buildDefinition(doc, note, label, referenceIds));
+    }
+    for (const note of notes.keys()) {
+        if (root.contains(note)) removeNote(root, note);
+    }
+    root.appendChild(container);
+    return notes.size;
+}
+
+export function formatFootnoteReference(label) {
+    return `[^${label}]`;
+}
+
+/** `[^label]: text`, with later lines indented so they stay in the note. */
+export function formatFootnoteDefinition(label, content) {
+    const lines = content.trim().split('\n');
+    const body = lines.map((line, index) => (index && line ? `    ${line}` : line)).join('\n');
+    return `\n\n[^${label}]: ${body}\n\n`;
+}
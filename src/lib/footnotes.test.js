@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { FOOTNOTE_ATTRIBUTE, FOOTNOTE_REF_ATTRIBUTE, convertFootnotes, formatFootnoteDefinition, formatFootnoteReference } from './footnotes.js';
+
+function parse(html) {
+    const doc = new Window().document;
+    doc.body.innerHTML = html;
+    return doc;
+}
+
+function references(doc) {
+    return Array.from(doc.body.querySelectorAll(`[${FOOTNOTE_REF_ATTRIBUTE}]`), (el) => el.getAttribute(FOOTNOTE_REF_ATTRIBUTE));
+}
+
+function definitions(doc) {
+    return Array.from(doc.body.querySelectorAll(`[${FOOTNOTE_ATTRIBUTE}]`), (el) => [
+        el.getAttribute(FOOTNOTE_ATTRIBUTE),
+        el.textContent.replace(/\s+/g, ' ').trim()
+    ]);
+}
+
+describe('footnotes', () => {
+    it('gathers Wikipedia citations and drops the jump-up links', () => {
+        const doc = parse(
+            '<p>Cats sleep a lot.<sup id="cite_ref-a_1-0" class="reference"><a href="#cite_note-a-1">[1]</a></sup> ' +
+                'They purr.<sup id="cite_ref-2" class="reference"><a href="#cite_note-2">[2]</a></sup>' +
+                '<sup id="cite_ref-a_1-1" class="reference"><a href="#cite_note-a-1">[1]</a></sup></p>' +
+                '<h2>References</h2>' +
+                '<div class="reflist"><div class="mw-references-wrap"><ol class="references">' +
+                '<li id="cite_note-a-1"><span class="mw-cite-backlink">^ <a href="#cite_ref-a_1-0"><sup><i><b>a</b></i></sup></a> ' +
+                '<a href="#cite_ref-a_1-1"><sup><i><b>b</b></i></sup></a></span> <span class="reference-text">Smith 2001, p. 3.</span></li>' +
+                '<li id="cite_note-2"><span class="mw-cite-backlink"><b><a href="#cite_ref-2">Jump up</a></b></span> ' +
+                '<span class="reference-text"><a href="https://example.org/purr">Purring explained</a>.</span></li>' +
+                '</ol></div></div>'
+        );
+
+        expect(convertFootnotes(doc.body)).toBe(2);
+        expect(references(doc)).toEqual(['1', '2', '1']);
+        expect(definitions(doc)).toEqual([
+            ['1', 'Smith 2001, p. 3.'],
+            ['2', 'Purring explained.']
+        ]);
+        expect(doc.body.querySelector('.reflist')).toBeNull();
+        expect(doc.body.textContent).not.toContain('Jump up');
+        expect(doc.body.lastElementChild.hasAttribute('data-pagetomd-footnotes')).toBe(true);
+    });
+
+    it('handles footnote-ref, doc-noteref and Defuddle markup', () => {
+        const doc = parse(
+            '<p>One<sup id="fnref:1"><a href="#fn:1" class="footnote-ref" role="doc-noteref">1</a></sup> ' +
+                'two<a href="#fn:note" role="doc-noteref">[note 2]</a></p>' +
+                '<section class="footnotes" role="doc-endnotes"><hr><ol>' +
+                '<li id="fn:1" role="doc-endnote"><p>First. <a href="#fnref:1" class="footnote-backref" role="doc-backlink">↩</a></p></li>' +
+                '<li id="fn:note"><p>Second, with <em>emphasis</em>.</p><p>And a second paragraph.</p></li>' +
+                '</ol></section>'
+        );
+
+        expect(convertFootnotes(doc.body)).toBe(2);
+        expect(references(doc)).toEqual(['1', 'note-2']);
+        expect(definitions(doc)).toEqual([
+            ['1', 'First.'],
+            ['note-2', 'Second, with emphasis.And a second paragraph.']
+        ]);
+        expect(doc.body.querySelector('section.footnotes')).toBeNull();
+        expect(doc.body.querySelector('hr')).toBeNull();
+    });
+
+    it('handles Substack footnotes', () => {
+        const doc = parse(
+            '<p>Claim<a class="footnote-anchor" id="footnote-anchor-1" href="#footnote-1">1</a>.</p>' +
+                '<div class="footnote"><a id="footnote-1" href="#footnote-anchor-1" class="footnote-number">1</a>' +
+                '<div class="footnote-content"><p>Source for the claim.</p></div></div>'
+        );
+
+        expect(convertFootnotes(doc.body)).toBe(1);
+        expect(references(doc)).toEqual(['1']);
+        expect(definitions(doc)).toEqual([['1', 'Source for the claim.']]);
+        expect(doc.body.querySelector('.footnote')).toBeNull();
+    });
+
+    it('looks up notes missing from a selection in the page and leaves unknown references alone', () => {
+        const page = parse('<ol><li id="cite_note-9"><span class="reference-text">Page note.</span></li></ol>');
+        const selection = parse(
+            '<p>Quoted<sup class="reference"><a href="#cite_note-9">[9]</a></sup> and<sup class="reference"><a href="#cite_note-x">[4]</a></sup></p>'
+        );
+
+        expect(convertFootnotes(selection.body, { sourceDoc: page })).toBe(1);
+        expect(references(selection)).toEqual(['9']);
+        expect(definitions(selection)).toEqual([['9', 'Page note.']]);
+        expect(selection.body.querySelector('a[href="#cite_note-x"]')).not.toBeNull();
+        expect(page.getElementById('cite_note-9')).not.toBeNull();
+    });
+
+    it('formats references and multi-line definitions', () => {
+        expect(formatFootnoteReference('1')).toBe('[^1]');
+        expect(formatFootnoteDefinition('1', '\n\nFirst paragraph.\n\nSecond line\n\n')).toBe(
+            '\n\n[^1]: First paragraph.\n\n    Second line\n\n'
+        );
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Frontmatter serializers. `data` is the ordered object produced by
+ * buildFrontmatterData(); values may be strings, numbers, booleans, Dates,
+ * arrays and nested plain objects.
+ */
+
+export const FRONTMATTER_FORMATS = ['yaml', 'toml', 'json', 'none'];
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const isDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+function escapeDoubleQuoted(text) {
+    return text.replace(/[\\"\u0000-\u001f\u007f\u2028\u2029]/g, (ch) => {
+        switch (ch) {
+            case '\\': return '\\\\';
+            case '"': return '\\"';
+            case '\n': return '\\n';
+            case '\r': return '\\r';
+            case '\t': return '\\t';
+            case '\b': return '\\b';
+            case '\f': return '\\f';
+            default: return `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`;
+        }
+    });
+}
+
+/* ------------------------------------------------------------------ */
+/*  YAML                                                              */
+/* ------------------------------------------------------------------ */
+
+const YAML_PLAIN_KEY_RE = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+function yamlKey(key) {
+    return YAML_PLAIN_KEY_RE.test(key) ? key : `"${escapeDoubleQuoted(key)}"`;
+}
+
+function yamlNumber(value) {
+    if (Number.isNaN(value)) return '.nan';
+    if (value === Infinity) return '.inf';
+    if (value === -Infinity) return '-.inf';
+    return String(value);
+}
+
+// Block scalars can only hold printable text; anything else stays quoted.
+function canUseBlockScalar(text) {
+    return text.includes('\n') && !/[\u0000-\u0008\u000b-\u001f\u007f\r]/.test(text);
+}
+
+function yamlBlockScalar(text, indent) {
+    const pad = ' '.repeat(indent);
+    const trailing = text.match(/\n*$/)[0].length;
+    const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    const body = trailing ? text.slice(0, -trailing) : text;
+    // An indentation indicator is required when the first line starts with a
+    // space, otherwise the parser would take that space as the block indent.
+    // It counts from the parent node, and values always sit two columns in
+    // from their key or list dash.
+    const indicator = /^[ \n]/.test(body) ? '2' : '';
+    const lines = body.split('\n').map((line) => (line ? pad + line : ''));
+    for (let i = 1; i < trailing; i += 1) lines.push('');
+    return `|${indicator}${chomp}\n${lines.join('\n')}`;
+}
+
+function yamlScalar(value, indent) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') return yamlNumber(value);
+    if (isDate(value)) return value.toISOString();
+    const text = String(value);
+    if (canUseBlockScalar(text)) return yamlBlockScalar(text, indent);
+    return `"${escapeDoubleQuoted(text)}"`;
+}
+
+function yamlEntries(object, indent) {
+    const pad = ' '.repeat(indent);
+    return Object.entries(object)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${pad}${yamlKey(key)}:${yamlValue(value, indent)}`);
+}
+
+function yamlValue(value, indent) {
+    if (Array.isArray(value)) {
+        if (!value.length) return ' []';
+        const pad = ' '.repeat(indent + 2);
+        const items = value.map((item) => {
+            if (isPlainObject(item) && Object.keys(item).length) {
+                const [first, ...rest] = yamlEntries(item, indent + 4);
+                return `${pad}- ${first.trimStart()}${rest.length ? `\n${rest.join('\n')}` : ''}`;
+            }
+            if (Array.isArray(item)) {
+                return `${pad}-${yamlValue(item, indent + 2).replace(/^\n\s*/, ' ')}`;
+            }
+            return `${pad}- ${yamlScalar(item, indent + 4)}`;
+        });
+        return `\n${items.join('\n')}`;
+    }
+
+    if (isPlainObject(value)) {
+        const entries = yamlEntries(value, indent + 2);
+        return entries.length ? `\n${entries.join('\n')}` : ' {}';
+    }
+
+    return ` ${yamlScalar(value, indent + 2)}`;
+}
+
+export function toYaml(data) {
+    return yamlEntries(data ?? {}, 0).join('\n');
+}
+
+/* ------------------------------------------------------------------ */
+/*  TOML                                                              */
+/* ------------------------------------------------------------------ */
+
+const TOML_BARE_KEY_RE = /^[A-Za-z0-9_-]+$/;
+
+function tomlKey(key) {
+    return TOML_BARE_KEY_RE.test(key) ? key : `"${escapeDoubleQuoted(key)}"`;
+}
+
+function tomlString(text) {
+    if (text.includes('\n') && !/[\u0000-\u0008\u000b-\u001f\u007f]/.test(text)) {
+        const body = text.replace(/\\/g, '\\\\').replace(/"""/g, '""\\"').replace(/\r/g, '\\r');
+        // A newline right after the opening delimiter is trimmed by TOML.
+        return `"""\n${body}"""`;
+    }
+    return `"${escapeDoubleQuoted(text)}"`;
+}
+
+function tomlInline(value) {
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return 'nan';
+        if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+        return String(value);
+    }
+    if (isDate(value)) return value.toISOString();
+    if (Array.isArray(value)) {
+        return `[${value.filter((item) => item != null).map(tomlInline).join(', ')}]`;
+    }
+    if (isPlainObject(value)) {
+        const parts = Object.entries(value)
+            .filter(([, v]) => v != null)
+            .map(([k, v]) => `${tomlKey(k)} = ${tomlInline(v)}`);
+        return `{ ${parts.join(', ')} }`;
+    }
+    return tomlString(String(value));
+}
+
+const isTableArray = (value) =>
+    Array.isArray(value) && value.length > 0 && value.every((item) => isPlainObject(item));
+
+function tomlTable(object, path, lines) {
+    const nested = [];
+    for (const [key, value] of Object.entries(object)) {
+        // TOML has no null; omitting the key is the closest equivalent.
+        if (value === null || value === undefined) continue;
+        if (isPlainObject(value) || isTableArray(value)) {
+            nested.push([key, value]);
+            continue;
+        }
+        lines.push(`${tomlKey(key)} = ${tomlInline(value)}`);
+    }
+
+    for (const [key, value] of nested) {
+        const childPath = [...path, tomlKey(key)];
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                lines.push('', `[[${childPath.join('.')}]]`);
+                tomlTable(item, childPath, lines);
+            }
+        } else {
+            lines.push('', `[${childPath.join('.')}]`);
+            tomlTable(value, childPath, lines);
+        }
+    }
+}
+
+export function toToml(data) {
+    const lines = [];
+    tomlTable(data ?? {}, [], lines);
+    return lines.join('\n');
+}
+
+/* ------------------------------------------------------------------ */
+/*  Entry point                                                       */
+/* ------------------------------------------------------------------ */
+
+export function serializeFrontmatter(data, format = 'yaml') {
+    switch (format) {
+        case 'none':
+            return '';
+        case 'json':
+            return `${JSON.stringify(data ?? {}, null, 2)}\n\n`;
+        case 'toml':
+            return `+++\n${toToml(data)}\n+++\n\n`;
+        case 'yaml':
+        default:
+            return `---\n${toYaml(data)}\n---\n\n`;
+    }
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { parse as parseYaml } from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+import { serializeFrontmatter, toToml, toYaml } from './frontmatter.js';
+
+function unwrap(text, delimiter) {
+    const lines = text.split('\n');
+    expect(lines[0]).toBe(delimiter);
+    const end = lines.indexOf(delimiter, 1);
+    expect(end).toBeGreaterThan(0);
+    return lines.slice(1, end).join('\n');
+}
+
+describe('frontmatter', () => {
+    const tricky = {
+        title: 'He said "hi" \\ left',
+        description: 'Line one\nLine two\n\n  indented line three',
+        note: '  leading spaces\nand more',
+        trailing: 'ends with newline\n',
+        colon: 'key: value # not a comment',
+        looksLikeBool: 'true',
+        looksLikeNumber: '007',
+        control: 'bell\u0007tab\there',
+        tags: ['c++', 'say "cheese"', 'back\\slash', '- dash', ''],
+        word_count: 1234,
+        ratio: 0.5,
+        selection: true,
+        'odd key': 'x',
+        nested: { level: 2, list: ['a', 'b'], deeper: { ok: false } },
+        people: [{ name: 'Ann', role: 'author' }, { name: 'Bob' }],
+        empty_list: [],
+        matrix: [['a', 'b'], ['c']]
+    };
+
+    it('round-trips awkward strings, numbers, lists and objects through YAML', () => {
+        const yaml = toYaml(tricky);
+        expect(parseYaml(yaml)).toEqual(tricky);
+    });
+
+    it('round-trips multiline strings nested in maps, lists and lists of maps through YAML', () => {
+        const nested = {
+            extra: { d: '  leading\nsecond', deeper: { e: '\n blank first\nend\n\n' } },
+            list: ['  lead\nx', 'plain\nlines'],
+            people: [{ bio: '  indented\nbio', name: 'Ann' }, { name: 'Bob', bio: ' x\ny\n' }],
+            matrix: [['  a\nb']]
+        };
+        const yaml = toYaml(nested);
+        expect(yaml).toContain('d: |2-\n      leading\n    second');
+        expect(parseYaml(yaml)).toEqual(nested);
+    });
+
+    it('uses block scalars for multiline values and quotes everything ambiguous', () => {
+        const yaml = toYaml({ description: 'one\ntwo', flag: 'yes', count: 3 });
+        expect(yaml).toBe('description: |-\n  one\n  two\nflag: "yes"\ncount: 3');
+    });
+
+    it('emits dates as YAML timestamps', () => {
+        const saved = new Date('2026-03-07T09:05:03.000Z');
+        const yaml = toYaml({ date_saved: saved });
+        expect(yaml).toBe('date_saved: 2026-03-07T09:05:03.000Z');
+        expect(parseYaml(yaml, { customTags: ['timestamp'] }).date_saved).toEqual(saved);
+    });
+
+    it('skips undefined values but keeps explicit nulls', () => {
+        expect(parseYaml(toYaml({ a: undefined, b: null }))).toEqual({ b: null });
+    });
+
+    it('round-trips through TOML', () => {
+        const toml = toToml({ ...tricky, saved: new Date('2026-03-07T09:05:03.000Z'), dropped: null });
+        const { saved, ...parsed } = parseToml(toml);
+        expect(saved.toISOString()).toBe('2026-03-07T09:05:03.000Z');
+        expect(parsed).toEqual(tricky);
+    });
+
+    it('wraps each format in its delimiters', () => {
+        const data = { title: 'Post', tags: ['a'] };
+        const yaml = serializeFrontmatter(data, 'yaml');
+        expect(yaml.endsWith('---\n\n')).toBe(true);
+        expect(parseYaml(unwrap(yaml, '---'))).toEqual(data);
+
+        const toml = serializeFrontmatter(data, 'toml');
+        expect(toml.endsWith('+++\n\n')).toBe(true);
+        expect(parseToml(unwrap(toml, '+++'))).toEqual(data);
+
+        const json = serializeFrontmatter(data, 'json');
+        expect(JSON.parse(json)).toEqual(data);
+        expect(json.endsWith('}\n\n')).toBe(true);
+
+        expect(serializeFrontmatter(data, 'none')).toBe('');
+    });
+});
@@ -0,0 +1,75 @@
+import {
+    adoptCodeLanguage,
+    appendTurn,
+    cleanModelName,
+    createTranscriptArticle,
+    findConversationDate,
+    isChatHost
+} from './chatTranscript.js';
+
+const GEMINI_HOST_PATTERN = /^gemini\.google\.com$/i;
+const TURN_SELECTOR = 'user-query, model-response';
+const UI_SELECTORS = ['message-actions', '.code-block-decoration', 'sources-carousel-inline', 'mat-icon'];
+
+export function isGeminiConversationPage(doc = document) {
+    return isChatHost(doc, GEMINI_HOST_PATTERN) && !!doc.querySelector(TURN_SELECTOR);
+}
+
+// Gemini only names the language in the header it draws above a code block.
+function labelCodeBlocks(turn) {
+    for (const block of turn.querySelectorAll('code-block, .code-block')) {
+        const label = block.querySelector('.code-block-decoration > span, .code-block-decoration')?.textContent;
+        adoptCodeLanguage(block.querySelector('pre code, code'), label);
+    }
+}
+
+function findModelName(doc) {
+    return cleanModelName(
+        doc.querySelector('[data-test-id="bard-mode-menu-button"]')?.textContent ??
+            doc.querySelector('.current-mode-title, bard-mode-switcher button')?.textContent
+    );
+}
+
+export function extractGeminiConversation(doc = document) {
+    if (!isGeminiConversationPage(doc)) return null;
+
+    try {
+        const conversationTitle = doc.querySelector('.conversation-title, [data-test-id="conversation-title"]')?.textContent?.trim();
+        const title = conversationTitle || (doc.title && doc.title !== 'Gemini' ? doc.title : 'Gemini Conversation');
+        const article = createTranscriptArticle(doc, 'gemini', title);
+
+        let added = 0;
+        for (const turn of doc.querySelectorAll(TURN_SELECTOR)) {
+            const role = turn.nodeName === 'USER-QUERY' ? 'user' : 'assistant';
+            const content =
+                role === 'user'
+                    ? turn.querySelector('.query-text') ?? turn
+                    : turn.querySelector('message-content .markdown, message-content') ?? turn;
+            const speaker = role === 'user' ? 'You' : 'Gemini';
+            if (appendTurn(doc, article, { role, speaker, content, uiSelectors: UI_SELECTORS, prepare: labelCodeBlocks })) {
+                added += 1;
+            }
+        }
+
+        if (added === 0) return null;
+        return {
+            article,
+            metadataOverrides: {
+                title,
+                source: 'Gemini',
+                publishedDate: findConversationDate(doc.body),
+                extra: { model: findModelName(doc) }
+            }
+        };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Gemini conversation', error);
+        return null;
+    }
+}
+
+export const geminiSiteExtractor = {
+    name: 'gemini',
+    priority: 20,
+    matches: (doc) => isGeminiConversationPage(doc),
+    extract: (doc) => extractGeminiConversation(doc)
+};
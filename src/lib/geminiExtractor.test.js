@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { Window } from 'happy-dom';
+import { extractGeminiConversation, isGeminiConversationPage } from './geminiExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/gemini-conversation.html', import.meta.url), 'utf-8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.document.title = 'Gemini';
+    window.location.href = url;
+    return window.document;
+}
+
+describe('geminiExtractor', () => {
+    const chatUrl = 'https://gemini.google.com/app/5a6b7c8d';
+
+    it('identifies Gemini conversation pages', () => {
+        expect(isGeminiConversationPage(createDocument(fixture, chatUrl))).toBe(true);
+        expect(isGeminiConversationPage(createDocument('<chat-app></chat-app>', chatUrl))).toBe(false);
+        expect(isGeminiConversationPage(createDocument(fixture, 'https://google.com/app/1'))).toBe(false);
+    });
+
+    it('builds a transcript titled after the conversation', () => {
+        const { article, metadataOverrides } = extractGeminiConversation(createDocument(fixture, chatUrl));
+
+        expect(article.querySelector('h1')?.textContent).toBe('Sorting in Rust');
+        const sections = article.querySelectorAll('section[data-speaker-role]');
+        expect(Array.from(sections, (s) => s.getAttribute('data-speaker'))).toEqual(['You', 'Gemini']);
+        expect(sections[0].textContent).toContain('How do I sort a vector in Rust?');
+        expect(sections[0].textContent).not.toContain('person');
+        expect(metadataOverrides).toMatchObject({ title: 'Sorting in Rust', source: 'Gemini', extra: { model: '2.5 Pro' } });
+    });
+
+    it('moves the code block label onto the code and drops UI chrome', () => {
+        const doc = createDocument(fixture, chatUrl);
+        const { article } = extractGeminiConversation(doc);
+        const assistant = article.querySelector('section[data-speaker-role="assistant"]');
+
+        expect(assistant.querySelector('pre code')?.className).toContain('language-rust');
+        expect(doc.querySelector('pre code')?.className).not.toContain('language-rust');
+        expect(assistant.querySelector('[data-pagetomd-math]')?.textContent).toBe('O(n \\log n)');
+        expect(article.textContent).not.toMatch(/content_copy|thumb_up|refresh/);
+    });
+});
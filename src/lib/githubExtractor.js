@@ -0,0 +1,299 @@
+import { getPageLocation } from './chatTranscript.js';
+import { parseCount, resolvePageUrl, toIsoDate } from './threadComments.js';
+
+const GITHUB_HOST_PATTERN = /^github\.com$/i;
+const TIMELINE_PATH_PATTERN = /^\/[^/]+\/[^/]+\/(issues|pull|discussions)\/(\d+)\/?$/;
+
+const PAGE_KINDS = { issues: 'issue', pull: 'pull-request', discussions: 'discussion' };
+
+// Lists are tried in order: the classic server-rendered markup first, then
+// the React views' test ids.
+const SELECTORS = {
+    title: ['.js-issue-title', '[data-testid="issue-title"]', '.gh-header-title bdi', 'h1 bdi'],
+    state: ['.gh-header-meta .State', '[data-testid="header-state"]', '.State'],
+    labels: [
+        '.js-issue-labels .IssueLabel',
+        '.sidebar-labels .IssueLabel',
+        '[data-testid="sidebar-labels-section"] a',
+        '.discussion-sidebar-item .IssueLabel'
+    ],
+    assignees: [
+        '.js-issue-assignees .assignee',
+        '.sidebar-assignee .assignee',
+        '[data-testid="sidebar-assignees-section"] a[data-hovercard-type="user"]'
+    ],
+    comments: ['.timeline-comment, .review-comment', '[data-testid="issue-body"], [data-testid^="comment-viewer-outer-box"]'],
+    author: ['.author', '[data-testid="issue-body-header-author"]', '[data-testid="avatar-link"]'],
+    body: ['.comment-body', '[data-testid="markdown-body"]', '.markdown-body'],
+    reactions: ['.comment-reactions .social-reaction-summary-item', '.reactions-container button']
+};
+
+// Comment chrome that should never reach the Markdown.
+const UI_SELECTORS = ['.js-comment-edit-form', 'clipboard-copy', '.zeroclipboard-container', 'button', 'tool-tip', 'a.anchor'];
+
+function queryFirst(root, selectors) {
+    for (const selector of selectors) {
+        const match = root.querySelector(selector);
+        if (match) return match;
+    }
+    return null;
+}
+
+function queryAllFirst(root, selectors) {
+    for (const selector of selectors) {
+        const matches = Array.from(root.querySelectorAll(selector));
+        if (matches.length) return matches;
+    }
+    return [];
+}
+
+function parseTimelinePath(doc) {
+    const location = getPageLocation(doc);
+    if (!location || !GITHUB_HOST_PATTERN.test(location.hostname || '')) return null;
+    const match = TIMELINE_PATH_PATTERN.exec(location.pathname || '');
+    return match ? { kind: PAGE_KINDS[match[1]], number: Number(match[2]) } : null;
+}
+
+export function isGithubTimelinePage(doc = document) {
+    return !!parseTimelinePath(doc);
+}
+
+export function isGithubMarkdownPage(doc = document) {
+    const location = getPageLocation(doc);
+    if (!location || !GITHUB_HOST_PATTERN.test(location.hostname || '')) return false;
+    return !parseTimelinePath(doc) && !!doc.querySelector('article.markdown-body');
+}
+
+/**
+ * Turns a rendered diff table (review threads, suggested changes) back into
+ * unified-diff text: hunk headers as-is, lines prefixed with + / - / space.
+ */
+export function diffTableToText(table) {
+    const lines = [];
+    for (const row of table.querySelectorAll('tr')) {
+        const cell = row.querySelector('td.blob-code');
+        if (!cell) continue;
+
+        const inner = cell.querySelector('.blob-code-inner') ?? cell;
+        const text = inner.textContent.replace(/\n$/, '');
+        if (cell.classList.contains('blob-code-hunk')) {
+            lines.push(text.trim());
+            continue;
+        }
+
+        let marker = inner.getAttribute('data-code-marker');
+        if (!marker) {
+            if (cell.classList.contains('blob-code-addition')) marker = '+';
+            else if (cell.classList.contains('blob-code-deletion')) marker = '-';
+            else marker = ' ';
+        }
+        lines.push(`${marker}${text}`);
+    }
+    return lines.join('\n');
+}
+
+function replaceDiffTable(doc, table) {
+    const pre = doc.createElement('pre');
+    const code = doc.createElement('code');
+    code.setAttribute('data-lang', 'diff');
+    code.className = 'language-diff';
+    code.textContent = diffTableToText(table);
+    pre.appendChild(code);
+    return pre;
+}
+
+/**
+ * Readies a rendered Markdown body: diff tables become ```diff blocks, the
+ * `highlight-source-*` / `lang` hints move onto <code> for detectLanguage(),
+ * and copy buttons and heading anchors go.
+ */
+export function prepareGithubMarkdown(doc, root) {
+    for (const table of root.querySelectorAll('table.diff-table, .js-suggested-changes-blob table')) {
+        // A suggestion wrapper already replaced takes its other tables with it.
+        if (!root.contains(table)) continue;
+        const wrapper = table.closest('.js-suggested-changes-blob') ?? table;
+        wrapper.replaceWith(replaceDiffTable(doc, table));
+    }
+
+    for (const pre of root.querySelectorAll('pre')) {
+        const hint =
+            pre.getAttribute('lang') ||
+            /(?:^|\s)highlight-source-(\S+)/.exec(pre.closest('.highlight')?.className ?? '')?.[1] ||
+            null;
+        if (!hint) continue;
+
+        let code = pre.querySelector('code');
+        if (!code) {
+            code = doc.createElement('code');
+            code.append(...pre.childNodes);
+            pre.appendChild(code);
+        }
+        if (!code.hasAttribute('data-lang')) code.setAttribute('data-lang', hint);
+    }
+
+    for (const selector of UI_SELECTORS) {
+        root.querySelectorAll(selector).forEach((el) => el.remove());
+    }
+    return root;
+}
+
+function summarizeReactions(container) {
+    const parts = [];
+    for (const item of queryAllFirst(container, SELECTORS.reactions)) {
+        const emoji = item.querySelector('g-emoji')?.textContent?.trim();
+        const countText =
+            item.querySelector('.js-discussion-reaction-group-count')?.textContent ??
+            item.textContent.replace(emoji ?? '', '');
+        const count = parseCount(countText);
+        if (emoji && count) parts.push(`${emoji} ${count}`);
+    }
+    return parts.join(' · ');
+}
+
+// A review comment opens with the file and hunk it is about; only the first
+// comment in the thread repeats it.
+function findReviewThreadDiff(comment) {
+    const thread = comment.closest('.review-thread-component, .js-resolvable-timeline-thread-container');
+    if (!thread || thread.querySelector('.review-comment') !== comment) return null;
+
+    const table = thread.querySelector('table.diff-table');
+    if (!table || comment.contains(table)) return null;
+    const path = thread.querySelector('.file-header [title], .file-header a, .file-info a')?.textContent?.trim() || null;
+    return { path, table };
+}
+
+function buildCommentSection(doc, container) {
+    const bodySource = queryFirst(container, SELECTORS.body);
+    if (!bodySource) return null;
+
+    const author = queryFirst(container, SELECTORS.author)?.textContent?.trim() || 'ghost';
+    const timeElement = container.querySelector('relative-time[datetime], time[datetime]');
+    const created = toIsoDate(timeElement?.getAttribute('datetime'));
+    const permalink = resolvePageUrl(doc, timeElement?.closest('a')?.getAttribute('href'));
+
+    const section = doc.createElement('section');
+    section.setAttribute('data-github-comment', '');
+    section.setAttribute('data-author', author);
+
+    const heading = doc.createElement('h3');
+    heading.textContent = author;
+    section.appendChild(heading);
+
+    if (created || permalink) {
+        const meta = doc.createElement('p');
+        meta.setAttribute('data-github-meta', 'comment');
+        if (created) meta.append(created);
+        if (permalink) {
+            const anchor = doc.createElement('a');
+            anchor.href = permalink;
+            anchor.textContent = 'permalink';
+            meta.append(created ? ' • ' : '', anchor);
+        }
+        section.appendChild(meta);
+    }
+
+    const reviewDiff = findReviewThreadDiff(container);
+    if (reviewDiff) {
+        if (reviewDiff.path) {
+            const file = doc.createElement('p');
+            const code = doc.createElement('code');
+            code.textContent = reviewDiff.path;
+            file.appendChild(code);
+            section.appendChild(file);
+        }
+        section.appendChild(replaceDiffTable(doc, reviewDiff.table));
+    }
+
+    section.appendChild(prepareGithubMarkdown(doc, bodySource.cloneNode(true)));
+
+    const reactions = summarizeReactions(container);
+    if (reactions) {
+        const meta = doc.createElement('p');
+        meta.setAttribute('data-github-meta', 'reactions');
+        meta.textContent = `Reactions: ${reactions}`;
+        section.appendChild(meta);
+    }
+
+    return { section, author, created };
+}
+
+// The classic markup nests a discussion answer's replies inside the answer;
+// the outermost match of each selector is the comment.
+function findComments(doc) {
+    for (const selector of SELECTORS.comments) {
+        const nodes = Array.from(doc.querySelectorAll(selector)).filter(
+            (node) => !node.parentElement?.closest(selector) || node.matches('.review-comment')
+        );
+        if (nodes.length) return nodes;
+    }
+    return [];
+}
+
+function textList(root, selectors) {
+    return [...new Set(queryAllFirst(root, selectors).map((el) => el.textContent.replace(/\s+/g, ' ').trim()))].filter(Boolean);
+}
+
+/**
+ * Issues, pull requests and discussions: the timeline's comments become one
+ * author/date section each; title, state, labels and assignees go to the
+ * frontmatter.
+ */
+export function extractGithubTimeline(doc = document) {
+    const page = parseTimelinePath(doc);
+    if (!page) return null;
+
+    try {
+        const title = queryFirst(doc, SELECTORS.title)?.textContent?.replace(/\s+/g, ' ').trim() || doc.title;
+        const state = queryFirst(doc, SELECTORS.state)?.textContent?.replace(/\s+/g, ' ').trim() || null;
+        const labels = textList(doc, SELECTORS.labels);
+        const assignees = textList(doc, SELECTORS.assignees);
+
+        const article = doc.createElement('article');
+        article.setAttribute('data-pagetomd-generated', `github-${page.kind}`);
+        const heading = doc.createElement('h1');
+        heading.textContent = `${title} #${page.number}`;
+        article.appendChild(heading);
+
+        const comments = findComments(doc)
+            .map((container) => buildCommentSection(doc, container))
+            .filter(Boolean);
+        if (!comments.length) return null;
+        article.append(...comments.map((comment) => comment.section));
+
+        return {
+            article,
+            metadataOverrides: {
+                title,
+                author: comments[0].author,
+                publishedDate: comments[0].created,
+                extra: { number: page.number, state, labels, assignees }
+            }
+        };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract GitHub timeline', error);
+        return null;
+    }
+}
+
+/** READMEs, blob views and wiki pages: the rendered Markdown is the content. */
+export function extractGithubMarkdown(doc = document) {
+    if (!isGithubMarkdownPage(doc)) {
+        return null;
+    }
+
+    const source = doc.querySelector('#readme article.markdown-body') ?? doc.querySelector('article.markdown-body');
+    const article = doc.createElement('article');
+    article.setAttribute('data-pagetomd-generated', 'github-markdown');
+    article.append(...prepareGithubMarkdown(doc, source.cloneNode(true)).childNodes);
+
+    const firstHeading = article.querySelector('h1')?.textContent?.trim();
+    const fileName = decodeURIComponent(getPageLocation(doc).pathname.split('/').filter(Boolean).at(-1) ?? '');
+    return { article, metadataOverrides: { title: firstHeading || fileName || null } };
+}
+
+export const githubSiteExtractor = {
+    name: 'github',
+    priority: 10,
+    matches: (doc) => isGithubTimelinePage(doc) || isGithubMarkdownPage(doc),
+    extract: (doc) => (isGithubTimelinePage(doc) ? extractGithubTimeline(doc) : extractGithubMarkdown(doc))
+};
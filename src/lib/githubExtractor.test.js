@@ -0,0 +1,97 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractGithubMarkdown, extractGithubTimeline, githubSiteExtractor } from './githubExtractor.js';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.location.href = url;
+    return window.document;
+}
+
+describe('githubExtractor', () => {
+    it('matches timelines and rendered Markdown, but not other GitHub pages', () => {
+        expect(githubSiteExtractor.matches(createDocument('', 'https://github.com/o/bridge/issues/412'))).toBe(true);
+        expect(githubSiteExtractor.matches(createDocument('', 'https://github.com/o/bridge/pull/415'))).toBe(true);
+        expect(githubSiteExtractor.matches(createDocument('', 'https://github.com/o/bridge/discussions/7'))).toBe(true);
+        expect(githubSiteExtractor.matches(createDocument('', 'https://github.com/o/bridge/pull/415/files'))).toBe(false);
+        expect(githubSiteExtractor.matches(createDocument('<div>code</div>', 'https://github.com/o/bridge/blob/main/x.py'))).toBe(false);
+        expect(githubSiteExtractor.matches(createDocument(readFixture('github-readme.html'), 'https://github.com/o/bridge'))).toBe(true);
+    });
+
+    it('puts title, state, labels and assignees in the frontmatter', () => {
+        const doc = createDocument(readFixture('github-issue.html'), 'https://github.com/o/bridge/issues/412');
+        const { article, metadataOverrides } = extractGithubTimeline(doc);
+
+        expect(article.querySelector('h1').textContent).toBe('Expansion joints overlap at low temperatures #412');
+        expect(metadataOverrides).toEqual({
+            title: 'Expansion joints overlap at low temperatures',
+            author: 'ines',
+            publishedDate: '2026-03-10T09:15:00.000Z',
+            extra: { number: 412, state: 'Open', labels: ['bug', 'physics'], assignees: ['ines', 'jun'] }
+        });
+    });
+
+    it('turns each timeline comment into an author/date section', () => {
+        const doc = createDocument(readFixture('github-issue.html'), 'https://github.com/o/bridge/issues/412');
+        const { article } = extractGithubTimeline(doc);
+
+        const sections = article.querySelectorAll('section[data-github-comment]');
+        expect(sections).toHaveLength(2);
+        expect(sections[0].querySelector('h3').textContent).toBe('ines');
+        const meta = sections[0].querySelector('[data-github-meta="comment"]');
+        expect(meta.textContent).toBe('2026-03-10T09:15:00.000Z • permalink');
+        expect(meta.querySelector('a').getAttribute('href')).toBe('https://github.com/o/bridge/issues/412#issue-2001');
+        expect(sections[0].querySelector('pre code').getAttribute('data-lang')).toBe('python');
+        expect(sections[0].querySelector('[data-github-meta="reactions"]').textContent).toBe('Reactions: 👍 5 · 👀 2');
+
+        expect(sections[1].querySelector('h3').textContent).toBe('jun');
+        expect(sections[1].querySelectorAll('.task-list-item-checkbox')).toHaveLength(2);
+        expect(article.querySelector('button, clipboard-copy, textarea, form')).toBeNull();
+        expect(article.textContent).not.toContain('added the');
+    });
+
+    it('renders review hunks and suggested changes as diff blocks', () => {
+        const doc = createDocument(readFixture('github-pull.html'), 'https://github.com/o/bridge/pull/415');
+        const { article, metadataOverrides } = extractGithubTimeline(doc);
+
+        expect(article.getAttribute('data-pagetomd-generated')).toBe('github-pull-request');
+        expect(metadataOverrides.extra.state).toBe('Merged');
+
+        const sections = article.querySelectorAll('section[data-github-comment]');
+        expect(sections).toHaveLength(3);
+
+        const review = sections[1];
+        expect(review.querySelector('p > code').textContent).toBe('src/joints.py');
+        const [hunk, suggestion] = review.querySelectorAll('pre > code.language-diff');
+        expect(hunk.textContent).toBe(
+            ['@@ -10,3 +10,3 @@ def step(state):', '     state = contract(state)', '-    gap = old_gap', '+    gap = compute_gap(state)'].join('\n')
+        );
+        expect(suggestion.textContent).toBe(['-    gap = compute_gap(state)', '+    gap = old_gap = compute_gap(state)'].join('\n'));
+        expect(review.querySelector('table')).toBeNull();
+
+        // Later replies in the same thread do not repeat the hunk.
+        expect(sections[2].querySelector('pre')).toBeNull();
+        expect(sections[2].textContent).toContain('Done.');
+    });
+
+    it('takes README and blob pages from the rendered markdown body', async () => {
+        const doc = createDocument(readFixture('github-readme.html'), 'https://github.com/o/bridge');
+        const { article, metadataOverrides } = await githubSiteExtractor.extract(doc);
+
+        expect(article.querySelector('h1').textContent).toBe('Bridge');
+        expect(article.querySelector('pre code').getAttribute('data-lang')).toBe('shell');
+        expect(article.querySelector('a.anchor, clipboard-copy')).toBeNull();
+        expect(article.textContent).not.toContain('Repository files');
+        expect(metadataOverrides.title).toBe('Bridge');
+
+        const blob = createDocument(
+            '<article class="markdown-body"><p>No heading here.</p></article>',
+            'https://github.com/o/bridge/blob/main/docs/USAGE.md'
+        );
+        expect(extractGithubMarkdown(blob).metadataOverrides.title).toBe('USAGE.md');
+    });
+});
@@ -0,0 +1,120 @@
+import { getPageLocation } from './chatTranscript.js';
+import { appendThreadComments, countThreadComments, createThreadArticle, nestByDepth, parseCount, resolvePageUrl, toIsoDate } from './threadComments.js';
+
+const HN_HOST_PATTERN = /^news\.ycombinator\.com$/i;
+
+// Each reply level is drawn as a 40px spacer image when `indent` is missing.
+const INDENT_WIDTH = 40;
+
+export function isHackerNewsItemPage(doc = document) {
+    const location = getPageLocation(doc);
+    if (!location) return false;
+    return HN_HOST_PATTERN.test(location.hostname || '') && location.pathname === '/item';
+}
+
+// The age title is "2026-03-13T11:07:56 1773400076": UTC time, then epoch seconds.
+function parseAge(ageElement) {
+    const [stamp, epoch] = (ageElement?.getAttribute('title') ?? '').split(' ');
+    if (Number(epoch) > 0) return toIsoDate(Number(epoch));
+    return stamp ? toIsoDate(`${stamp}Z`) : null;
+}
+
+function readIndent(row) {
+    const indentCell = row.querySelector('td.ind');
+    const indent = indentCell?.getAttribute('indent');
+    if (indent != null && indent !== '') return Number(indent) || 0;
+    const width = Number(indentCell?.querySelector('img')?.getAttribute('width'));
+    return width > 0 ? Math.round(width / INDENT_WIDTH) : 0;
+}
+
+function readComments(doc) {
+    const flat = [];
+    for (const row of doc.querySelectorAll('table.comment-tree tr.athing.comtr')) {
+        const text = row.querySelector('.commtext');
+        const author = row.querySelector('.comhead a.hnuser')?.textContent?.trim() || null;
+        const created = parseAge(row.querySelector('.comhead .age'));
+
+        flat.push({
+            depth: readIndent(row),
+            id: row.id || null,
+            author,
+            scoreText: null,
+            created,
+            createdText: created,
+            permalink: row.id ? resolvePageUrl(doc, `item?id=${row.id}`) : null,
+            body: text ? text.cloneNode(true) : null
+        });
+    }
+    return nestByDepth(flat);
+}
+
+/**
+ * Builds the story (title, link, points, author, text) and its comment tree
+ * from an `item?id=` page. HN draws replies as a flat table indented by
+ * depth; the indent is turned back into nesting.
+ */
+export function extractHackerNewsThread(doc = document) {
+    if (!isHackerNewsItemPage(doc)) {
+        return null;
+    }
+
+    try {
+        const story = doc.querySelector('table.fatitem');
+        if (!story) return null;
+
+        const titleLink = story.querySelector('.titleline > a');
+        const subtext = story.querySelector('.subtext');
+        const author = subtext?.querySelector('a.hnuser')?.textContent?.trim() || null;
+        const pointsText = subtext?.querySelector('.score')?.textContent?.trim() || null;
+        const created = parseAge(subtext?.querySelector('.age'));
+        const commentsLink = Array.from(subtext?.querySelectorAll('a[href^="item?id="]') ?? []).find((link) =>
+            /comment|discuss/i.test(link.textContent)
+        );
+
+        const discussionUrl = resolvePageUrl(doc, `item?id=${new URLSearchParams(getPageLocation(doc).search).get('id')}`);
+        const linked = resolvePageUrl(doc, titleLink?.getAttribute('href'));
+        // Ask HN and other text posts link the title back to the discussion.
+        const storyUrl = linked && linked !== discussionUrl ? linked : null;
+
+        const text = story.querySelector('.toptext');
+        const body = text?.textContent?.trim() ? text.cloneNode(true) : null;
+        const title = (titleLink?.textContent || doc.title || 'Hacker News').trim();
+
+        const article = createThreadArticle(doc, 'hacker-news', {
+            title,
+            metaParts: [pointsText, author && `by ${author}`, created],
+            linkUrl: storyUrl,
+            body
+        });
+        const comments = readComments(doc);
+        appendThreadComments(doc, article, 'hacker-news', comments);
+
+        const loaded = countThreadComments(comments);
+        return {
+            article,
+            metadataOverrides: {
+                title,
+                author,
+                publishedDate: created,
+                description: body?.textContent?.trim().slice(0, 280) || null,
+                tags: ['hacker-news'],
+                extra: {
+                    story_url: storyUrl,
+                    discussion_url: discussionUrl,
+                    points: parseCount(pointsText),
+                    comments_included: `${loaded} of ${Math.max(parseCount(commentsLink?.textContent) ?? 0, loaded)}`
+                }
+            }
+        };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Hacker News thread', error);
+        return null;
+    }
+}
+
+export const hackerNewsSiteExtractor = {
+    name: 'hacker-news',
+    priority: 10,
+    matches: (doc) => isHackerNewsItemPage(doc),
+    extract: (doc) => extractHackerNewsThread(doc)
+};
@@ -0,0 +1,77 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractHackerNewsThread, isHackerNewsItemPage } from './hackerNewsExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/hackernews-item.html', import.meta.url), 'utf8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.location.href = url;
+    return window.document;
+}
+
+describe('hackerNewsExtractor', () => {
+    const itemUrl = 'https://news.ycombinator.com/item?id=41000001';
+
+    it('matches item pages only', () => {
+        expect(isHackerNewsItemPage(createDocument('', itemUrl))).toBe(true);
+        expect(isHackerNewsItemPage(createDocument('', 'https://news.ycombinator.com/news'))).toBe(false);
+        expect(isHackerNewsItemPage(createDocument('', 'https://example.com/item?id=1'))).toBe(false);
+    });
+
+    it('outputs the story title, link, points, author and text', () => {
+        const { article } = extractHackerNewsThread(createDocument(fixture, itemUrl));
+
+        expect(article.getAttribute('data-pagetomd-generated')).toBe('hacker-news-thread');
+        expect(article.querySelector('h1').textContent).toBe('Show HN: A tiny bridge simulator');
+        const meta = article.querySelector('[data-hacker-news-meta="post"]').textContent;
+        expect(meta).toContain('250 points');
+        expect(meta).toContain('by trussdesigner');
+        expect(article.querySelector('header a').getAttribute('href')).toBe('https://bridges.example.com/sim');
+        expect(article.querySelector('.hacker-news-post-body').textContent).toContain('expansion joints');
+        expect(article.querySelector('form, textarea, .votearrow')).toBeNull();
+    });
+
+    it('nests comments by their indent', () => {
+        const { article } = extractHackerNewsThread(createDocument(fixture, itemUrl));
+
+        const topLevel = article.querySelectorAll('.hacker-news-comments > ol[data-comment-depth="0"] > li');
+        expect(topLevel).toHaveLength(2);
+        expect(topLevel[0].querySelector(':scope > p').textContent).toContain('alice');
+        expect(topLevel[0].querySelector('ol[data-comment-depth="1"]').textContent).toContain('thermal');
+        expect(topLevel[0].querySelector('ol[data-comment-depth="2"] [data-hacker-news-meta]').textContent).toContain('[deleted]');
+        expect(topLevel[0].querySelector('pre code').textContent).toContain('expand(length, deltaT)');
+        expect(topLevel[1].textContent).toContain('Neat.');
+        expect(topLevel[1].querySelector('.reply')).toBeNull();
+        expect(topLevel[1].querySelector('[data-hacker-news-meta] a').getAttribute('href')).toBe(
+            'https://news.ycombinator.com/item?id=41000004'
+        );
+    });
+
+    it('separates the story URL from the discussion URL in metadata', () => {
+        const { metadataOverrides } = extractHackerNewsThread(createDocument(fixture, itemUrl));
+
+        expect(metadataOverrides).toMatchObject({
+            title: 'Show HN: A tiny bridge simulator',
+            author: 'trussdesigner',
+            publishedDate: '2026-03-13T11:07:56.000Z',
+            tags: ['hacker-news']
+        });
+        expect(metadataOverrides.extra).toEqual({
+            story_url: 'https://bridges.example.com/sim',
+            discussion_url: itemUrl,
+            points: 250,
+            comments_included: '4 of 4'
+        });
+    });
+
+    it('leaves the story URL empty for text posts', () => {
+        const askHn = fixture.replace('href="https://bridges.example.com/sim"', 'href="item?id=41000001"');
+        const { article, metadataOverrides } = extractHackerNewsThread(createDocument(askHn, itemUrl));
+
+        expect(metadataOverrides.extra.story_url).toBeNull();
+        expect(article.textContent).not.toContain('Link:');
+    });
+});
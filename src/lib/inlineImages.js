@@ -0,0 +1,53 @@
+import { fetchAsset } from './assetBundle.js';
+
+/**
+ * Self-contained output: fetches the images of a converted element and turns
+ * them into data URIs. Images over the per-image cap, or that would push the
+ * running total over the overall cap, keep their remote URL.
+ */
+
+export function bytesToDataUri(bytes, mime) {
+    let binary = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+    }
+    return `data:${mime};base64,${btoa(binary)}`;
+}
+
+/**
+ * Returns a Map from each `src` attribute (as written in the markup) to its
+ * data URI. Sources that are already data URIs, fail, are not images, or
+ * exceed the caps are left out.
+ */
+export async function inlineImageSources(
+    sources,
+    { baseUrl, maxImageBytes, maxTotalBytes, fetchImpl = globalThis.fetch } = {}
+) {
+    const inlined = new Map();
+    let totalBytes = 0;
+
+    for (const src of new Set(sources)) {
+        if (!src || src.startsWith('data:') || inlined.has(src)) continue;
+
+        let asset;
+        try {
+            asset = await fetchAsset(new URL(src, baseUrl).href, fetchImpl);
+        } catch (error) {
+            console.warn('[PageToMD] Could not fetch image to inline', src, error);
+            continue;
+        }
+
+        const mime = asset.mime.split(';')[0].trim().toLowerCase();
+        if (!mime.startsWith('image/')) continue;
+        if (asset.bytes.length > maxImageBytes || totalBytes + asset.bytes.length > maxTotalBytes) {
+            console.warn('[PageToMD] Image too large to inline, keeping remote URL', src, asset.bytes.length);
+            continue;
+        }
+
+        totalBytes += asset.bytes.length;
+        inlined.set(src, bytesToDataUri(asset.bytes, mime));
+    }
+
+    return inlined;
+}
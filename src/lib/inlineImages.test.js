@@ -0,0 +1,37 @@
+import { describe, it, expect, vi } from 'vitest';
+import { bytesToDataUri, inlineImageSources } from './inlineImages.js';
+
+function response(size, type) {
+    return {
+        ok: true,
+        status: 200,
+        headers: { get: () => type },
+        arrayBuffer: async () => new Uint8Array(size).fill(65).buffer
+    };
+}
+
+describe('inlineImages', () => {
+    it('encodes bytes as a base64 data URI', () => {
+        expect(bytesToDataUri(new Uint8Array([104, 105]), 'image/png')).toBe('data:image/png;base64,aGk=');
+    });
+
+    it('inlines images within the per-image and total caps', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const sizes = { 'a.png': 3, 'big.png': 50, 'b.png': 4, 'c.png': 4, 'page.html': 2 };
+        const fetchImpl = vi.fn(async (url) => {
+            const name = url.split('/').pop();
+            return response(sizes[name], name.endsWith('.html') ? 'text/html' : 'image/png');
+        });
+
+        const inlined = await inlineImageSources(
+            ['a.png', 'big.png', 'b.png', 'c.png', 'a.png', 'page.html', 'data:image/gif;base64,R0lG'],
+            { baseUrl: 'https://site.test/post/', maxImageBytes: 10, maxTotalBytes: 8, fetchImpl }
+        );
+        warn.mockRestore();
+
+        expect(fetchImpl).toHaveBeenCalledWith('https://site.test/post/a.png', expect.anything());
+        expect(fetchImpl).toHaveBeenCalledTimes(5);
+        expect([...inlined.keys()]).toEqual(['a.png', 'b.png']);
+        expect(inlined.get('a.png')).toBe('data:image/png;base64,QUFB');
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Reads an object literal assigned in one of the page's inline scripts,
+ * e.g. `var ytInitialPlayerResponse = {…};` or `window.playerConfig = {…}`.
+ * Returns null when no script assigns `name` or its value does not parse.
+ */
+export function readInlineJson(doc, name) {
+    const markers = [`var ${name}`, `window["${name}"]`, `window.${name}`];
+    for (const script of doc.querySelectorAll('script')) {
+        const text = script.textContent || '';
+        if (!text.includes(name)) continue;
+
+        for (const marker of markers) {
+            const idx = text.indexOf(marker);
+            if (idx === -1) continue;
+            const eq = text.indexOf('=', idx + marker.length);
+            const start = eq === -1 ? -1 : text.indexOf('{', eq);
+            if (start === -1) continue;
+
+            let depth = 0;
+            let inStr = false;
+            let esc = false;
+            let i = start;
+            for (; i < text.length; i++) {
+                const ch = text[i];
+                if (esc) { esc = false; continue; }
+                if (ch === '\\') { esc = true; continue; }
+                if (ch === '"') { inStr = !inStr; continue; }
+                if (inStr) continue;
+                if (ch === '{') depth++;
+                else if (ch === '}') { depth--; if (depth === 0) { i++; break; } }
+            }
+            try { return JSON.parse(text.slice(start, i)); } catch { /* try the next marker */ }
+        }
+    }
+    return null;
+}
@@ -0,0 +1,120 @@
+import { getPageLocation } from './chatTranscript.js';
+import { appendThreadComments, countThreadComments, createThreadArticle, formatPoints, parseCount, resolvePageUrl, toIsoDate } from './threadComments.js';
+
+const LOBSTERS_HOST_PATTERN = /^lobste\.rs$/i;
+
+export function isLobstersStoryPage(doc = document) {
+    const location = getPageLocation(doc);
+    if (!location) return false;
+    return LOBSTERS_HOST_PATTERN.test(location.hostname || '') && /^\/s\/[^/]+/.test(location.pathname || '');
+}
+
+// `data-at-unix` when present; otherwise the "2026-03-13 11:07:56 -0500" datetime.
+function parseTime(timeElement) {
+    if (!timeElement) return null;
+    const unix = Number(timeElement.getAttribute('data-at-unix'));
+    if (unix > 0) return toIsoDate(unix);
+
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(timeElement.getAttribute('datetime') ?? '');
+    return match ? toIsoDate(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : toIsoDate(timeElement.getAttribute('datetime'));
+}
+
+// The byline links the avatar and the name to the same `/~user` page; only
+// the name link has text.
+function findUserName(byline) {
+    const link = Array.from(byline?.querySelectorAll('a[href^="/~"]') ?? []).find((el) => el.textContent.trim());
+    return link?.textContent.trim() || null;
+}
+
+function readComments(doc, list) {
+    const comments = [];
+    for (const subtree of list?.querySelectorAll(':scope > li.comments_subtree') ?? []) {
+        const node = subtree.querySelector(':scope > .comment');
+        if (!node) continue;
+
+        const byline = node.querySelector('.byline');
+        const score = parseCount(node.querySelector('.voters .score')?.textContent);
+        const created = parseTime(byline?.querySelector('time'));
+        const text = node.querySelector('.comment_text');
+        const shortId = node.getAttribute('data-shortid');
+
+        comments.push({
+            id: shortId,
+            author: findUserName(byline),
+            scoreText: formatPoints(score),
+            created,
+            createdText: created,
+            permalink: shortId ? resolvePageUrl(doc, `/c/${shortId}`) : null,
+            body: text ? text.cloneNode(true) : null,
+            replies: readComments(doc, subtree.querySelector(':scope > ol.comments'))
+        });
+    }
+    return comments;
+}
+
+/** Builds the story (title, link, score, submitter, tags, text) and its comment tree. */
+export function extractLobstersThread(doc = document) {
+    if (!isLobstersStoryPage(doc)) {
+        return null;
+    }
+
+    try {
+        const story = doc.querySelector('li.story');
+        if (!story) return null;
+
+        const titleLink = story.querySelector('.details .link a');
+        const byline = story.querySelector('.byline');
+        const author = byline?.querySelector('a.u-author')?.textContent?.trim() || findUserName(byline);
+        const score = parseCount(story.querySelector('.voters .score')?.textContent);
+        const created = parseTime(byline?.querySelector('time'));
+        const storyTags = Array.from(story.querySelectorAll('.tags a.tag'), (tag) => tag.textContent.trim()).filter(Boolean);
+        const commentCount = parseCount(byline?.querySelector('.comments_label a')?.textContent);
+
+        const shortId = story.getAttribute('data-shortid');
+        const discussionUrl = resolvePageUrl(doc, shortId ? `/s/${shortId}` : getPageLocation(doc).pathname);
+        const linked = resolvePageUrl(doc, titleLink?.getAttribute('href'));
+        // Text-only stories link their title to the discussion itself.
+        const storyUrl = linked && !linked.startsWith(discussionUrl) ? linked : null;
+
+        const text = doc.querySelector('.story_text');
+        const body = text?.textContent?.trim() ? text.cloneNode(true) : null;
+        const title = (titleLink?.textContent || doc.title || 'Lobsters').trim();
+
+        const article = createThreadArticle(doc, 'lobsters', {
+            title,
+            metaParts: [formatPoints(score), author && `by ${author}`, storyTags.join(', '), created],
+            linkUrl: storyUrl,
+            body
+        });
+        const comments = readComments(doc, doc.querySelector('ol.comments.comments1') ?? doc.querySelector('ol.comments'));
+        appendThreadComments(doc, article, 'lobsters', comments);
+
+        const loaded = countThreadComments(comments);
+        return {
+            article,
+            metadataOverrides: {
+                title,
+                author,
+                publishedDate: created,
+                description: body?.textContent?.trim().slice(0, 280) || null,
+                tags: ['lobsters', ...storyTags],
+                extra: {
+                    story_url: storyUrl,
+                    discussion_url: discussionUrl,
+                    points: score,
+                    comments_included: `${loaded} of ${Math.max(commentCount ?? 0, loaded)}`
+                }
+            }
+        };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Lobsters thread', error);
+        return null;
+    }
+}
+
+export const lobstersSiteExtractor = {
+    name: 'lobsters',
+    priority: 10,
+    matches: (doc) => isLobstersStoryPage(doc),
+    extract: (doc) => extractLobstersThread(doc)
+};
@@ -0,0 +1,64 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractLobstersThread, isLobstersStoryPage } from './lobstersExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/lobsters-story.html', import.meta.url), 'utf8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.location.href = url;
+    return window.document;
+}
+
+describe('lobstersExtractor', () => {
+    const storyUrl = 'https://lobste.rs/s/ab12cd/designing_expansion_joints_software';
+
+    it('matches story pages only', () => {
+        expect(isLobstersStoryPage(createDocument('', storyUrl))).toBe(true);
+        expect(isLobstersStoryPage(createDocument('', 'https://lobste.rs/recent'))).toBe(false);
+    });
+
+    it('outputs the story title, link, score, submitter and text', () => {
+        const { article } = extractLobstersThread(createDocument(fixture, storyUrl));
+
+        expect(article.querySelector('h1').textContent).toBe('Designing expansion joints in software');
+        const meta = article.querySelector('[data-lobsters-meta="post"]').textContent;
+        expect(meta).toContain('37 points');
+        expect(meta).toContain('by kim');
+        expect(meta).toContain('programming, practices');
+        expect(article.querySelector('header a').getAttribute('href')).toBe('https://blog.example.net/joints');
+        expect(article.querySelector('.lobsters-post-body').textContent).toContain('room for growth');
+    });
+
+    it('keeps the comment nesting', () => {
+        const { article } = extractLobstersThread(createDocument(fixture, storyUrl));
+
+        const topLevel = article.querySelectorAll('.lobsters-comments > ol[data-comment-depth="0"] > li');
+        expect(topLevel).toHaveLength(2);
+        const firstMeta = topLevel[0].querySelector(':scope > [data-lobsters-meta]');
+        expect(firstMeta.textContent).toContain('rui • 12 points • 2026-03-13T17:00:00.000Z');
+        expect(firstMeta.querySelector('a').getAttribute('href')).toBe('https://lobste.rs/c/aa1111');
+        expect(topLevel[0].querySelector('ol[data-comment-depth="1"]').textContent).toContain('Gap');
+        expect(topLevel[0].querySelector('ol[data-comment-depth="2"]').textContent).toContain('Found it');
+        expect(topLevel[1].textContent).toContain('Slides are linked');
+        expect(article.querySelector('.avatar, input')).toBeNull();
+    });
+
+    it('separates the story URL from the discussion URL in metadata', () => {
+        const { metadataOverrides } = extractLobstersThread(createDocument(fixture, storyUrl));
+
+        expect(metadataOverrides).toMatchObject({
+            author: 'kim',
+            publishedDate: '2026-03-13T16:07:56.000Z',
+            tags: ['lobsters', 'programming', 'practices']
+        });
+        expect(metadataOverrides.extra).toEqual({
+            story_url: 'https://blog.example.net/joints',
+            discussion_url: 'https://lobste.rs/s/ab12cd',
+            points: 37,
+            comments_included: '4 of 4'
+        });
+    });
+});
@@ -0,0 +1,23 @@
+import { serializeFrontmatter } from './frontmatter.js';
+import { buildFrontmatterData } from './profiles.js';
+
+export function buildTitleBlock(markdown, metadata) {
+    const title = metadata?.title ? String(metadata.title).trim() : '';
+    const markdownStart = (markdown ?? '').replace(/^\s+/, '');
+    const startsWithHeading = /^#{1,6}\s+\S/.test(markdownStart);
+    return title && !startsWithHeading ? `# ${title}\n\n` : '';
+}
+
+export function buildFrontmatter(metadata, profile, { now = new Date() } = {}) {
+    return serializeFrontmatter(buildFrontmatterData(metadata, profile, { now }), profile?.frontmatterFormat);
+}
+
+/**
+ * Assembles the saved file: frontmatter for the profile, a `# Title` heading
+ * when the body does not already start with one, then the body. Text with a
+ * `fileType` (e.g. subtitles) is not Markdown and is returned unchanged.
+ */
+export function buildMarkdownDocument({ markdown, metadata, fileType }, profile, { now = new Date() } = {}) {
+    if (fileType) return markdown ?? '';
+    return buildFrontmatter(metadata, profile, { now }) + buildTitleBlock(markdown, metadata) + (markdown ?? '');
+}
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { buildMarkdownDocument } from './markdownDocument.js';
+import { BUILT_IN_PROFILES } from './profiles.js';
+
+describe('markdownDocument', () => {
+    const now = new Date('2026-03-07T09:05:03.000Z');
+    const llm = BUILT_IN_PROFILES.find((profile) => profile.id === 'llm');
+
+    it('prepends frontmatter and a title heading', () => {
+        const doc = buildMarkdownDocument({ markdown: 'Body text', metadata: { title: 'Post', url: 'https://x.test/' } }, llm, { now });
+        expect(doc).toBe(
+            '---\ntitle: "Post"\nurl: "https://x.test/"\ndate_saved: "2026-03-07T09:05:03.000Z"\n---\n\n# Post\n\nBody text'
+        );
+    });
+
+    it('does not repeat the title when the body starts with a heading', () => {
+        const doc = buildMarkdownDocument({ markdown: '\n## Already here\n\nText', metadata: { title: 'Post' } }, {
+            ...llm,
+            frontmatterFormat: 'none'
+        });
+        expect(doc).toBe('\n## Already here\n\nText');
+    });
+
+    it('returns non-Markdown files unchanged', () => {
+        const fileType = { extension: 'srt', mimeType: 'application/x-subrip;charset=utf-8' };
+        const srt = '1\n00:00:00,000 --> 00:00:02,000\nHello\n';
+        expect(buildMarkdownDocument({ markdown: srt, metadata: { title: 'Video' }, fileType }, llm, { now })).toBe(srt);
+    });
+});
@@ -0,0 +1,41 @@
+import { marked } from 'marked';
+
+// The Markdown comes from arbitrary pages, so the rendered preview only keeps
+// inert markup: no scripts, frames, forms or event handlers.
+const BLOCKED_ELEMENTS = 'script, style, iframe, frame, frameset, object, embed, form, input, button, textarea, select, link, meta, base';
+const URL_ATTRIBUTES = ['href', 'src', 'xlink:href', 'action', 'formaction'];
+const SAFE_URL_RE = /^(?:https?:|mailto:|data:image\/(?!svg\+xml)|#|\/|\.{0,2}\/|[^:]*$)/i;
+
+function sanitizePreview(root) {
+    root.querySelectorAll(BLOCKED_ELEMENTS).forEach((el) => el.remove());
+
+    for (const el of root.querySelectorAll('*')) {
+        for (const attr of Array.from(el.attributes)) {
+            const name = attr.name.toLowerCase();
+            if (name.startsWith('on') || name === 'srcdoc' || name === 'style') {
+                el.removeAttribute(attr.name);
+            } else if (URL_ATTRIBUTES.includes(name) && !SAFE_URL_RE.test(attr.value.trim())) {
+                el.removeAttribute(attr.name);
+            }
+        }
+        if (el.nodeName === 'A') {
+            el.setAttribute('target', '_blank');
+            el.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+}
+
+/**
+ * Renders Markdown into a sanitized container element owned by `doc`, ready
+ * to be swapped into the preview pane.
+ */
+export function renderMarkdownPreview(markdown, doc = document) {
+    const html = marked.parse(String(markdown ?? ''), { async: false, gfm: true });
+    const parsed = new doc.defaultView.DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    sanitizePreview(parsed.body);
+
+    const container = doc.createElement('div');
+    container.className = 'markdown-body';
+    container.append(...Array.from(parsed.body.childNodes, (node) => doc.importNode(node, true)));
+    return container;
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { renderMarkdownPreview } from './markdownPreview.js';
+
+describe('markdownPreview', () => {
+    const doc = new Window().document;
+
+    it('renders GFM markdown', () => {
+        const container = renderMarkdownPreview('# Title\n\n- [x] done\n\n| a | b |\n|---|---|\n| 1 | 2 |', doc);
+        expect(container.querySelector('h1')?.textContent).toBe('Title');
+        expect(container.querySelector('table td')?.textContent).toBe('1');
+        expect(container.querySelector('input')).toBeNull();
+    });
+
+    it('drops scripts, event handlers and script URLs', () => {
+        const container = renderMarkdownPreview(
+            '<script>alert(1)</script>\n\n<img src="x.png" onerror="alert(1)">\n\n[bad](javascript:alert(1)) [good](https://example.com)',
+            doc
+        );
+        expect(container.querySelector('script')).toBeNull();
+        expect(container.querySelector('img')?.hasAttribute('onerror')).toBe(false);
+        const links = container.querySelectorAll('a');
+        expect(links[0].hasAttribute('href')).toBe(false);
+        expect(links[1].getAttribute('href')).toBe('https://example.com');
+        expect(links[1].getAttribute('rel')).toBe('noopener noreferrer');
+    });
+});
@@ -0,0 +1,120 @@
+import { getPageLocation } from './chatTranscript.js';
+import { resolvePageUrl, toIsoDate } from './threadComments.js';
+import { buildSocialThread, selectAuthorThread } from './socialPosts.js';
+
+// Mastodon runs on any host, so pages are recognised by the status path plus
+// markup only Mastodon renders: its web app root, the detailed status view or
+// the instance API links. `.status` and `.h-entry` alone are too common.
+const STATUS_PATH_PATTERN = /^\/(?:@[^/]+|users\/[^/]+\/statuses)\/(\d+)/;
+const MASTODON_SELECTOR =
+    'div#mastodon.app-holder, div#mastodon[data-props], script#initial-state, [data-mastodon], .detailed-status, link[href*="/api/v1/"]';
+const STATUS_SELECTOR = '.detailed-status, .status, .h-entry';
+const QUOTE_SELECTOR = '.status__quote, .quoted-status';
+
+function parseStatusPath(doc) {
+    const location = getPageLocation(doc);
+    const match = location ? STATUS_PATH_PATTERN.exec(location.pathname || '') : null;
+    return match ? { id: match[1], hostname: location.hostname } : null;
+}
+
+export function isMastodonStatusPage(doc = document) {
+    return !!parseStatusPath(doc) && !!doc.querySelector(MASTODON_SELECTOR) && !!doc.querySelector(STATUS_SELECTOR);
+}
+
+// Local accounts are shown as "@alice"; qualify them with the instance so the
+// handle means the same thing off-site.
+function qualifyHandle(text, hostname) {
+    const handle = text?.replace(/\s+/g, '').trim();
+    if (!handle) return null;
+    const account = handle.startsWith('@') ? handle : `@${handle}`;
+    return account.slice(1).includes('@') || !hostname ? account : `${account}@${hostname}`;
+}
+
+// Microformats (`dt-published`) on the server-rendered pages, a relative
+// <time> in the web UI's thread list, and the detailed view's date text last.
+function readCreated(pick) {
+    const published = pick(['data.dt-published', 'time.dt-published', 'time[datetime]']);
+    const stamp = published?.getAttribute('value') ?? published?.getAttribute('datetime');
+    if (stamp) return toIsoDate(stamp);
+    return toIsoDate(pick(['a.detailed-status__datetime'])?.textContent?.trim());
+}
+
+function readMedia(doc, node, include) {
+    const media = [];
+    for (const item of node.querySelectorAll('.media-gallery__item')) {
+        if (!include(item)) continue;
+        const img = item.querySelector('img');
+        const video = item.querySelector('video');
+        // The thumbnail links to the original upload.
+        const full = item.querySelector('a.media-gallery__item-thumbnail')?.getAttribute('href');
+        const src = resolvePageUrl(doc, full || img?.getAttribute('src') || video?.getAttribute('poster'));
+        if (src) media.push({ src, alt: img?.getAttribute('alt') || video?.getAttribute('aria-label') || (video ? 'Video' : 'Image') });
+    }
+    for (const video of node.querySelectorAll('.video-player video[poster]')) {
+        if (include(video)) media.push({ src: resolvePageUrl(doc, video.getAttribute('poster')), alt: video.getAttribute('aria-label') || 'Video' });
+    }
+    return media;
+}
+
+function readPost(doc, node, hostname) {
+    const quoteRoot = node.querySelector(QUOTE_SELECTOR);
+    const outside = (el) => !quoteRoot || !quoteRoot.contains(el);
+    // Selectors are tried in order; the first one with a match outside the
+    // quoted status wins.
+    const pick = (selectors) => {
+        for (const selector of selectors) {
+            const match = Array.from(node.querySelectorAll(selector)).find(outside);
+            if (match) return match;
+        }
+        return null;
+    };
+
+    const link = pick(['a.detailed-status__datetime', 'a.status__relative-time', 'a.u-url.u-uid']);
+    const quoteNode = quoteRoot ? quoteRoot.querySelector(STATUS_SELECTOR) ?? quoteRoot : null;
+    return {
+        name: pick(['.display-name__html', '.p-author .p-name'])?.textContent?.trim() || null,
+        handle: qualifyHandle(pick(['.display-name__account'])?.textContent, hostname),
+        url: resolvePageUrl(doc, link?.getAttribute('href')),
+        created: readCreated(pick),
+        content: pick(['.e-content', '.status__content__text', '.status__content']),
+        media: readMedia(doc, node, outside),
+        quote: quoteNode ? readPost(doc, quoteNode, hostname) : null
+    };
+}
+
+/**
+ * Reads a status page: the opened status and the statuses its author chained
+ * to it become one article, using the markup the instance renders for each
+ * status (microformats plus Mastodon's own class names).
+ */
+export function extractMastodonThread(doc = document) {
+    const status = parseStatusPath(doc);
+    if (!status) return null;
+
+    try {
+        // Quoted statuses are read as part of the status quoting them.
+        const nodes = Array.from(doc.querySelectorAll(STATUS_SELECTOR)).filter(
+            (node) => !node.parentElement?.closest(STATUS_SELECTOR)
+        );
+        if (!nodes.length) return null;
+
+        const posts = nodes.map((node) => readPost(doc, node, status.hostname));
+        let focus = posts.findIndex((post) => post.url?.endsWith(`/${status.id}`));
+        if (focus === -1) focus = Math.max(0, nodes.findIndex((node) => node.matches('.detailed-status')));
+        const thread = selectAuthorThread(posts, focus);
+        if (!thread.length) return null;
+
+        return buildSocialThread(doc, 'mastodon', thread);
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Mastodon thread', error);
+        return null;
+    }
+}
+
+export const mastodonSiteExtractor = {
+    name: 'mastodon',
+    // Host-agnostic, so site-specific extractors get the first look.
+    priority: 5,
+    matches: (doc) => isMastodonStatusPage(doc),
+    extract: (doc) => extractMastodonThread(doc)
+};
@@ -0,0 +1,75 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractMastodonThread, isMastodonStatusPage } from './mastodonExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/mastodon-thread.html', import.meta.url), 'utf8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.location.href = url;
+    return window.document;
+}
+
+describe('mastodonExtractor', () => {
+    const statusUrl = 'https://fosstodon.example/@mira/112000000000000002';
+
+    it('matches status pages on any instance that render status markup', () => {
+        expect(isMastodonStatusPage(createDocument(fixture, statusUrl))).toBe(true);
+        expect(isMastodonStatusPage(createDocument('<p>Hello</p>', statusUrl))).toBe(false);
+        expect(isMastodonStatusPage(createDocument(fixture, 'https://fosstodon.example/@mira'))).toBe(false);
+
+        // An IndieWeb note or a "status" badge at a Mastodon-like path is not a status.
+        const blogUrl = 'https://blog.example/@mira/20260313';
+        expect(isMastodonStatusPage(createDocument('<article class="h-entry"><p>Note</p></article>', blogUrl))).toBe(false);
+        expect(isMastodonStatusPage(createDocument('<span class="status">Online</span><p>Post</p>', blogUrl))).toBe(false);
+        expect(isMastodonStatusPage(createDocument('<div class="detailed-status"><p>Toot</p></div>', blogUrl))).toBe(true);
+    });
+
+    it('stitches the author\'s statuses and leaves out other replies and the action bar', () => {
+        const { article } = extractMastodonThread(createDocument(fixture, statusUrl));
+
+        expect(article.getAttribute('data-pagetomd-generated')).toBe('mastodon-thread');
+        const posts = article.querySelectorAll('section[data-social-post]');
+        expect(Array.from(posts, (post) => post.getAttribute('data-social-post'))).toEqual([
+            'https://fosstodon.example/@mira/112000000000000001',
+            'https://fosstodon.example/@mira/112000000000000002',
+            'https://fosstodon.example/@mira/112000000000000003'
+        ]);
+        expect(posts[0].querySelectorAll(':scope > p')[1].textContent).toBe('First up: #docker images without arm64 manifests.');
+        expect(article.textContent).not.toContain('Which runner provider');
+        expect(article.textContent).not.toContain('boosts');
+        expect(article.querySelector('button')).toBeNull();
+    });
+
+    it('renders quoted statuses as blockquotes and attachments as images', () => {
+        const { article } = extractMastodonThread(createDocument(fixture, statusUrl));
+        const [first, second] = article.querySelectorAll('section[data-social-post]');
+
+        const image = first.querySelector('img');
+        expect(image.getAttribute('src')).toBe('https://files.fosstodon.example/media/original/runners.png');
+        expect(image.getAttribute('alt')).toBe('Build times before and after the switch');
+
+        const quote = second.querySelector('blockquote');
+        expect(quote.querySelector('strong').textContent).toBe('Owen (@owen@hachyderm.example)');
+        expect(quote.querySelector('p a').getAttribute('href')).toBe('https://hachyderm.example/@owen/111900000000000000');
+        expect(quote.querySelector('a[href="https://owen.example/arm-port"]').textContent).toBe('https://owen.example/arm-port');
+        expect(second.querySelector(':scope > p').textContent).toContain('@owen had already written it up');
+    });
+
+    it('qualifies the handle with the instance and records post timestamps', () => {
+        const { metadataOverrides } = extractMastodonThread(createDocument(fixture, statusUrl));
+
+        expect(metadataOverrides).toMatchObject({ author: 'Mira', publishedDate: '2026-03-13T10:00:00.000Z' });
+        expect(metadataOverrides.extra).toEqual({
+            handle: '@mira@fosstodon.example',
+            post_timestamps: ['2026-03-13T10:00:00.000Z', '2026-03-13T10:02:00.000Z', '2026-03-13T10:05:00.000Z'],
+            post_urls: [
+                'https://fosstodon.example/@mira/112000000000000001',
+                'https://fosstodon.example/@mira/112000000000000002',
+                'https://fosstodon.example/@mira/112000000000000003'
+            ]
+        });
+    });
+});
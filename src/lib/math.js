@@ -0,0 +1,273 @@
+/**
+ * Math recovery. Rendered formulas are swapped for placeholder elements that
+ * carry the TeX source; the converter's `math` Turndown rule writes them out
+ * verbatim so the source is not Markdown-escaped.
+ *
+ * The source comes from, in order: KaTeX's TeX annotation, Wikipedia's
+ * annotation or fallback image, `data-tex` / `data-latex` attributes
+ * (Defuddle leaves `<math data-latex>`), MathJax 2's `<script type="math/tex">`,
+ * and finally the MathML itself (MathJax 3 keeps only that), translated by
+ * mathmlToTex().
+ */
+
+export const MATH_ATTRIBUTE = 'data-pagetomd-math';
+
+// `dollars`: $…$ and $$…$$; `brackets`: \(…\) and \[…\].
+export const MATH_DELIMITERS = ['dollars', 'brackets'];
+
+const TEX_ANNOTATION_SELECTOR = 'annotation[encoding="application/x-tex"], annotation[encoding="TeX"]';
+
+// MathJax 2 renders next to its source script; these are the rendered parts.
+const MATHJAX_OUTPUT_SELECTOR =
+    '.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display, .MathJax_CHTML, .MathJax_MathML, mjx-container';
+
+function createPlaceholder(doc, tex, display) {
+    const placeholder = doc.createElement(display ? 'div' : 'span');
+    placeholder.setAttribute(MATH_ATTRIBUTE, display ? 'display' : 'inline');
+    placeholder.textContent = tex;
+    return placeholder;
+}
+
+// Wikipedia and some converters wrap every formula in {\displaystyle …}.
+function cleanTex(tex) {
+    const trimmed = String(tex ?? '').trim();
+    const wrapped = /^\{\\(?:displaystyle|textstyle)\s*([\s\S]*)\}$/.exec(trimmed);
+    return (wrapped ? wrapped[1] : trimmed).trim();
+}
+
+function annotationSource(node) {
+    return cleanTex(node.querySelector(TEX_ANNOTATION_SELECTOR)?.textContent);
+}
+
+function isDisplayAttribute(node) {
+    const value = (node.getAttribute('display') ?? node.getAttribute('data-display') ?? '').toLowerCase();
+    return value === 'block' || value === 'true';
+}
+
+/* ------------------------------------------------------------------ */
+/*  MathML → TeX                                                       */
+/* ------------------------------------------------------------------ */
+
+const SYMBOLS = {
+    α: '\\alpha', β: '\\beta', γ: '\\gamma', δ: '\\delta', ε: '\\epsilon', ϵ: '\\epsilon', ζ: '\\zeta', η: '\\eta',
+    θ: '\\theta', ϑ: '\\vartheta', ι: '\\iota', κ: '\\kappa', λ: '\\lambda', μ: '\\mu', ν: '\\nu', ξ: '\\xi',
+    π: '\\pi', ρ: '\\rho', σ: '\\sigma', τ: '\\tau', υ: '\\upsilon', φ: '\\phi', ϕ: '\\phi', χ: '\\chi',
+    ψ: '\\psi', ω: '\\omega', Γ: '\\Gamma', Δ: '\\Delta', Θ: '\\Theta', Λ: '\\Lambda', Ξ: '\\Xi', Π: '\\Pi',
+    Σ: '\\Sigma', Φ: '\\Phi', Ψ: '\\Psi', Ω: '\\Omega',
+    '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∬': '\\iint', '∮': '\\oint', '√': '\\surd',
+    '≤': '\\le', '≥': '\\ge', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '∝': '\\propto',
+    '×': '\\times', '÷': '\\div', '·': '\\cdot', '⋅': '\\cdot', '∘': '\\circ', '±': '\\pm', '∓': '\\mp',
+    '→': '\\to', '←': '\\leftarrow', '↔': '\\leftrightarrow', '⇒': '\\Rightarrow', '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow', '↦': '\\mapsto',
+    '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla', '∈': '\\in', '∉': '\\notin', '∋': '\\ni',
+    '⊂': '\\subset', '⊆': '\\subseteq', '⊃': '\\supset', '⊇': '\\supseteq', '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset',
+    '∀': '\\forall', '∃': '\\exists', '¬': '\\neg', '∧': '\\wedge', '∨': '\\vee', '⊕': '\\oplus', '⊗': '\\otimes',
+    '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots', '′': "'", '″': "''", 'ℝ': '\\mathbb{R}',
+    'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℂ': '\\mathbb{C}', 'ℓ': '\\ell', 'ℏ': '\\hbar',
+    '⟨': '\\langle', '⟩': '\\rangle', '〈': '\\langle', '〉': '\\rangle', '∣': '\\mid', '∥': '\\parallel',
+    '⌊': '\\lfloor', '⌋': '\\rfloor', '⌈': '\\lceil', '⌉': '\\rceil', '−': '-', '{': '\\{', '}': '\\}',
+    // Invisible function application / times / separator.
+    '⁡': '', '⁢': '', '⁣': ''
+};
+
+const FUNCTION_NAMES = new Set([
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'sinh', 'cosh', 'tanh', 'arcsin', 'arccos', 'arctan',
+    'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'Pr'
+]);
+
+const ACCENTS = { '^': '\\hat', 'ˆ': '\\hat', '¯': '\\bar', '‾': '\\overline', '→': '\\vec', '~': '\\tilde', '˜': '\\tilde', '˙': '\\dot', '¨': '\\ddot' };
+
+const VARIANTS = { 'double-struck': '\\mathbb', bold: '\\mathbf', fraktur: '\\mathfrak', script: '\\mathcal' };
+
+// Operators whose under/over scripts are limits rather than stacked text.
+const LIMIT_OPERATORS = new Set(['\\sum', '\\prod', '\\int', '\\iint', '\\oint', '\\lim', '\\max', '\\min', '\\sup', '\\inf', '\\bigcup', '\\bigcap']);
+
+function symbol(text) {
+    return Array.from(text, (char) => SYMBOLS[char] ?? char).reduce(joinTex, '');
+}
+
+// Commands need a space before a following letter: `\alpha x`, not `\alphax`.
+function joinTex(left, right) {
+    if (!left) return right;
+    if (!right) return left;
+    return /\\[a-zA-Z]+$/.test(left) && /^[a-zA-Z]/.test(right) ? `${left} ${right}` : left + right;
+}
+
+function group(tex) {
+    return tex.length === 1 || /^\\[a-zA-Z]+$/.test(tex) ? tex : `{${tex}}`;
+}
+
+function convertChildren(node) {
+    return Array.from(node.children, mathmlToTex).reduce(joinTex, '');
+}
+
+function convertIdentifier(text, variant) {
+    if (VARIANTS[variant] && /^[A-Za-z]+$/.test(text)) return `${VARIANTS[variant]}{${text}}`;
+    if (FUNCTION_NAMES.has(text)) return `\\${text}`;
+    if (Array.from(text).length > 1 && /^[A-Za-z]+$/.test(text)) return `\\mathrm{${text}}`;
+    return symbol(text);
+}
+
+function convertUnderOver(node, name) {
+    const [base, first, second] = Array.from(node.children, mathmlToTex);
+    const accent = name === 'mover' ? ACCENTS[node.children[1]?.textContent?.trim()] : null;
+    if (accent) return `${accent}{${base}}`;
+    if (LIMIT_OPERATORS.has(base)) {
+        if (name === 'munder') return `${base}_{${first}}`;
+        if (name === 'mover') return `${base}^{${first}}`;
+        return `${base}_{${first}}^{${second}}`;
+    }
+    if (name === 'munder') return `\\underset{${first}}{${base}}`;
+    if (name === 'mover') return `\\overset{${first}}{${base}}`;
+    return `\\underset{${first}}{\\overset{${second}}{${base}}}`;
+}
+
+/** Translates a MathML element (usually <math>) into TeX. */
+export function mathmlToTex(node) {
+    if (!node) return '';
+    const name = (node.localName || node.nodeName || '').toLowerCase();
+    const text = node.textContent.trim();
+    const children = Array.from(node.children);
+
+    switch (name) {
+        case 'annotation':
+        case 'annotation-xml':
+        case 'none':
+        case 'mprescripts':
+            return '';
+        case 'semantics':
+            return children[0] ? mathmlToTex(children[0]) : '';
+        case 'mi':
+            return convertIdentifier(text, node.getAttribute('mathvariant'));
+        case 'mn':
+            return text;
+        case 'mo':
+            return FUNCTION_NAMES.has(text) ? `\\${text}` : symbol(text);
+        case 'mtext':
+            return text ? `\\text{${text}}` : '';
+        case 'ms':
+            return `\\text{"${text}"}`;
+        case 'mspace':
+            return ' ';
+        case 'msup':
+            return `${group(mathmlToTex(children[0]))}^{${mathmlToTex(children[1])}}`;
+        case 'msub':
+            return `${group(mathmlToTex(children[0]))}_{${mathmlToTex(children[1])}}`;
+        case 'msubsup':
+            return `${group(mathmlToTex(children[0]))}_{${mathmlToTex(children[1])}}^{${mathmlToTex(children[2])}}`;
+        case 'mfrac':
+            return node.getAttribute('linethickness') === '0'
+                ? `\\binom{${mathmlToTex(children[0])}}{${mathmlToTex(children[1])}}`
+                : `\\frac{${mathmlToTex(children[0])}}{${mathmlToTex(children[1])}}`;
+        case 'msqrt':
+            return `\\sqrt{${convertChildren(node)}}`;
+        case 'mroot':
+            return `\\sqrt[${mathmlToTex(children[1])}]{${mathmlToTex(children[0])}}`;
+        case 'munder':
+        case 'mover':
+        case 'munderover':
+            return convertUnderOver(node, name);
+        case 'mfenced': {
+            const open = node.getAttribute('open') ?? '(';
+            const close = node.getAttribute('close') ?? ')';
+            const separator = node.getAttribute('separators') ?? ',';
+            return `${symbol(open)}${children.map(mathmlToTex).join(separator.trim()[0] ?? '')}${symbol(close)}`;
+        }
+        case 'mtable':
+            return `\\begin{matrix} ${children.map(mathmlToTex).join(' \\\\ ')} \\end{matrix}`;
+        case 'mtr':
+        case 'mlabeledtr':
+            return children.map(mathmlToTex).join(' & ');
+        default:
+            // math, mrow, mstyle, mpadded, menclose, mtd, …
+            return children.length ? convertChildren(node) : symbol(text);
+    }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Finding rendered math                                              */
+/* ------------------------------------------------------------------ */
+
+function mathmlSource(math) {
+    return annotationSource(math) || cleanTex(math.getAttribute('alttext')) || mathmlToTex(math).trim();
+}
+
+// Each finder returns [{ node, tex, display }]; `node` is what gets replaced.
+const FINDERS = [
+    // KaTeX
+    (root) =>
+        Array.from(root.querySelectorAll('.katex-display, .katex'), (node) => ({
+            node,
+            tex: annotationSource(node),
+            display: node.classList.contains('katex-display')
+        })),
+    // Wikipedia: MathML with an annotation, and an image whose alt is the TeX.
+    (root) =>
+        Array.from(root.querySelectorAll('.mwe-math-element'), (node) => ({
+            node,
+            tex: annotationSource(node) || cleanTex(node.querySelector('img.mwe-math-fallback-image-inline, img.mwe-math-fallback-image-display')?.getAttribute('alt')),
+            display: !!node.querySelector('.mwe-math-mathml-display, .mwe-math-fallback-image-display')
+        })),
+    // Authoring attributes; Defuddle's cleaned <math> keeps the TeX here too.
+    (root) =>
+        Array.from(root.querySelectorAll('[data-tex], [data-latex]'), (node) => ({
+            node,
+            tex: cleanTex(node.getAttribute('data-tex') || node.getAttribute('data-latex')),
+            display: isDisplayAttribute(node) || node.classList.contains('display')
+        })),
+    // MathJax 2 keeps its source in a script next to the rendered output.
+    (root) =>
+        Array.from(root.querySelectorAll('script[type^="math/tex"]'), (node) => ({
+            node,
+            tex: cleanTex(node.textContent),
+            display: /mode\s*=\s*display/i.test(node.getAttribute('type'))
+        })),
+    // MathJax 3 only keeps MathML, for screen readers.
+    (root) =>
+        Array.from(root.querySelectorAll('mjx-container'), (node) => {
+            const math = node.querySelector('math');
+            return { node, tex: math ? mathmlSource(math) : '', display: node.getAttribute('display') === 'true' };
+        }),
+    (root) =>
+        Array.from(root.querySelectorAll('math'), (node) => ({
+            node,
+            tex: mathmlSource(node),
+            display: isDisplayAttribute(node)
+        }))
+];
+
+function removeMathJaxOutput(script) {
+    let previous = script.previousElementSibling;
+    while (previous?.matches(MATHJAX_OUTPUT_SELECTOR)) {
+        const next = previous.previousElementSibling;
+        previous.remove();
+        previous = next;
+    }
+}
+
+/**
+ * Replaces rendered math under `root` (KaTeX, MathJax, MathML, `data-tex`)
+ * with placeholders; returns the count.
+ */
+export function replaceRenderedMath(root) {
+    const doc = root.ownerDocument ?? root;
+    let replaced = 0;
+
+    for (const find of FINDERS) {
+        for (const { node, tex, display } of find(root)) {
+            // Skips formulas inside one that was already replaced.
+            if (!tex || !root.contains(node)) continue;
+            if (node.matches('script')) removeMathJaxOutput(node);
+            node.replaceWith(createPlaceholder(doc, tex, display));
+            replaced += 1;
+        }
+    }
+
+    return replaced;
+}
+
+export function formatMath(tex, display, delimiters = 'dollars') {
+    if (delimiters === 'brackets') {
+        return display ? `\n\n\\[\n${tex}\n\\]\n\n` : `\\(${tex}\\)`;
+    }
+    return display ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+}
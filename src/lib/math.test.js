@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { MATH_ATTRIBUTE, formatMath, mathmlToTex, replaceRenderedMath } from './math.js';
+
+function katex(tex) {
+    return `<span class="katex"><span class="katex-mathml"><math><semantics><mi>x</mi>` +
+        `<annotation encoding="application/x-tex">${tex}</annotation></semantics></math></span>` +
+        `<span class="katex-html" aria-hidden="true">x</span></span>`;
+}
+
+function placeholders(doc) {
+    return Array.from(doc.body.querySelectorAll(`[${MATH_ATTRIBUTE}]`), (el) => [el.getAttribute(MATH_ATTRIBUTE), el.textContent]);
+}
+
+function parse(html) {
+    const doc = new Window().document;
+    doc.body.innerHTML = html;
+    return doc;
+}
+
+describe('math', () => {
+    it('swaps KaTeX for placeholders carrying the TeX source', () => {
+        const doc = new Window().document;
+        doc.body.innerHTML = `<p>Inline ${katex('a_1^2')} here.</p><span class="katex-display">${katex('\\frac{1}{2}')}</span>`;
+
+        expect(replaceRenderedMath(doc.body)).toBe(2);
+        const placeholders = doc.body.querySelectorAll(`[${MATH_ATTRIBUTE}]`);
+        expect(Array.from(placeholders, (el) => [el.getAttribute(MATH_ATTRIBUTE), el.textContent])).toEqual([
+            ['inline', 'a_1^2'],
+            ['display', '\\frac{1}{2}']
+        ]);
+        expect(doc.body.querySelector('.katex-html')).toBeNull();
+    });
+
+    it('formats inline and display math', () => {
+        expect(formatMath('x', false)).toBe('$x$');
+        expect(formatMath('x', true)).toBe('\n\n$$\nx\n$$\n\n');
+    });
+
+    it('uses \\( \\) and \\[ \\] when asked', () => {
+        expect(formatMath('x', false, 'brackets')).toBe('\\(x\\)');
+        expect(formatMath('x', true, 'brackets')).toBe('\n\n\\[\nx\n\\]\n\n');
+    });
+
+    it('reads MathJax 2 scripts and drops the rendered output', () => {
+        const doc = parse(
+            '<p>Energy <span class="MathJax_Preview"></span><span class="MathJax" id="MathJax-Element-1-Frame">E=mc2</span>' +
+                '<script type="math/tex" id="MathJax-Element-1">E = mc^2</script> holds.</p>' +
+                '<div class="MathJax_Display"><span class="MathJax">∫</span></div>' +
+                '<script type="math/tex; mode=display">\\int_0^1 x\\,dx</script>'
+        );
+
+        expect(replaceRenderedMath(doc.body)).toBe(2);
+        expect(placeholders(doc)).toEqual([
+            ['inline', 'E = mc^2'],
+            ['display', '\\int_0^1 x\\,dx']
+        ]);
+        expect(doc.body.textContent).not.toContain('E=mc2');
+        expect(doc.body.querySelector('.MathJax_Display')).toBeNull();
+    });
+
+    it('reads data-tex attributes, Defuddle math and Wikipedia formulas', () => {
+        const doc = parse(
+            '<span data-tex="a+b">a+b</span>' +
+                '<math display="block" data-latex="\\sum_i x_i"><mrow><mi>x</mi></mrow></math>' +
+                '<span class="mwe-math-element"><span class="mwe-math-mathml-inline"><math alttext="{\\displaystyle \\pi r^{2}}">' +
+                '<semantics><mrow><mi>π</mi></mrow><annotation encoding="application/x-tex">{\\displaystyle \\pi r^{2}}</annotation></semantics>' +
+                '</math></span><img class="mwe-math-fallback-image-inline" alt="{\\displaystyle \\pi r^{2}}"></span>'
+        );
+
+        expect(replaceRenderedMath(doc.body)).toBe(3);
+        expect(placeholders(doc)).toEqual([
+            ['inline', 'a+b'],
+            ['display', '\\sum_i x_i'],
+            ['inline', '\\pi r^{2}']
+        ]);
+        expect(doc.body.querySelector('img')).toBeNull();
+    });
+
+    it('translates MathJax 3 and bare MathML', () => {
+        const doc = parse(
+            '<mjx-container class="MathJax" jax="CHTML" display="true"><mjx-math aria-hidden="true">…</mjx-math>' +
+                '<mjx-assistive-mml><math display="block"><mfrac><mn>1</mn><mi>n</mi></mfrac></math></mjx-assistive-mml></mjx-container>' +
+                '<p>Root <math><msqrt><mi>x</mi></msqrt></math></p>'
+        );
+
+        expect(replaceRenderedMath(doc.body)).toBe(2);
+        expect(placeholders(doc)).toEqual([
+            ['display', '\\frac{1}{n}'],
+            ['inline', '\\sqrt{x}']
+        ]);
+    });
+});
+
+describe('mathmlToTex', () => {
+    function tex(markup) {
+        return mathmlToTex(parse(`<math>${markup}</math>`).querySelector('math'));
+    }
+
+    it('handles scripts, fractions, roots and operators', () => {
+        expect(tex('<msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><msub><mi>a</mi><mrow><mi>i</mi><mo>−</mo><mn>1</mn></mrow></msub>')).toBe(
+            'x^{2}+a_{i-1}'
+        );
+        expect(tex('<msubsup><mi>y</mi><mn>0</mn><mn>3</mn></msubsup>')).toBe('y_{0}^{3}');
+        expect(tex('<mroot><mi>x</mi><mn>3</mn></mroot><mo>≤</mo><mi>α</mi><mi>β</mi>')).toBe('\\sqrt[3]{x}\\le\\alpha\\beta');
+        expect(tex('<mi>sin</mi><mo>⁡</mo><mi>θ</mi>')).toBe('\\sin\\theta');
+        expect(tex('<mi>α</mi><mi>x</mi>')).toBe('\\alpha x');
+    });
+
+    it('handles limits, accents, text, sets and matrices', () => {
+        expect(tex('<munderover><mo>∑</mo><mrow><mi>k</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover><mi>k</mi>')).toBe(
+            '\\sum_{k=1}^{n}k'
+        );
+        expect(tex('<mover><mi>v</mi><mo>→</mo></mover>')).toBe('\\vec{v}');
+        expect(tex('<mtext>if</mtext><mi mathvariant="double-struck">R</mi>')).toBe('\\text{if}\\mathbb{R}');
+        expect(tex('<mo>{</mo><mi>x</mi><mo>}</mo>')).toBe('\\{x\\}');
+        expect(tex('<mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>0</mn></mtd></mtr><mtr><mtd><mn>0</mn></mtd><mtd><mn>1</mn></mtd></mtr></mtable>')).toBe(
+            '\\begin{matrix} 1 & 0 \\\\ 0 & 1 \\end{matrix}'
+        );
+    });
+});
@@ -0,0 +1,193 @@
+import { getPageLocation } from './chatTranscript.js';
+import { replaceRenderedMath } from './math.js';
+
+const POE_HOST_PATTERN = /(^|\.)poe\.com$/i;
+
+// Poe's CSS-module classes look like `ChatMessage_chatMessage__xkgHx`; the
+// hash after `__` changes on every deploy, so only the stable prefix is matched.
+const moduleClass = (name) => `[class*="${name}__"]`;
+
+// Each list is tried in order; later entries fall back to ids, ARIA and plain
+// structure for when the module names themselves change.
+const SELECTORS = {
+    message: [`[id^="message-"]${moduleClass('ChatMessage_chatMessage')}`, moduleClass('ChatMessage_chatMessage'), '[id^="message-"]'],
+    userWrapper: [moduleClass('ChatMessage_rightSideMessageWrapper'), '[class*="rightSide"]', '[data-author="human"]'],
+    content: [
+        moduleClass('Message_messageTextContainer'),
+        moduleClass('Message_selectableText'),
+        moduleClass('Markdown_markdownContainer'),
+        moduleClass('Message_messageBubbleWrapper'),
+        '[class*="markdown" i]',
+        '[class*="messageText" i]'
+    ],
+    attachments: [moduleClass('Attachments_attachments'), '[aria-label*="attachment" i]'],
+    botName: [moduleClass('BotHeader_title'), '[class*="BotHeader" i] a', '[class*="botName" i]'],
+    avatar: [`${moduleClass('Avatar_root')} img`, 'img[alt^="Bot image for" i]'],
+    metadata: [moduleClass('Message_messageMetadataText'), 'time'],
+    ui: [
+        moduleClass('MessageOverflowActions_overflowActionsWrapper'),
+        moduleClass('ChatMessageOverflowButton_overflowButtonWrapper'),
+        moduleClass('ChatMessageActionBar'),
+        'button',
+        '[role="button"]',
+        '[role="menu"]',
+        '[role="toolbar"]'
+    ]
+};
+
+function queryFirst(root, selectors) {
+    for (const selector of selectors) {
+        const match = root.querySelector(selector);
+        if (match) return match;
+    }
+    return null;
+}
+
+function queryAllFirst(root, selectors) {
+    for (const selector of selectors) {
+        const matches = Array.from(root.querySelectorAll(selector));
+        if (matches.length) return matches;
+    }
+    return [];
+}
+
+// The bare `[id^="message-"]` fallback can also hit ids inside a message;
+// only the outermost match of a selector is a message.
+function findMessageNodes(doc) {
+    for (const selector of SELECTORS.message) {
+        const nodes = Array.from(doc.querySelectorAll(selector)).filter(
+            (node) => !node.parentElement?.closest(selector)
+        );
+        if (nodes.length) return nodes;
+    }
+    return [];
+}
+
+export function isPoeConversationPage(doc = document) {
+    const location = getPageLocation(doc);
+    if (!location) return false;
+    if (!POE_HOST_PATTERN.test(location.hostname || '')) return false;
+    return findMessageNodes(doc).length > 0;
+}
+
+export function extractPoeConversation(doc = document) {
+    if (!isPoeConversationPage(doc)) {
+        return null;
+    }
+
+    try {
+        const messageNodes = findMessageNodes(doc);
+        if (!messageNodes.length) return null;
+
+        const transcript = doc.createElement('article');
+        transcript.setAttribute('data-pagetomd-generated', 'poe-conversation');
+        transcript.classList.add('pagetomd-poe-conversation');
+
+        const title = doc.createElement('h1');
+        title.textContent = doc.title || 'Poe Conversation';
+        transcript.appendChild(title);
+
+        let addedMessages = 0;
+        for (const node of messageNodes) {
+            const section = buildPoeMessageSection(doc, node);
+            if (!section) continue;
+            transcript.appendChild(section);
+            addedMessages += 1;
+        }
+
+        if (addedMessages === 0) return null;
+        return { article: transcript, metadataOverrides: null };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Poe conversation', error);
+        return null;
+    }
+}
+
+function isUserMessage(messageNode) {
+    return SELECTORS.userWrapper.some((selector) => messageNode.matches(selector) || messageNode.querySelector(selector));
+}
+
+function buildPoeMessageSection(doc, messageNode) {
+    const isUser = isUserMessage(messageNode);
+    const role = isUser ? 'user' : 'assistant';
+    const speakerName = extractPoeSpeakerName(messageNode, role);
+
+    const contentNode = queryFirst(messageNode, SELECTORS.content);
+    const attachmentsNode = queryFirst(messageNode, SELECTORS.attachments);
+
+    if (!contentNode && !attachmentsNode) {
+        return null;
+    }
+
+    const section = doc.createElement('section');
+    section.setAttribute('data-speaker-role', role);
+    if (speakerName) {
+        section.setAttribute('data-speaker', speakerName);
+    }
+
+    const heading = doc.createElement('h3');
+    heading.textContent = speakerName || (isUser ? 'You' : 'Assistant');
+    section.appendChild(heading);
+
+    if (contentNode) {
+        const clonedContent = contentNode.cloneNode(true);
+        replaceRenderedMath(clonedContent);
+        stripPoeUiElements(clonedContent);
+        section.appendChild(clonedContent);
+    }
+
+    if (attachmentsNode && !contentNode?.contains(attachmentsNode)) {
+        section.appendChild(attachmentsNode.cloneNode(true));
+    }
+
+    const timestamp = extractPoeMessageTimestamp(messageNode);
+    if (timestamp) {
+        const meta = doc.createElement('p');
+        meta.textContent = timestamp;
+        meta.setAttribute('data-message-meta', 'timestamp');
+        section.appendChild(meta);
+    }
+
+    return section;
+}
+
+function extractPoeSpeakerName(messageNode, role) {
+    if (role === 'user') {
+        return 'You';
+    }
+
+    const botHeader = queryFirst(messageNode, SELECTORS.botName);
+    const text = botHeader?.textContent?.trim();
+    if (text) return text;
+
+    const avatarAlt = queryFirst(messageNode, SELECTORS.avatar)?.getAttribute('alt');
+    if (avatarAlt) return avatarAlt.replace(/^Bot image for\s*/i, '').trim();
+
+    return 'Assistant';
+}
+
+function extractPoeMessageTimestamp(messageNode) {
+    const metaTexts = queryAllFirst(messageNode, SELECTORS.metadata)
+        .map((el) => el.textContent?.trim())
+        .filter((text) => text && text !== 'Parameters' && text !== '·');
+
+    if (!metaTexts.length) return '';
+
+    const candidate = metaTexts[metaTexts.length - 1];
+    if (!candidate) return '';
+
+    return candidate;
+}
+
+function stripPoeUiElements(node) {
+    for (const selector of SELECTORS.ui) {
+        node.querySelectorAll(selector).forEach((el) => el.remove());
+    }
+}
+
+export const poeSiteExtractor = {
+    name: 'poe',
+    priority: 20,
+    matches: (doc) => isPoeConversationPage(doc),
+    extract: (doc) => extractPoeConversation(doc)
+};
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { Window } from 'happy-dom';
+import { extractPoeConversation, isPoeConversationPage } from './poeExtractor.js';
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.document.title = 'Poe Conversation Title';
+    window.location.href = url;
+    return window.document;
+}
+
+describe('poeExtractor', () => {
+    const poeUrl = 'https://poe.com/chat/2x9abc';
+    const sampleHtml = `
+        <div id="message-1" class="ChatMessage_chatMessage__xkgHx">
+            <div class="ChatMessage_messageWrapper__4Ugd6 ChatMessage_rightSideMessageWrapper__r0roB">
+                <div class="Message_messageTextContainer__w64Sc">
+                    <p>How do I reverse a list?</p>
+                    <button>Copy</button>
+                </div>
+            </div>
+        </div>
+        <div id="message-2" class="ChatMessage_chatMessage__xkgHx">
+            <div class="BotHeader_title__cURS_">Claude-Sonnet</div>
+            <div class="ChatMessage_messageWrapper__4Ugd6">
+                <div class="Message_messageTextContainer__w64Sc">
+                    <p>Use slicing:</p>
+                    <pre><code class="language-python">items[::-1]</code></pre>
+                    <div class="MessageOverflowActions_overflowActionsWrapper__uC5oj">Share</div>
+                </div>
+                <span class="Message_messageMetadataText__FxY5_">10:42 AM</span>
+            </div>
+        </div>
+    `;
+
+    it('identifies Poe conversation pages', () => {
+        expect(isPoeConversationPage(createDocument(sampleHtml, poeUrl))).toBe(true);
+        expect(isPoeConversationPage(createDocument('<div></div>', poeUrl))).toBe(false);
+        expect(isPoeConversationPage(createDocument(sampleHtml, 'https://example.com/chat'))).toBe(false);
+    });
+
+    it('builds a speaker-by-speaker transcript', () => {
+        const result = extractPoeConversation(createDocument(sampleHtml, poeUrl));
+        expect(result).not.toBeNull();
+
+        const { article } = result;
+        expect(article.querySelector('h1')?.textContent).toBe('Poe Conversation Title');
+
+        const sections = article.querySelectorAll('section[data-speaker-role]');
+        expect(sections.length).toBe(2);
+        expect(sections[0].getAttribute('data-speaker-role')).toBe('user');
+        expect(sections[0].querySelector('h3')?.textContent).toBe('You');
+        expect(sections[1].getAttribute('data-speaker')).toBe('Claude-Sonnet');
+        expect(sections[1].querySelector('pre code')?.textContent).toBe('items[::-1]');
+        expect(sections[1].querySelector('[data-message-meta="timestamp"]')?.textContent).toBe('10:42 AM');
+    });
+
+    it('drops copy buttons and overflow menus', () => {
+        const { article } = extractPoeConversation(createDocument(sampleHtml, poeUrl));
+        expect(article.querySelector('button')).toBeNull();
+        expect(article.textContent).not.toContain('Share');
+    });
+
+    // The same conversation as Poe ships it today, after a deploy re-hashed
+    // every CSS-module class, and with no module classes at all.
+    describe.each([
+        ['current deploy', 'poe-conversation.html'],
+        ['re-hashed classes', 'poe-conversation-redeployed.html'],
+        ['no module classes', 'poe-conversation-unstyled.html']
+    ])('fixture: %s', (_label, file) => {
+        const fixture = readFileSync(new URL(`./fixtures/${file}`, import.meta.url), 'utf-8');
+        const extract = () => extractPoeConversation(createDocument(fixture, poeUrl));
+
+        it('finds both turns with the right speakers', () => {
+            const sections = extract().article.querySelectorAll('section[data-speaker-role]');
+            expect(Array.from(sections, (s) => [s.getAttribute('data-speaker-role'), s.getAttribute('data-speaker')])).toEqual([
+                ['user', 'You'],
+                ['assistant', 'Claude-Sonnet-4']
+            ]);
+        });
+
+        it('keeps message text, attachments, code, math and the timestamp', () => {
+            const [user, bot] = extract().article.querySelectorAll('section[data-speaker-role]');
+            expect(user.textContent).toContain('Explain big-O of binary search.');
+            expect(user.querySelector('a[href$="notes.pdf"]')).not.toBeNull();
+            expect(bot.querySelector('pre code.language-python')?.textContent).toContain('lo, hi = 0, len(xs)');
+            expect(bot.querySelector('[data-pagetomd-math]')?.textContent).toBe('O(\\log n)');
+            expect(bot.querySelector('[data-message-meta="timestamp"]')?.textContent).toBe('9:15 AM');
+        });
+
+        it('drops action bars, menus and buttons', () => {
+            const { article } = extract();
+            expect(article.querySelector('button')).toBeNull();
+            expect(article.textContent).not.toMatch(/Share|Retry|Parameters/);
+        });
+    });
+});
@@ -0,0 +1,168 @@
+import { CALLOUT_STYLES } from './admonitions.js';
+import { fillPlaceholders } from './filenameTemplate.js';
+import { FRONTMATTER_FORMATS } from './frontmatter.js';
+
+/**
+ * Output profiles decide what a capture looks like: which frontmatter fields
+ * are emitted (and under which keys), extra static or templated fields, the
+ * frontmatter format, whether links and images are stripped from the body
+ * (or images inlined as data URIs), and the callout syntax for admonitions.
+ */
+
+// Emission order matches the historical frontmatter layout.
+export const FRONTMATTER_FIELDS = [
+    { key: 'title', label: 'Title', read: (m) => m?.title },
+    { key: 'author', label: 'Author', read: (m) => m?.author },
+    { key: 'source', label: 'Source', read: (m) => m?.source },
+    { key: 'url', label: 'URL', read: (m) => m?.url },
+    { key: 'domain', label: 'Domain', read: (m) => m?.domain },
+    { key: 'date_saved', label: 'Date saved', read: (_m, now) => now.toISOString() },
+    { key: 'date_published', label: 'Date published', read: (m) => m?.publishedDate },
+    { key: 'selection', label: 'Selection flag', read: (m) => (m?.selection ? true : null) },
+    { key: 'word_count', label: 'Word count', read: (m) => m?.wordCount },
+    { key: 'reading_time', label: 'Reading time', read: (m) => (m?.readingTime != null ? `${m.readingTime} min` : null) },
+    { key: 'description', label: 'Description', read: (m) => m?.description },
+    { key: 'tags', label: 'Tags', read: (m) => (Array.isArray(m?.tags) && m.tags.length ? m.tags : null) }
+];
+
+const ALL_FIELD_KEYS = FRONTMATTER_FIELDS.map((field) => field.key);
+const DEFAULT_FIELD_KEYS = ALL_FIELD_KEYS.filter((key) => key !== 'domain');
+
+export const BUILT_IN_PROFILES = [
+    {
+        id: 'obsidian',
+        name: 'Obsidian',
+        fields: DEFAULT_FIELD_KEYS,
+        customFields: {},
+        renameKeys: {},
+        frontmatterFormat: 'yaml',
+        stripLinks: false,
+        stripImages: false,
+        inlineImages: false,
+        calloutStyle: 'obsidian'
+    },
+    {
+        id: 'llm',
+        name: 'LLM',
+        fields: ['title', 'author', 'source', 'url', 'date_saved', 'date_published', 'selection'],
+        customFields: {},
+        renameKeys: {},
+        frontmatterFormat: 'yaml',
+        stripLinks: true,
+        stripImages: true,
+        inlineImages: false,
+        calloutStyle: 'gfm'
+    },
+    {
+        id: 'archive',
+        name: 'Archive',
+        fields: ALL_FIELD_KEYS,
+        customFields: { type: 'archive' },
+        renameKeys: {},
+        frontmatterFormat: 'yaml',
+        stripLinks: false,
+        stripImages: false,
+        inlineImages: false,
+        calloutStyle: 'gfm'
+    }
+];
+
+export function normalizeProfile(profile) {
+    const fields = Array.isArray(profile?.fields)
+        ? profile.fields.filter((key) => ALL_FIELD_KEYS.includes(key))
+        : DEFAULT_FIELD_KEYS.slice();
+
+    return {
+        id: String(profile?.id || 'profile'),
+        name: String(profile?.name || profile?.id || 'Untitled profile'),
+        fields,
+        customFields: { ...(profile?.customFields ?? {}) },
+        renameKeys: { ...(profile?.renameKeys ?? {}) },
+        frontmatterFormat: FRONTMATTER_FORMATS.includes(profile?.frontmatterFormat) ? profile.frontmatterFormat : 'yaml',
+        stripLinks: !!profile?.stripLinks,
+        stripImages: !!profile?.stripImages,
+        inlineImages: !!profile?.inlineImages,
+        calloutStyle: CALLOUT_STYLES.includes(profile?.calloutStyle) ? profile.calloutStyle : 'gfm'
+    };
+}
+
+/**
+ * Reads the stored profile list and default/Shift+click choices. Installs
+ * that predate profiles only have `defaultStripLinks`; map it onto the LLM
+ * profile so the toolbar button keeps doing what it did.
+ */
+export function resolveProfileSettings(stored = {}) {
+    const profiles = Array.isArray(stored.profiles) && stored.profiles.length
+        ? stored.profiles.map(normalizeProfile)
+        : BUILT_IN_PROFILES.map(normalizeProfile);
+
+    const legacyStripLinks = !!stored.defaultStripLinks;
+    const defaultProfile = findProfile(profiles, stored.defaultProfile ?? (legacyStripLinks ? 'llm' : 'obsidian'));
+    const shiftProfile = findProfile(profiles, stored.shiftProfile ?? (legacyStripLinks ? 'obsidian' : 'llm'));
+
+    return { profiles, defaultProfile, shiftProfile };
+}
+
+export function findProfile(profiles, id) {
+    return profiles.find((profile) => profile.id === id) ?? profiles[0] ?? normalizeProfile(BUILT_IN_PROFILES[0]);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Builds the ordered frontmatter object for a capture. Serialization is left
+ * to the caller. `metadata.extra` holds fields a feature always records (e.g.
+ * `assets_failed`); they follow the profile fields regardless of selection.
+ */
+export function buildFrontmatterData(metadata, profile, { now = new Date() } = {}) {
+    const active = normalizeProfile(profile);
+    const data = {};
+
+    for (const field of FRONTMATTER_FIELDS) {
+        if (!active.fields.includes(field.key)) continue;
+        const value = field.read(metadata, now);
+        if (isEmpty(value)) continue;
+        data[field.key] = value;
+    }
+
+    for (const [key, value] of Object.entries(metadata?.extra ?? {})) {
+        if (isEmpty(value) || (Array.isArray(value) && !value.length)) continue;
+        data[key] = value;
+    }
+
+    for (const [key, template] of Object.entries(active.customFields)) {
+        if (!key) continue;
+        const value = typeof template === 'string' ? fillPlaceholders(template, metadata, { now }) : template;
+        if (isEmpty(value)) continue;
+        data[key] = value;
+    }
+
+    const renamed = {};
+    for (const [key, value] of Object.entries(data)) {
+        const target = String(active.renameKeys[key] ?? '').trim() || key;
+        renamed[target] = value;
+    }
+
+    return renamed;
+}
+
+/** Parses `key: value` lines from the options page editor. */
+export function parseKeyValueLines(text) {
+    const result = {};
+    for (const line of String(text ?? '').split(/\r?\n/)) {
+        const index = line.indexOf(':');
+        if (index <= 0) continue;
+        const key = line.slice(0, index).trim();
+        const value = line.slice(index + 1).trim();
+        if (key) result[key] = value;
+    }
+    return result;
+}
+
+export function formatKeyValueLines(object) {
+    return Object.entries(object ?? {})
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+}
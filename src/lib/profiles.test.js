@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+    BUILT_IN_PROFILES,
+    buildFrontmatterData,
+    findProfile,
+    formatKeyValueLines,
+    parseKeyValueLines,
+    resolveProfileSettings
+} from './profiles.js';
+
+describe('profiles', () => {
+    const now = new Date('2026-03-07T09:05:03.000Z');
+    const metadata = {
+        title: 'A Post',
+        author: 'Jane',
+        source: 'Example Blog',
+        url: 'https://example.com/post',
+        domain: 'example.com',
+        description: 'About things',
+        publishedDate: '2026-03-01',
+        tags: ['one', 'two'],
+        wordCount: 420,
+        readingTime: 3
+    };
+
+    it('keeps the historical full frontmatter for the default profile', () => {
+        const obsidian = findProfile(BUILT_IN_PROFILES, 'obsidian');
+        expect(Object.keys(buildFrontmatterData(metadata, obsidian, { now }))).toEqual([
+            'title', 'author', 'source', 'url', 'date_saved', 'date_published',
+            'word_count', 'reading_time', 'description', 'tags'
+        ]);
+        expect(buildFrontmatterData(metadata, obsidian, { now })).toMatchObject({
+            date_saved: '2026-03-07T09:05:03.000Z',
+            reading_time: '3 min'
+        });
+    });
+
+    it('trims the LLM profile down and strips links and images', () => {
+        const llm = findProfile(BUILT_IN_PROFILES, 'llm');
+        expect(llm).toMatchObject({ stripLinks: true, stripImages: true });
+        expect(buildFrontmatterData({ ...metadata, selection: true }, llm, { now })).toEqual({
+            title: 'A Post',
+            author: 'Jane',
+            source: 'Example Blog',
+            url: 'https://example.com/post',
+            date_saved: '2026-03-07T09:05:03.000Z',
+            date_published: '2026-03-01',
+            selection: true
+        });
+    });
+
+    it('adds templated custom fields and renames keys', () => {
+        const profile = {
+            id: 'custom',
+            fields: ['title', 'url', 'tags'],
+            customFields: { type: 'clipping', status: 'inbox', site: '{domain}', empty: '{author}' },
+            renameKeys: { url: 'source_url', type: 'kind' }
+        };
+        expect(buildFrontmatterData({ ...metadata, author: '' }, profile, { now })).toEqual({
+            title: 'A Post',
+            source_url: 'https://example.com/post',
+            tags: ['one', 'two'],
+            kind: 'clipping',
+            status: 'inbox',
+            site: 'example.com'
+        });
+    });
+
+    it('always includes extra fields recorded by features', () => {
+        const llm = findProfile(BUILT_IN_PROFILES, 'llm');
+        const data = buildFrontmatterData(
+            { title: 'A Post', extra: { assets_failed: ['https://x.test/a.png'], skipped: [], empty: null } },
+            { ...llm, renameKeys: { assets_failed: 'missing_images' } },
+            { now }
+        );
+        expect(data).toEqual({
+            title: 'A Post',
+            date_saved: '2026-03-07T09:05:03.000Z',
+            missing_images: ['https://x.test/a.png']
+        });
+    });
+
+    it('migrates the legacy strip-links default onto profiles', () => {
+        expect(resolveProfileSettings({}).defaultProfile.id).toBe('obsidian');
+        expect(resolveProfileSettings({}).shiftProfile.id).toBe('llm');
+
+        const legacy = resolveProfileSettings({ defaultStripLinks: true });
+        expect(legacy.defaultProfile.id).toBe('llm');
+        expect(legacy.shiftProfile.id).toBe('obsidian');
+
+        const stored = resolveProfileSettings({
+            profiles: [{ id: 'mine', name: 'Mine', fields: ['title', 'bogus'] }],
+            defaultProfile: 'missing'
+        });
+        expect(stored.profiles).toHaveLength(1);
+        expect(stored.defaultProfile).toMatchObject({ id: 'mine', fields: ['title'], stripLinks: false, calloutStyle: 'gfm' });
+    });
+
+    it('writes Obsidian callouts only for the Obsidian profile', () => {
+        const { profiles } = resolveProfileSettings({});
+        expect(profiles.map((profile) => profile.calloutStyle)).toEqual(['obsidian', 'gfm', 'gfm']);
+        expect(resolveProfileSettings({ profiles: [{ id: 'x', calloutStyle: 'rst' }] }).profiles[0].calloutStyle).toBe('gfm');
+    });
+
+    it('round-trips key/value editor lines', () => {
+        const parsed = parseKeyValueLines('type: clipping\n\nbad line\nnote: a: b\n');
+        expect(parsed).toEqual({ type: 'clipping', note: 'a: b' });
+        expect(formatKeyValueLines(parsed)).toBe('type: clipping\nnote: a: b');
+    });
+});
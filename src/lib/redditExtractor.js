@@ -1,12 +1,37 @@
+import { getPageLocation } from './chatTranscript.js';
+import { appendThreadComments, countThreadComments, createThreadArticle, formatPoints, parseCount, resolvePageUrl, toIsoDate } from './threadComments.js';
+
 const REDDIT_HOST_PATTERN = /(^|\.)reddit\.com$/i;
 
-function getLocation(doc) {
-    const win = doc?.defaultView ?? (typeof window !== 'undefined' ? window : null);
-    return win?.location ?? null;
-}
+// Each "load more" request can ask for up to 100 comment ids; cap the number
+// of round trips so a huge thread cannot stall the conversion.
+const MORE_CHILDREN_BATCH = 100;
+const MAX_MORE_CHILDREN_REQUESTS = 5;
+
+// 0 / null mean "no limit" for every filter.
+export const REDDIT_FILTER_DEFAULTS = Object.freeze({
+    maxDepth: 0,
+    minScore: null,
+    topLevelLimit: 0,
+    opOnly: false
+});
+
+/**
+ * Every source (old.reddit markup, the shreddit web components on
+ * www.reddit.com, or the thread's `.json` endpoint) is read into the same
+ * thread model, which buildRedditArticle() renders:
+ *
+ *   thread  { title, author, subreddit, score, scoreText, flair, created,
+ *             createdText, permalink, linkUrl, body, comments, totalComments,
+ *             source }
+ *   comment { id, author, isSubmitter, score, scoreText, created,
+ *             createdText, permalink, body, replies }
+ *
+ * `body` is an Element owned by the page document, or null.
+ */
 
 export function isRedditThreadPage(doc = document) {
-    const location = getLocation(doc);
+    const location = getPageLocation(doc);
     if (!location) return false;
     const host = location.hostname || '';
     const path = location.pathname || '';
@@ -14,155 +39,397 @@ export function isRedditThreadPage(doc = document) {
     return /\/comments\//.test(path);
 }
 
-export function extractRedditThread(doc = document) {
-    if (!isRedditThreadPage(doc)) {
-        return null;
-    }
+function parseHtmlFragment(doc, html) {
+    if (!html) return null;
+    const parsed = new doc.defaultView.DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const container = doc.createElement('div');
+    // Reddit wraps rendered Markdown in <!-- SC_OFF --> markers; keep only content.
+    const nodes = Array.from(parsed.body.childNodes).filter((node) => node.nodeType !== 8);
+    container.append(...nodes.map((node) => doc.importNode(node, true)));
+    return container;
+}
 
-    try {
-        const article = doc.createElement('article');
-        article.setAttribute('data-pagetomd-generated', 'reddit-thread');
-        article.classList.add('pagetomd-reddit-thread');
-
-        const header = doc.createElement('header');
-        const title = doc.createElement('h1');
-        const titleText = (doc.querySelector('a.title')?.textContent || doc.title || 'Reddit Thread').trim();
-        title.textContent = titleText;
-        header.appendChild(title);
-
-        const postThing = doc.querySelector('#siteTable .thing.link') || doc.querySelector('.linklisting .thing.link');
-        const postEntry = postThing?.querySelector('.entry');
-        const postBody = postEntry?.querySelector('.usertext-body .md') || postEntry?.querySelector('.expando .md');
-
-        const author = postEntry?.querySelector('.author')?.textContent?.trim() || null;
-        const subreddit = doc.querySelector('#header-bottom-left .pagename a')?.textContent?.trim() ||
-            (doc.querySelector('.redditname a')?.textContent?.trim() || null);
-        const score = postEntry?.querySelector('.score')?.textContent?.trim() || null;
-        const flair = postEntry?.querySelector('.linkflairlabel')?.textContent?.trim() || null;
-        const timeEl = postEntry?.querySelector('time');
-        const timeText = timeEl?.getAttribute('title') || timeEl?.textContent?.trim() || null;
-
-        const metaParts = [];
-        if (author) metaParts.push(`u/${author}`);
-        if (subreddit) metaParts.push(`r/${subreddit}`);
-        if (score) metaParts.push(score);
-        if (flair) metaParts.push(flair);
-        if (timeText) metaParts.push(timeText);
-
-        if (metaParts.length) {
-            const meta = doc.createElement('p');
-            meta.setAttribute('data-reddit-meta', 'post');
-            meta.textContent = metaParts.join(' • ');
-            header.appendChild(meta);
-        }
 
-        article.appendChild(header);
+function readOldRedditThread(doc) {
+    const postThing = doc.querySelector('#siteTable .thing.link') || doc.querySelector('.linklisting .thing.link');
+    const postEntry = postThing?.querySelector('.entry');
+    const postBody = postEntry?.querySelector('.usertext-body .md') || postEntry?.querySelector('.expando .md');
+    const titleLink = doc.querySelector('a.title');
+    const timeEl = postEntry?.querySelector('time');
+    const scoreText = postEntry?.querySelector('.score')?.textContent?.trim() || null;
+    // Self posts carry their own permalink as data-url.
+    const dataUrl = postThing?.getAttribute('data-url');
+    const isLinkPost = !!dataUrl && !postThing.classList.contains('self') && !dataUrl.startsWith('/r/');
 
-        if (postBody) {
-            const bodySection = doc.createElement('section');
-            bodySection.classList.add('reddit-post-body');
-            bodySection.appendChild(postBody.cloneNode(true));
-            article.appendChild(bodySection);
-        }
+    return {
+        source: 'old',
+        title: (titleLink?.textContent || doc.title || 'Reddit Thread').trim(),
+        author: postEntry?.querySelector('.author')?.textContent?.trim() || null,
+        subreddit:
+            doc.querySelector('#header-bottom-left .pagename a')?.textContent?.trim() ||
+            doc.querySelector('.redditname a')?.textContent?.trim() ||
+            null,
+        score: parseCount(postThing?.getAttribute('data-score') ?? scoreText),
+        scoreText,
+        flair: postEntry?.querySelector('.linkflairlabel')?.textContent?.trim() || null,
+        created: toIsoDate(timeEl?.getAttribute('datetime')),
+        createdText: timeEl?.getAttribute('title') || timeEl?.textContent?.trim() || null,
+        permalink: resolvePageUrl(doc, postThing?.getAttribute('data-permalink')),
+        linkUrl: isLinkPost ? resolvePageUrl(doc, dataUrl) : null,
+        body: postBody ? postBody.cloneNode(true) : null,
+        comments: readOldRedditComments(doc, doc.querySelector('.commentarea .sitetable')),
+        totalComments: parseCount(postThing?.getAttribute('data-comments-count'))
+    };
+}
 
-        const commentsRoot = doc.querySelector('.commentarea .sitetable');
-        const commentsList = buildRedditCommentsList(doc, commentsRoot, 0);
-        if (commentsList) {
-            const commentsSection = doc.createElement('section');
-            commentsSection.classList.add('reddit-comments');
-            const h2 = doc.createElement('h2');
-            h2.textContent = 'Comments';
-            commentsSection.appendChild(h2);
-            commentsSection.appendChild(commentsList);
-            article.appendChild(commentsSection);
-        }
+function readOldRedditComments(doc, sitetable) {
+    if (!sitetable) return [];
 
-        const descriptionSource = postBody?.textContent?.trim() || '';
-        const description = descriptionSource.slice(0, 280) || null;
-        const tags = ['reddit'];
-        if (subreddit) tags.push(`r/${subreddit}`);
+    const comments = [];
+    for (const node of Array.from(sitetable.children)) {
+        if (!node?.classList?.contains('comment')) continue;
+        if (node.classList.contains('deleted') && !node.querySelector('.entry')) continue;
 
-        const metadataOverrides = {
-            title: titleText,
-            author: author ? `u/${author}` : null,
-            description,
-            tags
-        };
+        const entry = node.querySelector(':scope > .entry');
+        if (!entry) continue;
+        if (entry.classList.contains('morechildren')) continue;
 
-        return { article, metadataOverrides };
-    } catch (error) {
-        console.warn('[PageToMD] Failed to extract Reddit thread', error);
-        return null;
+        const bodySource = entry.querySelector('.usertext-body .md') || entry.querySelector('.usertext-body');
+        const authorEl = entry.querySelector('.author');
+        const scoreText =
+            entry.querySelector('.score')?.textContent?.trim() ||
+            entry.querySelector('.score-hidden')?.textContent?.trim() ||
+            null;
+        const timeEl = entry.querySelector('time');
+
+        comments.push({
+            id: node.getAttribute('data-fullname') || node.id?.replace(/^thing_/, '') || null,
+            author: authorEl?.textContent?.trim() || null,
+            isSubmitter: authorEl?.classList?.contains('submitter') ?? false,
+            score: parseCount(scoreText),
+            scoreText,
+            created: toIsoDate(timeEl?.getAttribute('datetime')),
+            createdText: timeEl?.getAttribute('title') || timeEl?.textContent?.trim() || null,
+            permalink: resolvePageUrl(doc, node.getAttribute('data-permalink')),
+            body: bodySource ? bodySource.cloneNode(true) : null,
+            replies: readOldRedditComments(doc, node.querySelector(':scope > .child > .sitetable'))
+        });
     }
+    return comments;
 }
 
-function buildRedditCommentsList(doc, sitetable, depth) {
-    if (!sitetable) return null;
 
-    const commentNodes = Array.from(sitetable.children).filter((node) =>
-        node?.classList?.contains('comment')
-    );
+function readShredditThread(doc) {
+    const post = doc.querySelector('shreddit-post');
+    if (!post) return null;
 
-    if (!commentNodes.length) {
-        return null;
+    const body = post.querySelector('[slot="text-body"]');
+    const postType = post.getAttribute('post-type');
+    const score = parseCount(post.getAttribute('score'));
+    const subreddit = (post.getAttribute('subreddit-prefixed-name') || post.getAttribute('subreddit-name') || '')
+        .replace(/^r\//, '')
+        .trim();
+    const created = toIsoDate(post.getAttribute('created-timestamp'));
+
+    const tree = doc.querySelector('shreddit-comment-tree');
+    return {
+        source: 'shreddit',
+        title: (post.getAttribute('post-title') || doc.title || 'Reddit Thread').trim(),
+        author: post.getAttribute('author') || null,
+        subreddit: subreddit || null,
+        score,
+        scoreText: formatPoints(score),
+        flair: post.querySelector('shreddit-post-flair')?.textContent?.replace(/\s+/g, ' ').trim() || null,
+        created,
+        createdText: created,
+        permalink: resolvePageUrl(doc, post.getAttribute('permalink')),
+        linkUrl: postType && postType !== 'text' ? resolvePageUrl(doc, post.getAttribute('content-href')) : null,
+        body: body ? body.cloneNode(true) : null,
+        comments: tree ? readShredditComments(doc, tree, post.getAttribute('author')) : [],
+        totalComments: parseCount(post.getAttribute('comment-count'))
+    };
+}
+
+function readShredditComments(doc, parent, postAuthor) {
+    const comments = [];
+    for (const node of parent.querySelectorAll(':scope > shreddit-comment')) {
+        const body = node.querySelector(':scope > [slot="comment"]');
+        const author = node.getAttribute('author');
+        const score = parseCount(node.getAttribute('score'));
+        const created = toIsoDate(
+            node.getAttribute('created') ?? node.querySelector(':scope > [slot="commentMeta"] faceplate-timeago')?.getAttribute('ts')
+        );
+
+        comments.push({
+            id: node.getAttribute('thingid') || null,
+            author: author && author !== '[deleted]' ? author : null,
+            isSubmitter: !!author && author === postAuthor,
+            score,
+            scoreText: formatPoints(score),
+            created,
+            createdText: created,
+            permalink: resolvePageUrl(doc, node.getAttribute('permalink')),
+            body: body ? body.cloneNode(true) : null,
+            replies: readShredditComments(doc, node, postAuthor)
+        });
     }
+    return comments;
+}
+
+
+// Keeps the page's query so `?sort=top` (new, controversial…) orders the comments as shown.
+export function getRedditJsonUrl(doc) {
+    const location = getPageLocation(doc);
+    if (!location) return null;
+    const url = new URL(location.href);
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}.json`;
+    url.searchParams.set('raw_json', '1');
+    url.hash = '';
+    return url.href;
+}
 
-    const list = doc.createElement('ol');
-    list.setAttribute('data-comment-depth', String(depth));
+function readJsonComment(doc, data, postAuthor) {
+    const author = data.author && data.author !== '[deleted]' ? data.author : null;
+    return {
+        id: data.name || (data.id ? `t1_${data.id}` : null),
+        author,
+        isSubmitter: !!data.is_submitter || (!!author && author === postAuthor),
+        score: data.score_hidden ? null : data.score ?? null,
+        scoreText: data.score_hidden ? '[score hidden]' : formatPoints(data.score ?? null),
+        created: toIsoDate(data.created_utc),
+        createdText: toIsoDate(data.created_utc),
+        permalink: resolvePageUrl(doc, data.permalink),
+        body: parseHtmlFragment(doc, data.body_html),
+        replies: []
+    };
+}
 
-    for (const node of commentNodes) {
-        if (node.classList.contains('deleted') && !node.querySelector('.entry')) {
+/**
+ * Walks a listing into comments. "Load more" stubs are collected into
+ * `pending` as `{ ids }` so the caller can fetch them afterwards.
+ */
+function readJsonComments(doc, listing, postAuthor, byId, pending) {
+    const comments = [];
+    for (const child of listing?.data?.children ?? []) {
+        if (child.kind === 'more') {
+            // An empty "more" is a "continue this thread" link, not fetchable here.
+            if (child.data?.children?.length) pending.push({ ids: child.data.children });
             continue;
         }
+        if (child.kind !== 't1' || !child.data) continue;
 
-        const entry = node.querySelector(':scope > .entry');
-        if (!entry) continue;
-        if (entry.classList.contains('morechildren')) continue;
+        const comment = readJsonComment(doc, child.data, postAuthor);
+        byId.set(comment.id, comment);
+        comment.replies = readJsonComments(doc, child.data.replies, postAuthor, byId, pending);
+        comments.push(comment);
+    }
+    return comments;
+}
 
-        const bodySource = entry.querySelector('.usertext-body .md') || entry.querySelector('.usertext-body');
-        const bodyClone = bodySource ? bodySource.cloneNode(true) : null;
+async function fetchJson(fetchImpl, url) {
+    const response = await fetchImpl(url, { credentials: 'include', headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response.json();
+}
 
-        const author = entry.querySelector('.author')?.textContent?.trim() || '[deleted]';
-        const score = entry.querySelector('.score')?.textContent?.trim() ||
-            entry.querySelector('.score-hidden')?.textContent?.trim() || null;
-        const timeEl = entry.querySelector('time');
-        const timeText = timeEl?.getAttribute('title') || timeEl?.textContent?.trim() || null;
-
-        const commentMeta = doc.createElement('p');
-        commentMeta.setAttribute('data-reddit-meta', 'comment');
-        const metaParts = [];
-        if (author && author !== '[deleted]') {
-            metaParts.push(`u/${author}`);
-        } else {
-            metaParts.push('[deleted]');
+async function loadMoreComments(doc, fetchImpl, thread, linkId, byId, pending) {
+    const location = getPageLocation(doc);
+    const origin = location?.origin ?? 'https://www.reddit.com';
+    const sort = new URLSearchParams(location?.search ?? '').get('sort');
+    let requests = 0;
+
+    while (pending.length && requests < MAX_MORE_CHILDREN_REQUESTS) {
+        const ids = pending[0].ids.splice(0, MORE_CHILDREN_BATCH);
+        if (!pending[0].ids.length) pending.shift();
+        requests += 1;
+
+        const url = `${origin}/api/morechildren.json?api_type=json&raw_json=1&link_id=${linkId}&children=${ids.join(',')}${sort ? `&sort=${encodeURIComponent(sort)}` : ''}`;
+        const payload = await fetchJson(fetchImpl, url);
+
+        // Things come back flat and in tree order; attach each to its parent.
+        for (const thing of payload?.json?.data?.things ?? []) {
+            if (thing.kind === 'more') {
+                if (thing.data?.children?.length) pending.push({ ids: thing.data.children });
+                continue;
+            }
+            if (thing.kind !== 't1' || !thing.data) continue;
+
+            const comment = readJsonComment(doc, thing.data, thread.author);
+            byId.set(comment.id, comment);
+            if (thing.data.parent_id === linkId) {
+                thread.comments.push(comment);
+            } else {
+                byId.get(thing.data.parent_id)?.replies.push(comment);
+            }
         }
-        if (score) metaParts.push(score);
-        if (timeText) metaParts.push(timeText);
-        commentMeta.textContent = metaParts.join(' • ');
-
-        const item = doc.createElement('li');
-        item.appendChild(commentMeta);
-
-        if (bodyClone) {
-            item.appendChild(bodyClone);
-        } else {
-            const placeholder = doc.createElement('p');
-            placeholder.textContent = '[comment body unavailable]';
-            item.appendChild(placeholder);
+    }
+}
+
+/**
+ * Reads the whole thread from the same-origin `.json` endpoint, including
+ * collapsed comments and (up to a limit) the "load more" stubs.
+ */
+export async function fetchRedditJsonThread(doc = document, { fetchImpl = globalThis.fetch } = {}) {
+    const [postListing, commentListing] = await fetchJson(fetchImpl, getRedditJsonUrl(doc));
+    const post = postListing?.data?.children?.[0]?.data;
+    if (!post) throw new Error('Reddit JSON response had no post');
+
+    const byId = new Map();
+    const pending = [];
+    const thread = {
+        source: 'json',
+        title: post.title || doc.title || 'Reddit Thread',
+        author: post.author && post.author !== '[deleted]' ? post.author : null,
+        subreddit: post.subreddit || null,
+        score: post.score ?? null,
+        scoreText: formatPoints(post.score ?? null),
+        flair: post.link_flair_text || null,
+        created: toIsoDate(post.created_utc),
+        createdText: toIsoDate(post.created_utc),
+        permalink: resolvePageUrl(doc, post.permalink),
+        linkUrl: post.is_self ? null : post.url_overridden_by_dest || post.url || null,
+        body: parseHtmlFragment(doc, post.selftext_html),
+        comments: [],
+        totalComments: post.num_comments ?? null
+    };
+    thread.comments = readJsonComments(doc, commentListing, thread.author, byId, pending);
+
+    if (pending.length) {
+        try {
+            await loadMoreComments(doc, fetchImpl, thread, post.name, byId, pending);
+        } catch (error) {
+            console.warn('[PageToMD] Could not load more Reddit comments', error);
         }
+    }
+
+    return thread;
+}
+
+
+export function redditFiltersFromSettings(settings = {}) {
+    return {
+        maxDepth: settings.redditMaxDepth ?? REDDIT_FILTER_DEFAULTS.maxDepth,
+        minScore: settings.redditMinScore ?? REDDIT_FILTER_DEFAULTS.minScore,
+        topLevelLimit: settings.redditTopLevelLimit ?? REDDIT_FILTER_DEFAULTS.topLevelLimit,
+        opOnly: settings.redditOpOnly ?? REDDIT_FILTER_DEFAULTS.opOnly
+    };
+}
+
+/**
+ * Returns a pruned copy of the comment tree. A comment under `minScore`
+ * takes its replies with it (hidden scores are kept); `maxDepth` counts
+ * levels, so 1 keeps top-level comments only; `opOnly` keeps the branches
+ * that lead to a reply by the original poster; `topLevelLimit` keeps the
+ * first N top-level comments that survive, in the thread's own sort order.
+ */
+export function filterRedditComments(comments, filters = {}) {
+    const { maxDepth, minScore, topLevelLimit, opOnly } = { ...REDDIT_FILTER_DEFAULTS, ...filters };
 
-        const childTable = node.querySelector(':scope > .child > .sitetable');
-        const replies = buildRedditCommentsList(doc, childTable, depth + 1);
-        if (replies) {
-            item.appendChild(replies);
+    const prune = (list, depth) => {
+        if (maxDepth > 0 && depth >= maxDepth) return [];
+
+        const kept = [];
+        for (const comment of list ?? []) {
+            if (minScore != null && comment.score != null && comment.score < minScore) continue;
+            const replies = prune(comment.replies, depth + 1);
+            if (opOnly && !comment.isSubmitter && !replies.length) continue;
+            kept.push({ ...comment, replies });
         }
+        return kept;
+    };
+
+    const filtered = prune(comments, 0);
+    return topLevelLimit > 0 ? filtered.slice(0, topLevelLimit) : filtered;
+}
+
+function describeRedditFilters(filters) {
+    const parts = [];
+    if (filters.maxDepth > 0) parts.push(`max depth ${filters.maxDepth}`);
+    if (filters.minScore != null) parts.push(`min score ${filters.minScore}`);
+    if (filters.topLevelLimit > 0) parts.push(`top ${filters.topLevelLimit} top-level`);
+    if (filters.opOnly) parts.push('OP replies only');
+    return parts.join(', ') || null;
+}
 
-        list.appendChild(item);
+function buildRedditArticle(doc, thread, filters = REDDIT_FILTER_DEFAULTS) {
+    const article = createThreadArticle(doc, 'reddit', {
+        title: thread.title,
+        metaParts: [
+            thread.author && `u/${thread.author}`,
+            thread.subreddit && `r/${thread.subreddit}`,
+            thread.scoreText,
+            thread.flair,
+            thread.createdText
+        ],
+        linkUrl: thread.linkUrl,
+        body: thread.body
+    });
+
+    const comments = filterRedditComments(thread.comments, filters);
+    appendThreadComments(doc, article, 'reddit', comments, { authorPrefix: 'u/' });
+
+    const descriptionSource = thread.body?.textContent?.trim() || '';
+    const description = descriptionSource.slice(0, 280) || null;
+    const tags = ['reddit'];
+    if (thread.subreddit) tags.push(`r/${thread.subreddit}`);
+
+    const metadataOverrides = {
+        title: thread.title,
+        author: thread.author ? `u/${thread.author}` : null,
+        publishedDate: thread.created,
+        description,
+        tags,
+        extra: buildCommentCountExtra(thread, comments, filters)
+    };
+
+    return { article, metadataOverrides };
+}
+
+// Reddit's own count includes comments that were never loaded (deleted,
+// "continue this thread", "load more" beyond the request cap).
+function buildCommentCountExtra(thread, comments, filters) {
+    const included = countThreadComments(comments);
+    const total = Math.max(thread.totalComments ?? 0, countThreadComments(thread.comments));
+    return {
+        comments_included: `${included} of ${total}`,
+        comment_filters: describeRedditFilters(filters)
+    };
+}
+
+/** Reads the thread from the page itself: shreddit markup, else old.reddit. */
+export function extractRedditThread(doc = document, { filters } = {}) {
+    if (!isRedditThreadPage(doc)) {
+        return null;
     }
 
-    if (!list.children.length) {
+    try {
+        return buildRedditArticle(doc, readShredditThread(doc) ?? readOldRedditThread(doc), filters);
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Reddit thread', error);
         return null;
     }
+}
 
-    return list;
+export async function extractRedditThreadFromJson(doc = document, { fetchImpl, filters } = {}) {
+    if (!isRedditThreadPage(doc)) {
+        return null;
+    }
+    return buildRedditArticle(doc, await fetchRedditJsonThread(doc, { fetchImpl }), filters);
 }
+
+export const redditSiteExtractor = {
+    name: 'reddit',
+    priority: 10,
+    matches: (doc) => isRedditThreadPage(doc),
+    extract: async (doc, context) => {
+        const filters = redditFiltersFromSettings(context?.settings);
+        if (context?.settings?.redditUseJsonApi !== false) {
+            try {
+                return await extractRedditThreadFromJson(doc, { fetchImpl: context?.fetch, filters });
+            } catch (error) {
+                console.warn('[PageToMD] Reddit JSON API failed, reading the page instead', error);
+            }
+        }
+        return extractRedditThread(doc, { filters });
+    }
+};
@@ -1,6 +1,16 @@
-import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, vi } from 'vitest';
 import { Window } from 'happy-dom';
-import { extractRedditThread, isRedditThreadPage } from './redditExtractor.js';
+import {
+    extractRedditThread,
+    extractRedditThreadFromJson,
+    filterRedditComments,
+    getRedditJsonUrl,
+    isRedditThreadPage,
+    redditSiteExtractor
+} from './redditExtractor.js';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
 
 function createDocument(html, url) {
     const window = new Window();
@@ -111,3 +121,187 @@ describe('redditExtractor', () => {
         expect(extractRedditThread(doc)).toBeNull();
     });
 });
+
+describe('redditExtractor on www.reddit.com', () => {
+    const threadUrl = 'https://www.reddit.com/r/explainlikeimfive/comments/1rskdh6/eli5_why_do_bridges_have_expansion_joints/';
+
+    function jsonResponse(payload) {
+        return { ok: true, status: 200, json: async () => payload };
+    }
+
+    const moreChildren = {
+        json: {
+            data: {
+                things: [
+                    {
+                        kind: 't1',
+                        data: {
+                            name: 't1_c5',
+                            parent_id: 't1_c1',
+                            author: 'late_reply',
+                            score: 4,
+                            created_utc: 1773405000,
+                            body_html: '<div class="md"><p>Loaded from more children.</p></div>'
+                        }
+                    }
+                ]
+            }
+        }
+    };
+
+    function createFetch() {
+        return vi.fn(async (url) => {
+            if (url.includes('/api/morechildren.json')) return jsonResponse(moreChildren);
+            return jsonResponse(JSON.parse(readFixture('reddit-thread.json')));
+        });
+    }
+
+    it('reads shreddit posts and nested comments', () => {
+        const doc = createDocument(readFixture('reddit-shreddit.html'), threadUrl);
+        const { article, metadataOverrides } = extractRedditThread(doc);
+
+        expect(article.querySelector('h1').textContent).toBe('ELI5: Why do bridges have expansion joints?');
+        const postMeta = article.querySelector('[data-reddit-meta="post"]').textContent;
+        expect(postMeta).toContain('u/bermudi86');
+        expect(postMeta).toContain('r/explainlikeimfive');
+        expect(postMeta).toContain('552 points');
+        expect(postMeta).toContain('Engineering');
+        expect(article.querySelector('.reddit-post-body').textContent).toContain('metal teeth');
+        expect(article.querySelector('button')).toBeNull();
+
+        const topLevel = article.querySelectorAll('.reddit-comments > ol[data-comment-depth="0"] > li');
+        expect(topLevel).toHaveLength(2);
+        expect(topLevel[0].querySelector('ol[data-comment-depth="1"]').textContent).toContain('room to grow');
+        expect(topLevel[0].querySelector('ol[data-comment-depth="2"]').textContent).toContain('Exactly.');
+        expect(topLevel[1].querySelector('[data-reddit-meta="comment"]').textContent).toContain('[deleted]');
+
+        expect(metadataOverrides).toMatchObject({
+            author: 'u/bermudi86',
+            publishedDate: '2026-03-13T11:07:56.000Z',
+            tags: ['reddit', 'r/explainlikeimfive']
+        });
+    });
+
+    it('builds the JSON endpoint URL from the thread path', () => {
+        const doc = createDocument('<div></div>', threadUrl);
+        expect(getRedditJsonUrl(doc)).toBe(
+            'https://www.reddit.com/r/explainlikeimfive/comments/1rskdh6/eli5_why_do_bridges_have_expansion_joints.json?raw_json=1'
+        );
+
+        const sorted = createDocument('<div></div>', `${threadUrl}?sort=top#comments`);
+        expect(getRedditJsonUrl(sorted)).toBe(
+            'https://www.reddit.com/r/explainlikeimfive/comments/1rskdh6/eli5_why_do_bridges_have_expansion_joints.json?sort=top&raw_json=1'
+        );
+    });
+
+    it('reads the thread from the JSON API, including collapsed and "load more" comments', async () => {
+        const doc = createDocument('<div></div>', threadUrl);
+        const fetchImpl = createFetch();
+        const { article, metadataOverrides } = await extractRedditThreadFromJson(doc, { fetchImpl });
+
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+        expect(fetchImpl.mock.calls[1][0]).toContain('link_id=t3_1rskdh6&children=c5');
+
+        expect(article.querySelector('.reddit-post-body').textContent).toContain('metal teeth');
+        expect(article.querySelector('.reddit-post-body').innerHTML).not.toContain('SC_OFF');
+
+        const topLevel = article.querySelectorAll('.reddit-comments > ol[data-comment-depth="0"] > li');
+        expect(topLevel).toHaveLength(2);
+        expect(topLevel[1].textContent).toContain('Collapsed but still here.');
+
+        const replies = topLevel[0].querySelectorAll(':scope > ol[data-comment-depth="1"] > li');
+        expect(replies).toHaveLength(2);
+        expect(replies[1].textContent).toContain('Loaded from more children.');
+
+        expect(metadataOverrides.publishedDate).toBe('2026-03-13T11:07:56.000Z');
+    });
+
+    it('prefers the JSON API and falls back to the page when it fails', async () => {
+        const doc = createDocument(readFixture('reddit-shreddit.html'), threadUrl);
+
+        const viaJson = await redditSiteExtractor.extract(doc, { fetch: createFetch() });
+        expect(viaJson.article.textContent).toContain('Collapsed but still here.');
+
+        const failingFetch = vi.fn(async () => ({ ok: false, status: 403 }));
+        const viaPage = await redditSiteExtractor.extract(doc, { fetch: failingFetch });
+        expect(failingFetch).toHaveBeenCalled();
+        expect(viaPage.article.textContent).toContain('Exactly.');
+    });
+
+    it('skips the JSON API when the setting is off', async () => {
+        const doc = createDocument(readFixture('reddit-shreddit.html'), threadUrl);
+        const fetchImpl = createFetch();
+
+        const result = await redditSiteExtractor.extract(doc, { fetch: fetchImpl, settings: { redditUseJsonApi: false } });
+        expect(fetchImpl).not.toHaveBeenCalled();
+        expect(result.article.textContent).toContain('Exactly.');
+    });
+
+    it('links every comment to its permalink and records the comment count', async () => {
+        const doc = createDocument('<div></div>', threadUrl);
+        const { article, metadataOverrides } = await extractRedditThreadFromJson(doc, { fetchImpl: createFetch() });
+
+        const firstMeta = article.querySelector('[data-reddit-meta="comment"]');
+        expect(firstMeta.querySelector('a').getAttribute('href')).toBe(
+            'https://www.reddit.com/r/explainlikeimfive/comments/1rskdh6/comment/c1/'
+        );
+        expect(metadataOverrides.extra).toEqual({ comments_included: '4 of 5', comment_filters: null });
+    });
+
+    it('applies comment filters from settings and records them', async () => {
+        const doc = createDocument(readFixture('reddit-shreddit.html'), threadUrl);
+        const settings = { redditUseJsonApi: false, redditMaxDepth: 2, redditMinScore: 10 };
+        const { article, metadataOverrides } = await redditSiteExtractor.extract(doc, { settings });
+
+        expect(article.textContent).toContain('room to grow');
+        expect(article.textContent).not.toContain('Exactly.');
+        expect(article.textContent).not.toContain('[removed]');
+        expect(metadataOverrides.extra).toEqual({
+            comments_included: '2 of 4',
+            comment_filters: 'max depth 2, min score 10'
+        });
+    });
+});
+
+describe('filterRedditComments', () => {
+    const comment = (id, score, replies = [], isSubmitter = false) => ({ id, score, replies, isSubmitter });
+    const tree = [
+        comment('a', 50, [comment('a1', 3), comment('a2', 8, [comment('a2x', 1, [], true)])]),
+        comment('b', -2, [comment('b1', 40, [], true)]),
+        comment('c', null, [comment('c1', 12)]),
+        comment('d', 9)
+    ];
+    const ids = (list) => list.map((item) => [item.id, ids(item.replies)]);
+
+    it('keeps everything without filters', () => {
+        expect(filterRedditComments(tree)).toEqual(tree);
+    });
+
+    it('cuts replies below the max depth', () => {
+        expect(ids(filterRedditComments(tree, { maxDepth: 1 }))).toEqual([
+            ['a', []],
+            ['b', []],
+            ['c', []],
+            ['d', []]
+        ]);
+    });
+
+    it('drops low-scoring comments with their replies but keeps hidden scores', () => {
+        expect(ids(filterRedditComments(tree, { minScore: 5 }))).toEqual([
+            ['a', [['a2', []]]],
+            ['c', [['c1', []]]],
+            ['d', []]
+        ]);
+    });
+
+    it('limits top-level comments after the other filters', () => {
+        expect(ids(filterRedditComments(tree, { minScore: 5, topLevelLimit: 2 })).map(([id]) => id)).toEqual(['a', 'c']);
+    });
+
+    it('keeps only the chains leading to OP replies', () => {
+        expect(ids(filterRedditComments(tree, { opOnly: true }))).toEqual([
+            ['a', [['a2', [['a2x', []]]]]],
+            ['b', [['b1', []]]]
+        ]);
+    });
+});
@@ -0,0 +1,54 @@
+// Ancestors that give a partial selection its meaning. A range that starts and
+// ends inside a <pre> clones to bare text, so we re-wrap it in shallow copies
+// of these before handing it to Turndown.
+const CONTEXT_ANCESTORS = new Set([
+    'PRE', 'CODE', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'UL', 'OL', 'BLOCKQUOTE'
+]);
+
+function getSelection(doc) {
+    return doc?.getSelection?.() ?? doc?.defaultView?.getSelection?.() ?? null;
+}
+
+export function hasSelection(doc = document) {
+    const selection = getSelection(doc);
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return false;
+    return selection.toString().trim().length > 0;
+}
+
+function wrapInContext(doc, range, fragment) {
+    let node = range.commonAncestorContainer;
+    if (node?.nodeType !== 1) node = node?.parentNode ?? null;
+
+    let wrapped = fragment;
+    while (node && node !== doc.body && node.nodeType === 1) {
+        if (CONTEXT_ANCESTORS.has(node.nodeName)) {
+            const shell = node.cloneNode(false);
+            shell.appendChild(wrapped);
+            wrapped = shell;
+        }
+        node = node.parentNode;
+    }
+    return wrapped;
+}
+
+export function extractSelection(doc = document) {
+    if (!hasSelection(doc)) return null;
+
+    const selection = getSelection(doc);
+    const container = doc.createElement('article');
+    container.setAttribute('data-pagetomd-generated', 'selection');
+
+    for (let i = 0; i < selection.rangeCount; i += 1) {
+        const range = selection.getRangeAt(i);
+        if (range.collapsed) continue;
+        container.appendChild(wrapInContext(doc, range, range.cloneContents()));
+    }
+
+    const text = (container.textContent || '').trim();
+    if (!text && !container.querySelector('img, svg')) return null;
+
+    return {
+        article: container,
+        wordCount: text ? text.split(/\s+/).length : 0
+    };
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractSelection, hasSelection } from './selection.js';
+
+function createDocument(html) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    return window.document;
+}
+
+function select(doc, startNode, startOffset, endNode, endOffset) {
+    const range = doc.createRange();
+    range.setStart(startNode, startOffset);
+    range.setEnd(endNode, endOffset);
+    const selection = doc.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+describe('selection', () => {
+    const sampleHtml = `
+        <h2 id="intro">Intro</h2>
+        <p id="first">First paragraph with <b>bold</b> text.</p>
+        <pre class="lang-js"><code class="language-js">const a = 1;
+const b = 2;</code></pre>
+        <table><tbody><tr><td id="cell-a">A</td><td id="cell-b">B</td></tr></tbody></table>
+    `;
+
+    it('reports whether anything is selected', () => {
+        const doc = createDocument(sampleHtml);
+        expect(hasSelection(doc)).toBe(false);
+        expect(extractSelection(doc)).toBeNull();
+
+        const text = doc.getElementById('first').firstChild;
+        select(doc, text, 0, text, 5);
+        expect(hasSelection(doc)).toBe(true);
+    });
+
+    it('clones only the selected range', () => {
+        const doc = createDocument(sampleHtml);
+        const start = doc.getElementById('first').firstChild;
+        const end = doc.querySelector('code').firstChild;
+        select(doc, start, 6, end, 12);
+
+        const { article, wordCount } = extractSelection(doc);
+        expect(article.getAttribute('data-pagetomd-generated')).toBe('selection');
+        expect(article.textContent).toContain('paragraph with bold');
+        expect(article.textContent).not.toContain('Intro');
+        expect(article.querySelector('pre code')?.textContent).toBe('const a = 1;');
+        expect(wordCount).toBeGreaterThan(3);
+    });
+
+    it('keeps the code block wrapper when the selection is inside a <pre>', () => {
+        const doc = createDocument(sampleHtml);
+        const code = doc.querySelector('code').firstChild;
+        select(doc, code, 0, code, code.textContent.length);
+
+        const { article } = extractSelection(doc);
+        const pre = article.querySelector('pre');
+        expect(pre?.className).toBe('lang-js');
+        expect(pre?.querySelector('code.language-js')?.textContent).toContain('const b = 2;');
+    });
+
+    it('keeps the table wrapper when the selection spans cells', () => {
+        const doc = createDocument(sampleHtml);
+        select(doc, doc.getElementById('cell-a').firstChild, 0, doc.getElementById('cell-b').firstChild, 1);
+
+        const { article } = extractSelection(doc);
+        expect(article.querySelector('table tr td')).not.toBeNull();
+        expect(article.querySelectorAll('td').length).toBe(2);
+    });
+});
@@ -0,0 +1,83 @@
+import { DEFAULT_FILENAME_TEMPLATE } from './filenameTemplate.js';
+
+export const OUTPUT_TARGETS = ['download', 'clipboard', 'both'];
+
+// What a plain toolbar click does; Shift+click always saves straight away.
+export const TOOLBAR_ACTIONS = ['preview', 'save'];
+
+// How images are saved alongside a download: left remote, fetched into an
+// `assets/` folder, or packed with the Markdown into a zip.
+export const ASSET_MODES = ['off', 'folder', 'zip'];
+
+export const SETTINGS_DEFAULTS = Object.freeze({
+    defaultStripLinks: false,
+    debugLogging: false,
+    outputTarget: 'download',
+    toolbarAction: 'preview',
+    filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+    assetMode: 'off',
+    // Caps for profiles that inline images as data URIs; larger images keep their URL.
+    inlineImageMaxKb: 1024,
+    inlineTotalMaxKb: 10240,
+    // Math as $…$ / $$…$$ ('dollars') or \(…\) / \[…\] ('brackets').
+    mathDelimiters: 'dollars',
+    // Read Reddit threads from their .json endpoint (falls back to the page).
+    // The request carries the user's Reddit cookies, like the page itself.
+    redditUseJsonApi: true,
+    // Reddit comment filters; 0 / null mean no limit.
+    redditMaxDepth: 0,
+    redditMinScore: null,
+    redditTopLevelLimit: 0,
+    redditOpOnly: false,
+    // Stack Exchange: accepted answer plus the top N by score; 0 keeps every answer.
+    stackExchangeTopAnswers: 0,
+    // Video transcripts (YouTube, Vimeo, TED, <track> captions): preferred
+    // languages in order ("en, de"), whether uploaded ('manual') or automatic
+    // ('asr') captions win, and whether to ask when a video has several tracks.
+    transcriptLanguages: '',
+    transcriptTrackKind: 'manual',
+    transcriptAskTrack: false,
+    // 'paragraphs' merges caption lines under chapter headings; 'lines' keeps
+    // one line per caption event.
+    transcriptFormat: 'paragraphs',
+    // 'markdown', or 'srt' / 'vtt' to save the captions as a subtitle file.
+    transcriptExportFormat: 'markdown',
+    // Profiles fall back to the built-ins (see resolveProfileSettings) while unset.
+    profiles: null,
+    defaultProfile: null,
+    shiftProfile: null
+});
+
+// Settings saved under an earlier name (new key → old key). The old value is
+// used until the setting is saved again under its new name.
+export const RENAMED_SETTINGS = Object.freeze({
+    transcriptLanguages: 'youtubeLanguages',
+    transcriptTrackKind: 'youtubeTrackKind',
+    transcriptAskTrack: 'youtubeAskTrack',
+    transcriptFormat: 'youtubeTranscriptFormat',
+    transcriptExportFormat: 'youtubeExportFormat'
+});
+
+/** The storage keys to fetch for `keys`, including their earlier names. */
+export function storageKeysFor(keys) {
+    return [...keys, ...keys.map((key) => RENAMED_SETTINGS[key]).filter(Boolean)];
+}
+
+export function readStoredSetting(stored, key) {
+    return stored[key] ?? stored[RENAMED_SETTINGS[key]] ?? SETTINGS_DEFAULTS[key];
+}
+
+export async function loadSettings(storageArea, keys = Object.keys(SETTINGS_DEFAULTS)) {
+    let stored = {};
+    try {
+        stored = (await storageArea.get(storageKeysFor(keys))) ?? {};
+    } catch (error) {
+        console.warn('[PageToMD] Failed to read settings, using defaults', error);
+    }
+
+    const settings = {};
+    for (const key of keys) {
+        settings[key] = readStoredSetting(stored, key);
+    }
+    return settings;
+}
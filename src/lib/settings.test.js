@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SETTINGS_DEFAULTS, loadSettings } from './settings.js';
+
+function createStorage(values) {
+    return {
+        get: vi.fn(async (keys) => Object.fromEntries(keys.filter((k) => k in values).map((k) => [k, values[k]])))
+    };
+}
+
+describe('settings', () => {
+    it('fills missing keys with defaults', async () => {
+        const settings = await loadSettings(createStorage({ outputTarget: 'both' }));
+        expect(settings).toEqual({ ...SETTINGS_DEFAULTS, outputTarget: 'both' });
+    });
+
+    it('only reads the requested keys', async () => {
+        const storage = createStorage({ debugLogging: true });
+        expect(await loadSettings(storage, ['debugLogging'])).toEqual({ debugLogging: true });
+        expect(storage.get).toHaveBeenCalledWith(['debugLogging']);
+    });
+
+    it('reads transcript settings saved under their earlier YouTube names', async () => {
+        const storage = createStorage({ youtubeLanguages: 'de, en', youtubeExportFormat: 'srt', transcriptExportFormat: 'vtt' });
+        expect(await loadSettings(storage, ['transcriptLanguages', 'transcriptExportFormat', 'transcriptFormat'])).toEqual({
+            transcriptLanguages: 'de, en',
+            transcriptExportFormat: 'vtt',
+            transcriptFormat: 'paragraphs'
+        });
+        expect(storage.get).toHaveBeenCalledWith([
+            'transcriptLanguages',
+            'transcriptExportFormat',
+            'transcriptFormat',
+            'youtubeLanguages',
+            'youtubeExportFormat',
+            'youtubeTranscriptFormat'
+        ]);
+    });
+
+    it('falls back to defaults when storage throws', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const storage = { get: vi.fn(async () => { throw new Error('no storage'); }) };
+        expect(await loadSettings(storage)).toEqual({ ...SETTINGS_DEFAULTS });
+        warn.mockRestore();
+    });
+});
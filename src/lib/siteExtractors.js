@@ -0,0 +1,114 @@
+import { chatgptSiteExtractor } from './chatgptExtractor.js';
+import { claudeSiteExtractor } from './claudeExtractor.js';
+import { geminiSiteExtractor } from './geminiExtractor.js';
+import { githubSiteExtractor } from './githubExtractor.js';
+import { hackerNewsSiteExtractor } from './hackerNewsExtractor.js';
+import { lobstersSiteExtractor } from './lobstersExtractor.js';
+import { mastodonSiteExtractor } from './mastodonExtractor.js';
+import { poeSiteExtractor } from './poeExtractor.js';
+import { redditSiteExtractor } from './redditExtractor.js';
+import { stackExchangeSiteExtractor } from './stackExchangeExtractor.js';
+import { tedSiteExtractor } from './tedTranscript.js';
+import { videoTrackSiteExtractor } from './videoTrackTranscript.js';
+import { vimeoSiteExtractor } from './vimeoTranscript.js';
+import { xSiteExtractor } from './xExtractor.js';
+import { youtubeSiteExtractor } from './youtubeTranscript.js';
+
+/**
+ * Site extractors bypass the generic Defuddle pass for pages we know how to
+ * read better. Each extractor is a plain object:
+ *
+ *   {
+ *     name: 'reddit',
+ *     priority: 10,                  // higher runs first
+ *     matches(doc) { ... },          // cheap URL/DOM check
+ *     async extract(doc, context) {  // may be sync
+ *       return { article, metadataOverrides }   // DOM to run through Turndown
+ *           ?? { markdown, metadataOverrides }  // ready-made Markdown; with
+ *                                               // `fileType: { extension, mimeType }`
+ *                                               // other text, saved as-is
+ *           ?? { appendix }                     // Markdown added after the
+ *                                               // generic article pass
+ *           ?? { error }                        // handled, but nothing to save
+ *           ?? null;                            // fall through to the next one
+ *     }
+ *   }
+ */
+
+export const BUILT_IN_SITE_EXTRACTORS = [
+    youtubeSiteExtractor,
+    vimeoSiteExtractor,
+    tedSiteExtractor,
+    poeSiteExtractor,
+    chatgptSiteExtractor,
+    claudeSiteExtractor,
+    geminiSiteExtractor,
+    redditSiteExtractor,
+    hackerNewsSiteExtractor,
+    lobstersSiteExtractor,
+    stackExchangeSiteExtractor,
+    githubSiteExtractor,
+    xSiteExtractor,
+    mastodonSiteExtractor,
+    videoTrackSiteExtractor
+];
+
+function assertValidExtractor(extractor) {
+    if (!extractor || typeof extractor !== 'object') {
+        throw new TypeError('Site extractor must be an object');
+    }
+    if (!extractor.name) {
+        throw new TypeError('Site extractor is missing a name');
+    }
+    if (typeof extractor.matches !== 'function' || typeof extractor.extract !== 'function') {
+        throw new TypeError(`Site extractor "${extractor.name}" needs matches() and extract() functions`);
+    }
+}
+
+export function createSiteExtractorRegistry(extractors = BUILT_IN_SITE_EXTRACTORS) {
+    const entries = [];
+
+    function register(extractor) {
+        assertValidExtractor(extractor);
+        if (entries.some((entry) => entry.name === extractor.name)) {
+            throw new Error(`Site extractor "${extractor.name}" is already registered`);
+        }
+        entries.push(extractor);
+        entries.sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+    }
+
+    function list() {
+        return entries.slice();
+    }
+
+    function findMatching(doc) {
+        return entries.filter((extractor) => {
+            try {
+                return !!extractor.matches(doc);
+            } catch (error) {
+                console.warn(`[PageToMD] ${extractor.name} matcher failed`, error);
+                return false;
+            }
+        });
+    }
+
+    async function run(doc, context = {}) {
+        for (const extractor of findMatching(doc)) {
+            try {
+                const result = await extractor.extract(doc, context);
+                if (!result) continue;
+                if (!result.article && !result.markdown && !result.appendix && !result.error) continue;
+                return { ...result, extractor: extractor.name };
+            } catch (error) {
+                console.warn(`[PageToMD] ${extractor.name} extractor failed`, error);
+            }
+        }
+        return null;
+    }
+
+    for (const extractor of extractors) {
+        register(extractor);
+    }
+
+    return { register, list, findMatching, run };
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Window } from 'happy-dom';
+import { BUILT_IN_SITE_EXTRACTORS, createSiteExtractorRegistry } from './siteExtractors.js';
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.location.href = url;
+    return window.document;
+}
+
+function fakeExtractor(name, priority, result, matches = true) {
+    return {
+        name,
+        priority,
+        matches: vi.fn(() => matches),
+        extract: vi.fn(async () => result)
+    };
+}
+
+describe('siteExtractors', () => {
+    it('registers the built-in extractors by default', () => {
+        const names = createSiteExtractorRegistry().list().map((extractor) => extractor.name);
+        expect(names).toEqual([
+            'youtube',
+            'vimeo',
+            'ted',
+            'poe',
+            'chatgpt',
+            'claude',
+            'gemini',
+            'reddit',
+            'hacker-news',
+            'lobsters',
+            'stackexchange',
+            'github',
+            'x',
+            'mastodon',
+            'video-track'
+        ]);
+        expect(BUILT_IN_SITE_EXTRACTORS).toHaveLength(15);
+    });
+
+    it('runs matching extractors in priority order', async () => {
+        const low = fakeExtractor('low', 1, { markdown: 'low' });
+        const high = fakeExtractor('high', 5, { markdown: 'high' });
+        const registry = createSiteExtractorRegistry([low, high]);
+
+        const result = await registry.run(createDocument('', 'https://example.com/'));
+
+        expect(result).toMatchObject({ markdown: 'high', extractor: 'high' });
+        expect(low.extract).not.toHaveBeenCalled();
+    });
+
+    it('falls through extractors that do not match, return nothing or throw', async () => {
+        const skipped = fakeExtractor('skipped', 10, { markdown: 'nope' }, false);
+        const empty = fakeExtractor('empty', 9, null);
+        const broken = fakeExtractor('broken', 8, null);
+        broken.extract.mockRejectedValue(new Error('boom'));
+        const fallback = fakeExtractor('fallback', 1, { markdown: 'ok' });
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const registry = createSiteExtractorRegistry([skipped, empty, broken, fallback]);
+        const result = await registry.run(createDocument('', 'https://example.com/'), { options: {} });
+
+        expect(skipped.extract).not.toHaveBeenCalled();
+        expect(empty.extract).toHaveBeenCalledWith(expect.anything(), { options: {} });
+        expect(result?.extractor).toBe('fallback');
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    it('returns appendix results for the caller to add after the article', async () => {
+        const registry = createSiteExtractorRegistry([fakeExtractor('extra', 1, { appendix: '## Transcript' })]);
+        const result = await registry.run(createDocument('', 'https://example.com/'));
+        expect(result).toEqual({ appendix: '## Transcript', extractor: 'extra' });
+    });
+
+    it('returns null when no extractor handles the page', async () => {
+        const registry = createSiteExtractorRegistry();
+        expect(await registry.run(createDocument('<p>Hello</p>', 'https://example.com/'))).toBeNull();
+    });
+
+    it('rejects malformed or duplicate extractors', () => {
+        const registry = createSiteExtractorRegistry([]);
+        expect(() => registry.register({ name: 'bad' })).toThrow(TypeError);
+        registry.register(fakeExtractor('dup', 1, null));
+        expect(() => registry.register(fakeExtractor('dup', 2, null))).toThrow(/already registered/);
+    });
+
+    it('dispatches reddit threads to the reddit extractor', async () => {
+        const doc = createDocument(
+            '<div id="siteTable"><div class="thing link"><div class="entry"><a class="title">Post</a></div></div></div>',
+            'https://old.reddit.com/r/test/comments/abc/post/'
+        );
+        const result = await createSiteExtractorRegistry().run(doc);
+        expect(result?.extractor).toBe('reddit');
+        expect(result?.article?.querySelector('h1')?.textContent).toBe('Post');
+    });
+});
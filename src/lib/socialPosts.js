@@ -0,0 +1,168 @@
+/**
+ * Shared pieces for social thread extractors (X, Mastodon): the run of
+ * posts one author made around the opened post is stitched into a single
+ * article of sequential paragraphs, with quoted posts as blockquotes and
+ * media as images.
+ *
+ * Posts are `{ name, handle, url, created, content, media, quote }` where
+ * `content` is the Element holding the post text (or null), `media` is
+ * `[{ src, alt }]` and `quote` is another post or null.
+ */
+
+const TITLE_SNIPPET_LENGTH = 80;
+
+/**
+ * The opened post plus the posts by the same author directly before and
+ * after it: a self-reply thread. Replies by anyone else end the run.
+ */
+export function selectAuthorThread(posts, focusIndex) {
+    const handle = posts[focusIndex]?.handle;
+    if (!handle) return [];
+
+    let start = focusIndex;
+    while (start > 0 && posts[start - 1].handle === handle) start -= 1;
+    let end = focusIndex;
+    while (end + 1 < posts.length && posts[end + 1].handle === handle) end += 1;
+    return posts.slice(start, end + 1);
+}
+
+/**
+ * Copies a post's text into <p> elements: emoji images become their alt
+ * text, plain wrapper spans are dropped, line breaks become <br> and blank
+ * lines start a new paragraph. Markup that already has paragraphs is kept.
+ */
+export function postParagraphs(doc, source) {
+    const fragment = doc.createDocumentFragment();
+    if (!source) return fragment;
+
+    const clone = source.cloneNode(true);
+    clone.querySelectorAll('button, [aria-hidden="true"]').forEach((el) => el.remove());
+    clone.querySelectorAll('img').forEach((img) => img.replaceWith(doc.createTextNode(img.getAttribute('alt') ?? '')));
+    // Deepest first so nested spans unwrap cleanly.
+    Array.from(clone.querySelectorAll('span')).reverse().forEach((span) => span.replaceWith(...span.childNodes));
+
+    if (clone.querySelector('p')) {
+        fragment.append(...clone.childNodes);
+        return fragment;
+    }
+
+    const walker = doc.createTreeWalker(clone, 4 /* NodeFilter.SHOW_TEXT */);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    for (const node of textNodes) {
+        if (!node.data.includes('\n')) continue;
+        const parts = node.data.split('\n');
+        const pieces = parts.flatMap((part, index) => [
+            ...(index ? [doc.createElement('br')] : []),
+            ...(part ? [doc.createTextNode(part)] : [])
+        ]);
+        node.replaceWith(...pieces);
+    }
+
+    let paragraph = doc.createElement('p');
+    const flush = () => {
+        while (paragraph.lastChild?.nodeName === 'BR') paragraph.lastChild.remove();
+        if (paragraph.textContent.trim() || paragraph.querySelector('a')) fragment.appendChild(paragraph);
+        paragraph = doc.createElement('p');
+    };
+    for (const node of Array.from(clone.childNodes)) {
+        const previous = paragraph.lastChild;
+        if (node.nodeName === 'BR' && previous?.nodeName === 'BR') {
+            previous.remove();
+            flush();
+            continue;
+        }
+        if (node.nodeName === 'BR' && !paragraph.hasChildNodes()) continue;
+        paragraph.appendChild(node);
+    }
+    flush();
+    return fragment;
+}
+
+function appendMedia(doc, parent, media) {
+    for (const { src, alt } of media ?? []) {
+        if (!src) continue;
+        const paragraph = doc.createElement('p');
+        const img = doc.createElement('img');
+        img.setAttribute('src', src);
+        img.setAttribute('alt', alt ?? '');
+        paragraph.appendChild(img);
+        parent.appendChild(paragraph);
+    }
+}
+
+function byline(post) {
+    return post.name && post.handle ? `${post.name} (${post.handle})` : post.name || post.handle || 'Unknown';
+}
+
+function buildQuote(doc, quote) {
+    const blockquote = doc.createElement('blockquote');
+    const source = doc.createElement('p');
+    const strong = doc.createElement('strong');
+    strong.textContent = byline(quote);
+    source.appendChild(strong);
+    if (quote.url) {
+        const link = doc.createElement('a');
+        link.href = quote.url;
+        link.textContent = quote.created ?? quote.url;
+        source.append(' · ', link);
+    }
+    blockquote.append(source, postParagraphs(doc, quote.content));
+    appendMedia(doc, blockquote, quote.media);
+    return blockquote;
+}
+
+// The post as one line of text, for the title and description.
+function plainText(doc, source) {
+    const fragment = postParagraphs(doc, source);
+    fragment.querySelectorAll('br').forEach((br) => br.replaceWith(' '));
+    return Array.from(fragment.childNodes, (node) => node.textContent).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function titleSnippet(text) {
+    if (text.length <= TITLE_SNIPPET_LENGTH) return text;
+    const cut = text.slice(0, TITLE_SNIPPET_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > TITLE_SNIPPET_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/** Renders the thread; `kind` names the article, e.g. `x-thread`. */
+export function buildSocialThread(doc, kind, posts) {
+    const [first] = posts;
+    const firstText = plainText(doc, first.content);
+    const snippet = titleSnippet(firstText);
+    const title = snippet ? `${first.name || first.handle}: ${snippet}` : `Post by ${byline(first)}`;
+
+    const article = doc.createElement('article');
+    article.setAttribute('data-pagetomd-generated', `${kind}-thread`);
+    const heading = doc.createElement('h1');
+    heading.textContent = title;
+    const meta = doc.createElement('p');
+    meta.setAttribute('data-social-meta', 'author');
+    meta.textContent = posts.length > 1 ? `Thread by ${byline(first)} · ${posts.length} posts` : byline(first);
+    article.append(heading, meta);
+
+    for (const post of posts) {
+        const section = doc.createElement('section');
+        section.setAttribute('data-social-post', post.url ?? '');
+        section.appendChild(postParagraphs(doc, post.content));
+        appendMedia(doc, section, post.media);
+        if (post.quote) section.appendChild(buildQuote(doc, post.quote));
+        article.appendChild(section);
+    }
+
+    return {
+        article,
+        metadataOverrides: {
+            title,
+            author: first.name || first.handle,
+            publishedDate: first.created,
+            description: firstText.slice(0, 280) || null,
+            extra: {
+                handle: first.handle,
+                post_timestamps: posts.map((post) => post.created).filter(Boolean),
+                post_urls: posts.map((post) => post.url).filter(Boolean)
+            }
+        }
+    };
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { postParagraphs, selectAuthorThread } from './socialPosts.js';
+
+function createDocument(html = '') {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    return window.document;
+}
+
+describe('selectAuthorThread', () => {
+    const posts = ['@a', '@b', '@b', '@b', '@c', '@b'].map((handle, index) => ({ handle, index }));
+
+    it('keeps the same-author run around the opened post', () => {
+        expect(selectAuthorThread(posts, 2).map((post) => post.index)).toEqual([1, 2, 3]);
+        expect(selectAuthorThread(posts, 5).map((post) => post.index)).toEqual([5]);
+    });
+
+    it('returns nothing when the opened post has no handle', () => {
+        expect(selectAuthorThread([{ handle: null }], 0)).toEqual([]);
+        expect(selectAuthorThread([], -1)).toEqual([]);
+    });
+});
+
+describe('postParagraphs', () => {
+    it('turns blank lines into paragraphs and single newlines into breaks', () => {
+        const doc = createDocument('<div id="post"><span>One\n\nTwo\nthree</span> <a href="https://example.com">link</a></div>');
+        const wrapper = doc.createElement('div');
+        wrapper.appendChild(postParagraphs(doc, doc.getElementById('post')));
+
+        expect(wrapper.innerHTML).toBe('<p>One</p><p>Two<br>three <a href="https://example.com">link</a></p>');
+    });
+
+    it('keeps existing paragraphs and drops hidden controls', () => {
+        const doc = createDocument('<div id="post"><p>First</p><button>Translate</button><p>Second</p></div>');
+        const wrapper = doc.createElement('div');
+        wrapper.appendChild(postParagraphs(doc, doc.getElementById('post')));
+
+        expect(wrapper.innerHTML).toBe('<p>First</p><p>Second</p>');
+    });
+});
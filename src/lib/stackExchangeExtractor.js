@@ -0,0 +1,265 @@
+import { getPageLocation } from './chatTranscript.js';
+import { parseCount, resolvePageUrl, toIsoDate } from './threadComments.js';
+
+const STACK_EXCHANGE_HOST_PATTERN =
+    /(^|\.)(stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net|stackapps\.com)$/i;
+
+// Vote buttons, share/edit menus and "Run code snippet" controls inside posts.
+const POST_UI_SELECTORS = ['button', '.js-post-menu', '.snippet-ctas', '.snippet-result'];
+
+export function isStackExchangeQuestionPage(doc = document) {
+    const location = getPageLocation(doc);
+    if (!location) return false;
+    return STACK_EXCHANGE_HOST_PATTERN.test(location.hostname || '') && /^\/questions\/\d+/.test(location.pathname || '');
+}
+
+// Dates are shown as titles like "2026-03-13 11:07:56Z" (comments append ", License: …").
+function parseTitleDate(element) {
+    const stamp = element?.getAttribute('title')?.split(',')[0]?.trim();
+    return stamp ? toIsoDate(stamp.replace(' ', 'T')) : null;
+}
+
+function formatVotes(score) {
+    return `${score} ${Math.abs(score) === 1 ? 'vote' : 'votes'}`;
+}
+
+/**
+ * Copies the author's `lang-*` hint from the <pre> onto its <code> as
+ * `data-lang`, which detectLanguage() reads before the highlighter's own
+ * `language-*` guess. `lang-none` drops the language altogether.
+ */
+export function applyCodeLanguageHints(root) {
+    for (const pre of root.querySelectorAll('pre')) {
+        const hint = /(?:^|\s)lang-(\S+)/.exec(pre.className)?.[1];
+        if (!hint) continue;
+
+        const code = pre.querySelector('code');
+        if (hint === 'none') {
+            pre.className = pre.className.replace(/(?:^|\s)lang-none\b/, '').trim();
+            code?.removeAttribute('class');
+            continue;
+        }
+        code?.setAttribute('data-lang', hint);
+    }
+}
+
+// Edited posts carry two signatures; the one saying "asked"/"answered" is the author's.
+function findAuthorSignature(post) {
+    const signatures = Array.from(post.querySelectorAll('.post-signature'));
+    return (
+        signatures.find((signature) =>
+            /^(asked|answered)\b/i.test(signature.querySelector('.user-action-time')?.textContent?.trim() ?? '')
+        ) ?? signatures.at(-1) ?? null
+    );
+}
+
+function readSignature(post) {
+    const signature = findAuthorSignature(post);
+    const details = signature?.querySelector('.user-details');
+    const author =
+        details?.querySelector('a[href^="/users/"]')?.textContent?.trim() ||
+        details?.querySelector('[itemprop="name"]')?.textContent?.trim() ||
+        (/community wiki/i.test(details?.textContent ?? '') ? 'community wiki' : null);
+    return { author, created: parseTitleDate(signature?.querySelector('.user-action-time [title]')) };
+}
+
+function readScore(post) {
+    return parseCount(post.getAttribute('data-score') ?? post.querySelector('.js-vote-count')?.getAttribute('data-value')) ?? 0;
+}
+
+function cloneBody(post) {
+    const source = post.querySelector('.js-post-body');
+    if (!source) return null;
+
+    const body = source.cloneNode(true);
+    for (const selector of POST_UI_SELECTORS) {
+        body.querySelectorAll(selector).forEach((el) => el.remove());
+    }
+    applyCodeLanguageHints(body);
+    return body;
+}
+
+function buildCommentsBlock(doc, post, headingLevel) {
+    const list = post.querySelector('.js-comments-list');
+    const items = Array.from(list?.querySelectorAll(':scope > li.comment') ?? []);
+    const remaining = parseCount(list?.getAttribute('data-remaining-comments-count')) ?? 0;
+    if (!items.length && !remaining) return null;
+
+    const fragment = doc.createDocumentFragment();
+    const heading = doc.createElement(`h${headingLevel}`);
+    heading.textContent = 'Comments';
+    const ul = doc.createElement('ul');
+    fragment.append(heading, ul);
+
+    for (const item of items) {
+        const li = doc.createElement('li');
+        const copy = item.querySelector('.comment-copy');
+        if (copy) li.appendChild(copy.cloneNode(true));
+
+        const score = parseCount(item.getAttribute('data-comment-score') ?? item.querySelector('.comment-score')?.textContent);
+        const metaParts = [item.querySelector('.comment-user')?.textContent?.trim() || 'anonymous'];
+        if (score) metaParts.push(formatVotes(score));
+        const created = parseTitleDate(item.querySelector('.comment-date [title]'));
+        if (created) metaParts.push(created);
+
+        const meta = doc.createElement('span');
+        meta.setAttribute('data-stackexchange-meta', 'comment');
+        meta.textContent = ` — ${metaParts.join(' • ')}`;
+        li.appendChild(meta);
+        ul.appendChild(li);
+    }
+
+    // Only the first few comments are in the page; the rest load on demand.
+    if (remaining > 0) {
+        const li = doc.createElement('li');
+        li.textContent = `${remaining} more ${remaining === 1 ? 'comment' : 'comments'} not shown on the page`;
+        ul.appendChild(li);
+    }
+
+    return fragment;
+}
+
+function readAnswer(doc, node) {
+    const { author, created } = readSignature(node);
+    const id = node.getAttribute('data-answerid');
+    return {
+        node,
+        id,
+        author,
+        created,
+        score: readScore(node),
+        accepted: node.classList.contains('accepted-answer') || node.getAttribute('itemprop') === 'acceptedAnswer',
+        permalink: id ? resolvePageUrl(doc, `/a/${id}`) : null
+    };
+}
+
+/**
+ * With `topAnswers` > 0, keeps the accepted answer plus the N highest-scored
+ * others; the page's own order is kept either way.
+ */
+export function selectAnswers(answers, topAnswers = 0) {
+    if (!(topAnswers > 0)) return answers;
+
+    const chosen = new Set(answers.filter((answer) => answer.accepted));
+    answers
+        .filter((answer) => !answer.accepted)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topAnswers)
+        .forEach((answer) => chosen.add(answer));
+    return answers.filter((answer) => chosen.has(answer));
+}
+
+function buildAnswerSection(doc, answer) {
+    const section = doc.createElement('section');
+    section.classList.add('stackexchange-answer');
+    section.setAttribute('data-accepted', String(answer.accepted));
+
+    const heading = doc.createElement('h3');
+    heading.textContent = `${answer.accepted ? 'Accepted answer' : 'Answer'}${answer.author ? ` by ${answer.author}` : ''}`;
+    section.appendChild(heading);
+
+    const meta = doc.createElement('p');
+    meta.setAttribute('data-stackexchange-meta', 'answer');
+    const metaParts = [formatVotes(answer.score)];
+    if (answer.accepted) metaParts.push('accepted');
+    if (answer.created) metaParts.push(`answered ${answer.created}`);
+    meta.textContent = metaParts.join(' • ');
+    if (answer.permalink) {
+        const anchor = doc.createElement('a');
+        anchor.href = answer.permalink;
+        anchor.textContent = 'permalink';
+        meta.append(' • ', anchor);
+    }
+    section.appendChild(meta);
+
+    const body = cloneBody(answer.node);
+    if (body) section.appendChild(body);
+
+    const comments = buildCommentsBlock(doc, answer.node, 4);
+    if (comments) section.appendChild(comments);
+
+    return section;
+}
+
+export function extractStackExchangeQuestion(doc = document, { topAnswers = 0 } = {}) {
+    if (!isStackExchangeQuestionPage(doc)) {
+        return null;
+    }
+
+    try {
+        const question = doc.querySelector('#question');
+        if (!question) return null;
+
+        const title = (
+            doc.querySelector('#question-header h1')?.textContent ||
+            doc.title.replace(/\s+-\s+[^-]+$/, '') ||
+            'Question'
+        ).trim();
+        const { author, created } = readSignature(question);
+        // The header's "Asked" time is UTC without a zone designator.
+        const askedAt = doc.querySelector('time[itemprop="dateCreated"]');
+        const questionCreated = created ?? toIsoDate(askedAt && `${askedAt.getAttribute('datetime')}Z`);
+        const score = readScore(question);
+        const tags = Array.from(question.querySelectorAll('.post-taglist a.post-tag'), (tag) => tag.textContent.trim()).filter(Boolean);
+
+        const article = doc.createElement('article');
+        article.setAttribute('data-pagetomd-generated', 'stackexchange-question');
+
+        const header = doc.createElement('header');
+        const h1 = doc.createElement('h1');
+        h1.textContent = title;
+        const meta = doc.createElement('p');
+        meta.setAttribute('data-stackexchange-meta', 'question');
+        meta.textContent = [formatVotes(score), author && `asked by ${author}`, questionCreated, tags.join(', ')]
+            .filter(Boolean)
+            .join(' • ');
+        header.append(h1, meta);
+        article.appendChild(header);
+
+        const questionSection = doc.createElement('section');
+        questionSection.classList.add('stackexchange-question');
+        const body = cloneBody(question);
+        if (body) questionSection.appendChild(body);
+        const questionComments = buildCommentsBlock(doc, question, 3);
+        if (questionComments) questionSection.appendChild(questionComments);
+        article.appendChild(questionSection);
+
+        const answers = Array.from(doc.querySelectorAll('#answers .answer'), (node) => readAnswer(doc, node));
+        const included = selectAnswers(answers, topAnswers);
+        if (included.length) {
+            const h2 = doc.createElement('h2');
+            h2.textContent = 'Answers';
+            article.appendChild(h2);
+            for (const answer of included) {
+                article.appendChild(buildAnswerSection(doc, answer));
+            }
+        }
+
+        return {
+            article,
+            metadataOverrides: {
+                title,
+                author,
+                publishedDate: questionCreated,
+                description: body?.textContent?.replace(/\s+/g, ' ').trim().slice(0, 280) || null,
+                tags,
+                extra: {
+                    question_score: score,
+                    answers_included: `${included.length} of ${answers.length}`,
+                    has_accepted_answer: answers.some((answer) => answer.accepted)
+                }
+            }
+        };
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract Stack Exchange question', error);
+        return null;
+    }
+}
+
+export const stackExchangeSiteExtractor = {
+    name: 'stackexchange',
+    priority: 10,
+    matches: (doc) => isStackExchangeQuestionPage(doc),
+    extract: (doc, context) =>
+        extractStackExchangeQuestion(doc, { topAnswers: context?.settings?.stackExchangeTopAnswers ?? 0 })
+};
@@ -0,0 +1,111 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import {
+    applyCodeLanguageHints,
+    extractStackExchangeQuestion,
+    isStackExchangeQuestionPage,
+    stackExchangeSiteExtractor
+} from './stackExchangeExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/stackoverflow-question.html', import.meta.url), 'utf8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.location.href = url;
+    return window.document;
+}
+
+describe('stackExchangeExtractor', () => {
+    const questionUrl = 'https://stackoverflow.com/questions/79000001/how-do-i-parse-iso-dates-in-python';
+
+    it('matches question pages across the network', () => {
+        expect(isStackExchangeQuestionPage(createDocument('', questionUrl))).toBe(true);
+        expect(isStackExchangeQuestionPage(createDocument('', 'https://math.stackexchange.com/questions/12/x'))).toBe(true);
+        expect(isStackExchangeQuestionPage(createDocument('', 'https://superuser.com/questions/34'))).toBe(true);
+        expect(isStackExchangeQuestionPage(createDocument('', 'https://stackoverflow.com/users/1001/dana'))).toBe(false);
+    });
+
+    it('emits the question with its votes, author, tags and comments', () => {
+        const { article } = extractStackExchangeQuestion(createDocument(fixture, questionUrl));
+
+        expect(article.querySelector('h1').textContent).toBe('How do I parse ISO dates in Python?');
+        expect(article.querySelector('[data-stackexchange-meta="question"]').textContent).toBe(
+            '42 votes • asked by dana • 2026-03-13T11:07:56.000Z • python, datetime'
+        );
+
+        const question = article.querySelector('.stackexchange-question');
+        expect(question.textContent).toContain('What is the right way?');
+        const comments = question.querySelectorAll('ul > li');
+        expect(comments).toHaveLength(3);
+        expect(comments[0].textContent).toContain('fromisoformat changed in 3.11. — eli • 5 votes • 2026-03-13T11:20:00.000Z');
+        expect(comments[1].textContent).toContain('3.12, thanks. — dana');
+        expect(comments[2].textContent).toBe('1 more comment not shown on the page');
+        expect(article.querySelector('button, .js-post-menu, .snippet-ctas')).toBeNull();
+    });
+
+    it('emits each answer with score, accepted flag, author, date and comments', () => {
+        const { article } = extractStackExchangeQuestion(createDocument(fixture, questionUrl));
+
+        const answers = article.querySelectorAll('section.stackexchange-answer');
+        expect(answers).toHaveLength(3);
+        expect(answers[0].querySelector('h3').textContent).toBe('Answer by fern');
+        expect(answers[0].getAttribute('data-accepted')).toBe('false');
+
+        expect(answers[1].querySelector('h3').textContent).toBe('Accepted answer by hana');
+        const acceptedMeta = answers[1].querySelector('[data-stackexchange-meta="answer"]');
+        expect(acceptedMeta.textContent).toContain('40 votes • accepted • answered 2026-03-13T12:00:00.000Z');
+        expect(acceptedMeta.querySelector('a').getAttribute('href')).toBe('https://stackoverflow.com/a/79000011');
+        expect(answers[1].querySelector('h4').textContent).toBe('Comments');
+        expect(answers[1].querySelector('ul').textContent).toContain('This is the one that worked for me.');
+
+        expect(answers[2].querySelector('h3').textContent).toBe('Answer by community wiki');
+        expect(answers[2].querySelector('[data-stackexchange-meta="answer"]').textContent).toContain('-1 vote');
+    });
+
+    it('keeps the author\'s language hints on code blocks', () => {
+        const { article } = extractStackExchangeQuestion(createDocument(fixture, questionUrl));
+
+        const codes = article.querySelectorAll('pre > code');
+        expect(codes[0].getAttribute('data-lang')).toBe('py');
+        expect(codes[2].getAttribute('data-lang')).toBe('js');
+        expect(codes[3].hasAttribute('data-lang')).toBe(false);
+        expect(codes[3].className).toBe('');
+        expect(codes[3].closest('pre').className).not.toMatch(/lang-/);
+    });
+
+    it('leaves code without a hint alone', () => {
+        const doc = createDocument('<div><pre class="s-code-block"><code class="language-rust">fn main() {}</code></pre></div>', questionUrl);
+        applyCodeLanguageHints(doc.body);
+        expect(doc.querySelector('code').hasAttribute('data-lang')).toBe(false);
+        expect(doc.querySelector('code').className).toBe('language-rust');
+    });
+
+    it('records question metadata and the answer count', () => {
+        const { metadataOverrides } = extractStackExchangeQuestion(createDocument(fixture, questionUrl));
+
+        expect(metadataOverrides).toMatchObject({
+            title: 'How do I parse ISO dates in Python?',
+            author: 'dana',
+            publishedDate: '2026-03-13T11:07:56.000Z',
+            tags: ['python', 'datetime']
+        });
+        expect(metadataOverrides.extra).toEqual({
+            question_score: 42,
+            answers_included: '3 of 3',
+            has_accepted_answer: true
+        });
+    });
+
+    it('keeps the accepted answer plus the top N when limited', async () => {
+        const doc = createDocument(fixture, questionUrl);
+        const { article, metadataOverrides } = await stackExchangeSiteExtractor.extract(doc, {
+            settings: { stackExchangeTopAnswers: 1 }
+        });
+
+        const headings = Array.from(article.querySelectorAll('section.stackexchange-answer h3'), (h3) => h3.textContent);
+        expect(headings).toEqual(['Answer by fern', 'Accepted answer by hana']);
+        expect(metadataOverrides.extra.answers_included).toBe('2 of 3');
+    });
+});
@@ -0,0 +1,106 @@
+import { getPageLocation } from './chatTranscript.js';
+import { transcriptResult, transcriptSettings } from './captionTracks.js';
+
+/**
+ * TED talk transcripts. Talk pages are a Next.js app: the transcript (cue
+ * times in milliseconds) and the talk's details sit in the `__NEXT_DATA__`
+ * JSON. When the talk page does not carry the transcript, the talk's
+ * /transcript page is fetched for it.
+ */
+
+const TED_HOST_RE = /^(www\.)?ted\.com$/i;
+const TALK_PATH_RE = /^\/talks\/([\w-]+)/;
+
+export function parseTedTalkSlug(href) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch {
+        return '';
+    }
+    return TED_HOST_RE.test(url.hostname) ? (TALK_PATH_RE.exec(url.pathname)?.[1] ?? '') : '';
+}
+
+export function isTedTalkPage(doc = document) {
+    return !!parseTedTalkSlug(getPageLocation(doc)?.href || '');
+}
+
+function readNextData(doc) {
+    const script = doc.getElementById('__NEXT_DATA__');
+    if (!script) return null;
+    try {
+        return JSON.parse(script.textContent);
+    } catch {
+        return null;
+    }
+}
+
+async function fetchTranscriptPage(doc, fetchImpl, slug) {
+    const resp = await fetchImpl(`https://www.ted.com/talks/${encodeURIComponent(slug)}/transcript`);
+    if (!resp.ok) throw new Error(`transcript page HTTP ${resp.status}`);
+    const Parser = doc.defaultView?.DOMParser ?? DOMParser;
+    return readNextData(new Parser().parseFromString(await resp.text(), 'text/html'));
+}
+
+/**
+ * `transcriptData.translation.paragraphs[].cues[]` → segments; each cue runs
+ * until the next one starts.
+ */
+export function readTedSegments(pageProps) {
+    const cues = (pageProps?.transcriptData?.translation?.paragraphs ?? [])
+        .flatMap((paragraph) => paragraph?.cues ?? [])
+        .filter((cue) => Number.isFinite(cue?.time) && cue.text?.trim());
+    return cues.map((cue, index) => {
+        const start = cue.time / 1000;
+        const next = cues[index + 1];
+        return {
+            start,
+            duration: next ? Math.max(0, next.time / 1000 - start) : null,
+            text: cue.text.replace(/\s+/g, ' ').trim()
+        };
+    });
+}
+
+function readTedTrack(pageProps) {
+    const language = pageProps?.transcriptData?.translation?.language;
+    const languageCode = language?.internalLanguageCode || pageProps?.videoData?.language;
+    return languageCode ? { languageCode, kind: '', name: { simpleText: language?.englishName || languageCode } } : null;
+}
+
+function readTalkDetails(pageProps, doc) {
+    const video = pageProps?.videoData ?? {};
+    return {
+        title: video.title || doc.title.replace(/\s*\|\s*TED Talk\s*$/i, ''),
+        author: video.presenterDisplayName || null,
+        publishedDate: video.publishedAt || null
+    };
+}
+
+export async function extractTedTranscript(doc = document, { settings, fetchImpl = globalThis.fetch } = {}) {
+    const slug = parseTedTalkSlug(getPageLocation(doc)?.href || '');
+    if (!slug) return null;
+
+    let pageProps = readNextData(doc)?.props?.pageProps;
+    let segments = readTedSegments(pageProps);
+    if (!segments.length) {
+        try {
+            const fetched = (await fetchTranscriptPage(doc, fetchImpl, slug))?.props?.pageProps;
+            segments = readTedSegments(fetched);
+            pageProps = { ...fetched, videoData: pageProps?.videoData ?? fetched?.videoData };
+        } catch (error) {
+            console.warn('[PageToMD] TED transcript page failed:', error);
+        }
+    }
+    if (!segments.length) {
+        return { error: 'No transcript available for this TED talk.' };
+    }
+
+    return transcriptResult(segments, { settings: transcriptSettings(settings), track: readTedTrack(pageProps), ...readTalkDetails(pageProps, doc) });
+}
+
+export const tedSiteExtractor = {
+    name: 'ted',
+    priority: 30,
+    matches: (doc) => isTedTalkPage(doc),
+    extract: (doc, context) => extractTedTranscript(doc, { settings: context?.settings, fetchImpl: context?.fetch })
+};
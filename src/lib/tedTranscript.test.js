@@ -0,0 +1,73 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, vi } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractTedTranscript, isTedTalkPage, parseTedTalkSlug, readTedSegments } from './tedTranscript.js';
+
+const fixture = readFileSync(new URL('./fixtures/ted-talk.html', import.meta.url), 'utf8');
+const talkUrl = 'https://www.ted.com/talks/amara_osei_why_cities_need_quiet_streets';
+
+function createDocument(html, url) {
+    const window = new Window({ url });
+    window.document.write(html);
+    return window.document;
+}
+
+describe('tedTranscript', () => {
+    it('matches talk and transcript pages', () => {
+        expect(parseTedTalkSlug(`${talkUrl}/transcript?language=de`)).toBe('amara_osei_why_cities_need_quiet_streets');
+        expect(parseTedTalkSlug('https://www.ted.com/talks')).toBe('');
+        expect(parseTedTalkSlug('https://www.ted.com/speakers/amara_osei')).toBe('');
+        expect(isTedTalkPage(createDocument('', talkUrl))).toBe(true);
+    });
+
+    it('turns cues into segments that run until the next cue', () => {
+        expect(
+            readTedSegments({
+                transcriptData: {
+                    translation: {
+                        paragraphs: [{ cues: [{ time: 1000, text: 'One\ntwo' }, { time: 2500, text: ' ' }] }, { cues: [{ time: 4000, text: 'Three' }] }]
+                    }
+                }
+            })
+        ).toEqual([
+            { start: 1, duration: 3, text: 'One two' },
+            { start: 4, duration: null, text: 'Three' }
+        ]);
+        expect(readTedSegments(undefined)).toEqual([]);
+    });
+
+    it('renders the transcript from the page data', async () => {
+        const fetchImpl = vi.fn();
+        const result = await extractTedTranscript(createDocument(fixture, talkUrl), { settings: { transcriptFormat: 'lines' }, fetchImpl });
+
+        expect(fetchImpl).not.toHaveBeenCalled();
+        expect(result.markdown).toContain('# Why cities need quiet streets');
+        expect(result.markdown).toContain('[0:12] A few years ago I moved to a street with no cars.');
+        expect(result.markdown).toContain('[0:21] Then I started to hear my neighbors.');
+        expect(result.metadataOverrides).toMatchObject({
+            title: 'Why cities need quiet streets',
+            author: 'Amara Osei',
+            publishedDate: '2025-11-04T15:00:00Z',
+            wordCount: 25,
+            extra: { transcript_language: 'en', transcript_kind: 'manual' }
+        });
+    });
+
+    it('fetches the transcript page when the talk page has none', async () => {
+        const fetchImpl = vi.fn(async () => new Response(fixture));
+        const result = await extractTedTranscript(createDocument('<p>Talk</p>', talkUrl), { fetchImpl });
+
+        expect(fetchImpl).toHaveBeenCalledWith(`${talkUrl}/transcript`);
+        expect(result.markdown).toContain('Then I started to hear my neighbors.');
+        expect(result.metadataOverrides.author).toBe('Amara Osei');
+    });
+
+    it('reports talks without a transcript', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const fetchImpl = vi.fn(async () => new Response('', { status: 404 }));
+        expect(await extractTedTranscript(createDocument('', talkUrl), { fetchImpl })).toEqual({
+            error: 'No transcript available for this TED talk.'
+        });
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,14 @@
+// Rough rule of thumb for English prose with GPT-style tokenizers. Good
+// enough to tell whether a paste will fit in a context window.
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+export function formatCopySummary(text) {
+    const chars = (text ?? '').length.toLocaleString('en-US');
+    const tokens = estimateTokens(text).toLocaleString('en-US');
+    return `Copied to clipboard: ${chars} characters, ~${tokens} tokens`;
+}
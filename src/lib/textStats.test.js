@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTokens, formatCopySummary } from './textStats.js';
+
+describe('textStats', () => {
+    it('estimates roughly four characters per token', () => {
+        expect(estimateTokens('')).toBe(0);
+        expect(estimateTokens('abcd')).toBe(1);
+        expect(estimateTokens('abcde')).toBe(2);
+    });
+
+    it('formats the clipboard confirmation', () => {
+        expect(formatCopySummary('x'.repeat(12345))).toBe('Copied to clipboard: 12,345 characters, ~3,087 tokens');
+    });
+});
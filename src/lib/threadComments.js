@@ -0,0 +1,159 @@
+import { getPageLocation } from './chatTranscript.js';
+
+/**
+ * Shared pieces for discussion-thread extractors (Reddit, Hacker News,
+ * Lobsters): a header with the title and byline, the post body, then the
+ * comments as nested ordered lists.
+ *
+ * Comments are `{ author, scoreText, createdText, permalink, body, replies }`
+ * where `body` is an Element owned by the page document, or null. For a
+ * `kind` of `reddit` the article is `article[data-pagetomd-generated=
+ * "reddit-thread"]` with `.reddit-post-body`, `.reddit-comments` and
+ * `[data-reddit-meta]` byline paragraphs.
+ */
+
+export function createThreadArticle(doc, kind, { title, metaParts = [], linkUrl = null, body = null }) {
+    const article = doc.createElement('article');
+    article.setAttribute('data-pagetomd-generated', `${kind}-thread`);
+    article.classList.add(`pagetomd-${kind}-thread`);
+
+    const header = doc.createElement('header');
+    const heading = doc.createElement('h1');
+    heading.textContent = title;
+    header.appendChild(heading);
+
+    const parts = metaParts.filter(Boolean);
+    if (parts.length) {
+        const meta = doc.createElement('p');
+        meta.setAttribute(`data-${kind}-meta`, 'post');
+        meta.textContent = parts.join(' • ');
+        header.appendChild(meta);
+    }
+
+    if (linkUrl) {
+        const linkLine = doc.createElement('p');
+        const link = doc.createElement('a');
+        link.href = linkUrl;
+        link.textContent = linkUrl;
+        linkLine.append('Link: ', link);
+        header.appendChild(linkLine);
+    }
+
+    article.appendChild(header);
+
+    if (body) {
+        const bodySection = doc.createElement('section');
+        bodySection.classList.add(`${kind}-post-body`);
+        bodySection.appendChild(body);
+        article.appendChild(bodySection);
+    }
+
+    return article;
+}
+
+/** Appends a "Comments" section to `article`; nothing is added for no comments. */
+export function appendThreadComments(doc, article, kind, comments, { authorPrefix = '' } = {}) {
+    const list = buildCommentList(doc, comments, { metaAttribute: `data-${kind}-meta`, authorPrefix, depth: 0 });
+    if (!list) return;
+
+    const section = doc.createElement('section');
+    section.classList.add(`${kind}-comments`);
+    const heading = doc.createElement('h2');
+    heading.textContent = 'Comments';
+    section.append(heading, list);
+    article.appendChild(section);
+}
+
+function buildCommentList(doc, comments, { metaAttribute, authorPrefix, depth }) {
+    if (!comments?.length) return null;
+
+    const list = doc.createElement('ol');
+    list.setAttribute('data-comment-depth', String(depth));
+
+    for (const comment of comments) {
+        const commentMeta = doc.createElement('p');
+        commentMeta.setAttribute(metaAttribute, 'comment');
+        const metaParts = [comment.author ? `${authorPrefix}${comment.author}` : '[deleted]'];
+        if (comment.scoreText) metaParts.push(comment.scoreText);
+        if (comment.createdText) metaParts.push(comment.createdText);
+        commentMeta.textContent = metaParts.join(' • ');
+        if (comment.permalink) {
+            const anchor = doc.createElement('a');
+            anchor.href = comment.permalink;
+            anchor.textContent = 'permalink';
+            commentMeta.append(' • ', anchor);
+        }
+
+        const item = doc.createElement('li');
+        item.appendChild(commentMeta);
+
+        if (comment.body) {
+            item.appendChild(comment.body);
+        } else {
+            const placeholder = doc.createElement('p');
+            placeholder.textContent = '[comment body unavailable]';
+            item.appendChild(placeholder);
+        }
+
+        const replies = buildCommentList(doc, comment.replies, { metaAttribute, authorPrefix, depth: depth + 1 });
+        if (replies) {
+            item.appendChild(replies);
+        }
+
+        list.appendChild(item);
+    }
+
+    return list;
+}
+
+/**
+ * Turns a flat, page-ordered list of `{ depth, ...comment }` (as sites that
+ * indent rather than nest draw them) into a tree of `replies`.
+ */
+export function nestByDepth(flatComments) {
+    const roots = [];
+    const stack = [];
+
+    for (const { depth, ...fields } of flatComments) {
+        const comment = { ...fields, replies: [] };
+        const level = Math.max(0, Math.min(depth ?? 0, stack.length));
+        stack.length = level;
+        (level === 0 ? roots : stack[level - 1].replies).push(comment);
+        stack.push(comment);
+    }
+
+    return roots;
+}
+
+export function countThreadComments(comments) {
+    return (comments ?? []).reduce((total, comment) => total + 1 + countThreadComments(comment.replies), 0);
+}
+
+/** Parses "250 points", "1.2k", "5" into a number, or null. */
+export function parseCount(text) {
+    const match = /^-?\d+(?:\.\d+)?k?/i.exec(String(text ?? '').trim().replace(/,/g, ''));
+    if (!match) return null;
+    const value = parseFloat(match[0]);
+    return /k$/i.test(match[0]) ? Math.round(value * 1000) : value;
+}
+
+export function formatPoints(score) {
+    if (score == null) return null;
+    return `${score} ${score === 1 ? 'point' : 'points'}`;
+}
+
+export function toIsoDate(value) {
+    if (value == null || value === '') return null;
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/** Resolves a link from the page (often relative) to an absolute URL, or null. */
+export function resolvePageUrl(doc, href) {
+    if (!href) return null;
+    try {
+        return new URL(href, getPageLocation(doc)?.href).href;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { appendThreadComments, countThreadComments, nestByDepth, parseCount } from './threadComments.js';
+
+describe('threadComments', () => {
+    it('nests a flat, indented list into replies', () => {
+        const tree = nestByDepth([
+            { id: 'a', depth: 0 },
+            { id: 'a1', depth: 1 },
+            { id: 'a1x', depth: 2 },
+            { id: 'a2', depth: 1 },
+            { id: 'b', depth: 0 },
+            // A skipped level (e.g. a missing parent) attaches to the deepest open comment.
+            { id: 'b1', depth: 3 }
+        ]);
+
+        const ids = (list) => list.map((item) => [item.id, ids(item.replies)]);
+        expect(ids(tree)).toEqual([
+            ['a', [['a1', [['a1x', []]]], ['a2', []]]],
+            ['b', [['b1', []]]]
+        ]);
+        expect(countThreadComments(tree)).toBe(6);
+    });
+
+    it('parses counts as shown on the page', () => {
+        expect(parseCount('250 points')).toBe(250);
+        expect(parseCount('1.2k')).toBe(1200);
+        expect(parseCount('4 comments')).toBe(4);
+        expect(parseCount('[score hidden]')).toBeNull();
+    });
+
+    it('renders nothing for an empty comment list', () => {
+        const doc = new Window().document;
+        const article = doc.createElement('article');
+        appendThreadComments(doc, article, 'test', []);
+        expect(article.children).toHaveLength(0);
+    });
+});
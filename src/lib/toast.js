@@ -0,0 +1,32 @@
+const TOAST_ID = 'pagetomd-toast';
+
+// Rendered inside a closed shadow root so page styles cannot restyle or hide it.
+export function showToast(message, { doc = document, durationMs = 3000 } = {}) {
+    doc.getElementById(TOAST_ID)?.remove();
+
+    const host = doc.createElement('div');
+    host.id = TOAST_ID;
+    host.style.all = 'initial';
+    host.style.position = 'fixed';
+    host.style.right = '16px';
+    host.style.bottom = '16px';
+    host.style.zIndex = '2147483647';
+
+    const shadow = host.attachShadow({ mode: 'closed' });
+    const box = doc.createElement('div');
+    box.setAttribute('role', 'status');
+    box.textContent = message;
+    box.style.cssText = [
+        'font: 13px/1.4 system-ui, sans-serif',
+        'color: #fbfbfe',
+        'background: #2b2a33',
+        'padding: 10px 14px',
+        'border-radius: 6px',
+        'box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3)',
+        'max-width: 360px'
+    ].join(';');
+    shadow.appendChild(box);
+
+    (doc.body || doc.documentElement).appendChild(host);
+    setTimeout(() => host.remove(), durationMs);
+}
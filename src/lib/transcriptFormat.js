@@ -0,0 +1,267 @@
+/**
+ * Turns caption segments (`{ start, duration, text }`, times in seconds)
+ * into transcript Markdown: one line per caption event or caption lines
+ * merged into paragraphs, split under `##` chapter headings, with every
+ * timestamp linking back to that moment of the video. The same segments
+ * can be written out as SRT or WebVTT subtitles instead.
+ */
+
+export const TRANSCRIPT_FORMATS = ['paragraphs', 'lines'];
+
+export const TRANSCRIPT_EXPORT_FORMATS = ['markdown', 'srt', 'vtt'];
+
+// What the background saves a subtitle export as; Markdown needs no entry.
+export const SUBTITLE_FILE_TYPES = Object.freeze({
+    srt: { extension: 'srt', mimeType: 'application/x-subrip;charset=utf-8' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt;charset=utf-8' }
+});
+
+// A cue without a duration runs to the next one, or this long for the last.
+const FALLBACK_CUE_SECONDS = 3;
+
+// Paragraphs close at a sentence end once they are this long, and at the
+// next caption boundary past the maximum (auto-generated captions rarely
+// have punctuation).
+const PARAGRAPH_MIN_CHARS = 250;
+const PARAGRAPH_MAX_CHARS = 700;
+// A pause this long (seconds) also ends a paragraph that is long enough.
+const PARAGRAPH_PAUSE = 2.5;
+
+const SENTENCE_END_RE = /[.!?…]["'”’)\]]*$/;
+// "0:00 Intro", "(1:23) Setup", "- 12:04 - Results" or "Results – 12:04".
+const LEADING_CHAPTER_RE = /^(?:[-•*]\s*)?[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})(?![\d:])[)\]]?\s*[-–—:|]?\s*(.+)$/;
+const TRAILING_CHAPTER_RE = /^(?:[-•*]\s*)?(.+?)\s*[-–—:|]?\s*[([]?(?<![\d:])((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?$/;
+
+export function formatTimestamp(seconds) {
+    const hrs = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const pad = (n) => String(n).padStart(2, '0');
+    if (hrs > 0) return `${hrs}:${pad(mins)}:${pad(secs)}`;
+    return `${mins}:${pad(secs)}`;
+}
+
+/** "1:02:03" → 3723; null when the text is not a timestamp. */
+export function parseTimestamp(text) {
+    const match = /^\s*(?:(\d+):)?(\d{1,2}):(\d{2})\s*$/.exec(text ?? '');
+    if (!match) return null;
+    return Number(match[1] ?? 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// YouTube only shows chapters for a list of at least three that starts at 0:00.
+function validChapters(chapters) {
+    const sorted = [...chapters].sort((a, b) => a.start - b.start);
+    return sorted.length >= 3 && sorted[0].start === 0 ? sorted : [];
+}
+
+/** Chapter lines from a video description, in either order of time and title. */
+export function parseDescriptionChapters(description) {
+    const chapters = [];
+    for (const rawLine of String(description ?? '').split('\n')) {
+        const line = rawLine.trim();
+        const leading = LEADING_CHAPTER_RE.exec(line);
+        const trailing = leading ? null : TRAILING_CHAPTER_RE.exec(line);
+        const [time, title] = leading ? [leading[1], leading[2]] : trailing ? [trailing[2], trailing[1]] : [];
+        const start = parseTimestamp(time);
+        if (start == null || !title?.trim()) continue;
+        chapters.push({ start, title: title.trim() });
+    }
+    return validChapters(chapters);
+}
+
+/**
+ * Chapters as the player bar draws them: `chapterRenderer` entries anywhere
+ * in the player response or the page's initial data.
+ */
+export function readPlayerChapters(data) {
+    const chapters = [];
+    const seen = new Set();
+    const visit = (node) => {
+        if (!node || typeof node !== 'object' || seen.has(node)) return;
+        seen.add(node);
+        const chapter = node.chapterRenderer;
+        if (chapter && chapter.timeRangeStartMillis != null) {
+            const title = chapter.title?.simpleText ?? chapter.title?.runs?.map((run) => run.text).join('') ?? '';
+            if (title.trim()) chapters.push({ start: Math.floor(Number(chapter.timeRangeStartMillis) / 1000), title: title.trim() });
+        }
+        for (const value of Object.values(node)) visit(value);
+    };
+    visit(data);
+
+    const unique = chapters.filter((chapter, index) => chapters.findIndex((other) => other.start === chapter.start) === index);
+    return validChapters(unique);
+}
+
+/**
+ * Joins consecutive caption segments into paragraphs, each starting at its
+ * first segment's time. `breaks` are times (chapter starts) that always
+ * start a new paragraph.
+ */
+export function mergeSegments(segments, { breaks = [] } = {}) {
+    const paragraphs = [];
+    let current = null;
+    let previous = null;
+    const flush = () => {
+        if (current?.text) paragraphs.push(current);
+        current = null;
+    };
+
+    for (const segment of segments) {
+        const text = segment.text.replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+
+        if (current) {
+            const crossesBreak = breaks.some((time) => segment.start >= time && current.start < time);
+            const pause =
+                previous?.duration != null && segment.start != null
+                    ? segment.start - (previous.start + previous.duration)
+                    : 0;
+            const longEnough = current.text.length >= PARAGRAPH_MIN_CHARS;
+            if (
+                crossesBreak ||
+                current.text.length >= PARAGRAPH_MAX_CHARS ||
+                (longEnough && (SENTENCE_END_RE.test(current.text) || pause >= PARAGRAPH_PAUSE))
+            ) {
+                flush();
+            }
+        }
+
+        current = current ? { ...current, text: `${current.text} ${text}` } : { start: segment.start, text };
+        previous = segment;
+    }
+    flush();
+    return paragraphs;
+}
+
+function formatEntry(entry, linkTimestamp) {
+    if (entry.start == null) return entry.text;
+    const stamp = formatTimestamp(entry.start);
+    const url = linkTimestamp?.(entry.start);
+    return url ? `[${stamp}](${url}) ${entry.text}` : `[${stamp}] ${entry.text}`;
+}
+
+// Description text as Markdown: blank lines separate paragraphs, single
+// newlines stay as hard breaks, and a leading "#" (hashtags) is not a heading.
+export function formatDescription(description) {
+    return String(description ?? '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map((paragraph) =>
+            paragraph
+                .split('\n')
+                .map((line) => line.trim().replace(/^([#>])/, '\\$1'))
+                .filter(Boolean)
+                .join('  \n')
+        )
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * `format` is 'paragraphs' (merged) or 'lines' (one per caption event);
+ * `linkTimestamp(seconds)` returns the URL a timestamp links to, if any.
+ * The description, when given, comes first under its own heading. Entries
+ * before the first chapter, or all of them without chapters, follow under
+ * "Transcript" (or straight under the title when there is no description).
+ * `headingLevel` is the title's level; the other headings sit one below it.
+ */
+export function buildTranscriptMarkdown({
+    title,
+    segments,
+    chapters = [],
+    linkTimestamp = null,
+    format = 'paragraphs',
+    description = '',
+    headingLevel = 1
+}) {
+    const entries =
+        format === 'lines'
+            ? segments.map((segment) => ({ start: segment.start, text: segment.text.replace(/\s+/g, ' ').trim() })).filter((entry) => entry.text)
+            : mergeSegments(segments, { breaks: chapters.map((chapter) => chapter.start) });
+
+    const heading = '#'.repeat(headingLevel);
+    const blocks = [`${heading} ${title}`];
+    const descriptionMarkdown = formatDescription(description);
+    if (descriptionMarkdown) {
+        blocks.push(`${heading}# Description`, descriptionMarkdown);
+        if (!chapters.length || entries[0]?.start == null || entries[0].start < chapters[0].start) {
+            blocks.push(`${heading}# Transcript`);
+        }
+    }
+
+    let chapterIndex = 0;
+    for (const entry of entries) {
+        while (chapterIndex < chapters.length && entry.start != null && entry.start >= chapters[chapterIndex].start) {
+            blocks.push(`${heading}# ${chapters[chapterIndex].title}`);
+            chapterIndex += 1;
+        }
+        blocks.push(formatEntry(entry, linkTimestamp));
+    }
+    return blocks.join('\n\n');
+}
+
+/** Timed, non-empty segments with an end time each. */
+export function toCues(segments) {
+    const timed = segments
+        .filter((segment) => segment.start != null)
+        .map((segment) => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+        .filter((segment) => segment.text);
+    return timed.map((segment, index) => {
+        const next = timed[index + 1]?.start;
+        const end = segment.duration != null ? segment.start + segment.duration : next ?? segment.start + FALLBACK_CUE_SECONDS;
+        return { start: segment.start, end: Math.max(end, segment.start), text: segment.text };
+    });
+}
+
+function formatCueTime(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const hrs = Math.floor(totalMs / 3_600_000);
+    const mins = Math.floor((totalMs % 3_600_000) / 60_000);
+    const secs = Math.floor((totalMs % 60_000) / 1000);
+    return `${pad(hrs)}:${pad(mins)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+export function buildSrt(segments) {
+    const cues = toCues(segments).map(
+        (cue, index) => `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}`
+    );
+    return cues.length ? `${cues.join('\n\n')}\n` : '';
+}
+
+export function buildWebVtt(segments, { language = '' } = {}) {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = toCues(segments).map(
+        (cue) => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${escape(cue.text)}`
+    );
+    if (!cues.length) return '';
+    // YouTube's own .vtt files carry the same header fields.
+    const header = ['WEBVTT', 'Kind: captions', ...(language ? [`Language: ${language}`] : [])].join('\n');
+    return `${header}\n\n${cues.join('\n\n')}\n`;
+}
+
+export function countWords(segments) {
+    return segments
+        .map((segment) => segment.text)
+        .join(' ')
+        .split(/\s+/)
+        .filter(Boolean).length;
+}
+
+/**
+ * The transcript in the chosen `exportFormat`: Markdown (see
+ * buildTranscriptMarkdown for the other options) or SRT / WebVTT with the
+ * `fileType` to save it as. Subtitles need timings, so segments without any
+ * give `{ error }`.
+ */
+export function renderTranscript(segments, { exportFormat = 'markdown', language = '', ...markdownOptions } = {}) {
+    const fileType = SUBTITLE_FILE_TYPES[exportFormat] ?? null;
+    if (!fileType) {
+        return { markdown: buildTranscriptMarkdown({ ...markdownOptions, segments }), fileType: null };
+    }
+
+    const subtitles = exportFormat === 'vtt' ? buildWebVtt(segments, { language }) : buildSrt(segments);
+    return subtitles
+        ? { markdown: subtitles, fileType }
+        : { error: 'This transcript has no timings to export as subtitles.' };
+}
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildSrt,
+    buildTranscriptMarkdown,
+    buildWebVtt,
+    formatDescription,
+    formatTimestamp,
+    mergeSegments,
+    parseDescriptionChapters,
+    parseTimestamp,
+    readPlayerChapters,
+    toCues
+} from './transcriptFormat.js';
+
+describe('timestamps', () => {
+    it('formats and parses m:ss and h:mm:ss', () => {
+        expect(formatTimestamp(83.6)).toBe('1:23');
+        expect(formatTimestamp(3723)).toBe('1:02:03');
+        expect(parseTimestamp('1:23')).toBe(83);
+        expect(parseTimestamp(' 1:02:03 ')).toBe(3723);
+        expect(parseTimestamp('soon')).toBeNull();
+    });
+});
+
+describe('parseDescriptionChapters', () => {
+    it('reads time-first and title-first chapter lines', () => {
+        const description = [
+            'Links below!',
+            '',
+            '0:00 Intro',
+            '(1:30) - Setting up',
+            'Results – 12:04',
+            '1:02:03 Outro',
+            '12:04'
+        ].join('\n');
+
+        expect(parseDescriptionChapters(description)).toEqual([
+            { start: 0, title: 'Intro' },
+            { start: 90, title: 'Setting up' },
+            { start: 724, title: 'Results' },
+            { start: 3723, title: 'Outro' }
+        ]);
+    });
+
+    it('ignores lists that YouTube would not show as chapters', () => {
+        expect(parseDescriptionChapters('0:00 Intro\n1:00 End')).toEqual([]);
+        expect(parseDescriptionChapters('0:30 A\n1:00 B\n2:00 C')).toEqual([]);
+    });
+});
+
+describe('readPlayerChapters', () => {
+    it('collects chapterRenderer entries wherever they sit', () => {
+        const chapter = (title, ms) => ({ chapterRenderer: { title: { simpleText: title }, timeRangeStartMillis: ms } });
+        const data = {
+            playerOverlays: {
+                decoratedPlayerBarRenderer: { playerBar: { markersMap: [{ value: { chapters: [chapter('Start', 0), chapter('Middle', 60000), chapter('End', 125500)] } }] } }
+            }
+        };
+
+        expect(readPlayerChapters(data)).toEqual([
+            { start: 0, title: 'Start' },
+            { start: 60, title: 'Middle' },
+            { start: 125, title: 'End' }
+        ]);
+        expect(readPlayerChapters(null)).toEqual([]);
+    });
+});
+
+describe('mergeSegments', () => {
+    const sentence = 'This caption line is part of a longer explanation about expansion joints.';
+
+    it('closes paragraphs at a sentence end once they are long enough', () => {
+        const segments = Array.from({ length: 8 }, (_, i) => ({ start: i * 4, duration: 4, text: sentence }));
+        const paragraphs = mergeSegments(segments);
+
+        expect(paragraphs.map((p) => p.start)).toEqual([0, 16]);
+        expect(paragraphs[0].text).toBe(Array(4).fill(sentence).join(' '));
+    });
+
+    it('caps unpunctuated paragraphs and breaks at chapter starts', () => {
+        const words = 'and so the words keep coming without any punctuation at all';
+        const segments = Array.from({ length: 20 }, (_, i) => ({ start: i * 3, duration: 3, text: words }));
+
+        expect(mergeSegments(segments).every((p) => p.text.length < 760)).toBe(true);
+        expect(mergeSegments(segments.slice(0, 4), { breaks: [6] }).map((p) => p.start)).toEqual([0, 6]);
+    });
+
+    it('breaks at a long pause', () => {
+        const long = 'x'.repeat(260);
+        const paragraphs = mergeSegments([
+            { start: 0, duration: 2, text: long },
+            { start: 10, duration: 2, text: 'after the pause' }
+        ]);
+        expect(paragraphs.map((p) => p.start)).toEqual([0, 10]);
+    });
+});
+
+describe('buildTranscriptMarkdown', () => {
+    const segments = [
+        { start: 0, duration: 2, text: 'Hello and welcome.' },
+        { start: 2, duration: 2, text: 'Today we build a shed.' },
+        { start: 65, duration: 3, text: 'First, the floor.' }
+    ];
+    const chapters = [
+        { start: 0, title: 'Intro' },
+        { start: 60, title: 'Floor' },
+        { start: 120, title: 'Roof' }
+    ];
+
+    it('writes linked paragraphs under chapter headings', () => {
+        expect(buildTranscriptMarkdown({ title: 'Shed', segments, chapters, linkTimestamp: (seconds) => `https://www.youtube.com/watch?v=vid&t=${Math.floor(seconds)}s` })).toBe(
+            [
+                '# Shed',
+                '## Intro',
+                '[0:00](https://www.youtube.com/watch?v=vid&t=0s) Hello and welcome. Today we build a shed.',
+                '## Floor',
+                '[1:05](https://www.youtube.com/watch?v=vid&t=65s) First, the floor.'
+            ].join('\n\n')
+        );
+    });
+
+    it('keeps one line per caption in lines mode, unlinked without a link builder', () => {
+        expect(buildTranscriptMarkdown({ title: 'Shed', segments, format: 'lines' })).toBe(
+            ['# Shed', '[0:00] Hello and welcome.', '[0:02] Today we build a shed.', '[1:05] First, the floor.'].join('\n\n')
+        );
+        expect(buildTranscriptMarkdown({ title: 'Shed', segments: [{ start: null, text: 'No time' }] })).toBe('# Shed\n\nNo time');
+    });
+});
+
+describe('description', () => {
+    it('keeps paragraphs and line breaks and escapes leading hashes', () => {
+        expect(formatDescription('Hello there.\nSecond line\n\n#shed #diy\n> not a quote')).toBe(
+            'Hello there.  \nSecond line\n\n\\#shed #diy  \n\\> not a quote'
+        );
+        expect(formatDescription('')).toBe('');
+    });
+
+    it('goes first in the Markdown, before the transcript', () => {
+        const segments = [{ start: 0, duration: 2, text: 'Hi.' }];
+        expect(buildTranscriptMarkdown({ title: 'T', segments, description: 'About this video' })).toBe(
+            '# T\n\n## Description\n\nAbout this video\n\n## Transcript\n\n[0:00] Hi.'
+        );
+        const chapters = [{ start: 0, title: 'One' }, { start: 5, title: 'Two' }, { start: 9, title: 'Three' }];
+        expect(buildTranscriptMarkdown({ title: 'T', segments, chapters, description: 'About' })).toBe(
+            '# T\n\n## Description\n\nAbout\n\n## One\n\n[0:00] Hi.'
+        );
+    });
+});
+
+describe('subtitles', () => {
+    const segments = [
+        { start: 0, duration: 1.5, text: 'Hello  and welcome.' },
+        { start: 1.5, duration: null, text: 'Fish & <chips>' },
+        { start: 3725.25, duration: null, text: 'Bye' },
+        { start: null, duration: null, text: 'untimed' },
+        { start: 4000, duration: 1, text: '   ' }
+    ];
+
+    it('gives every timed cue an end', () => {
+        expect(toCues(segments)).toEqual([
+            { start: 0, end: 1.5, text: 'Hello and welcome.' },
+            { start: 1.5, end: 3725.25, text: 'Fish & <chips>' },
+            { start: 3725.25, end: 3728.25, text: 'Bye' }
+        ]);
+    });
+
+    it('writes numbered SRT cues', () => {
+        expect(buildSrt(segments)).toBe(
+            [
+                '1\n00:00:00,000 --> 00:00:01,500\nHello and welcome.',
+                '2\n00:00:01,500 --> 01:02:05,250\nFish & <chips>',
+                '3\n01:02:05,250 --> 01:02:08,250\nBye'
+            ].join('\n\n') + '\n'
+        );
+        expect(buildSrt([])).toBe('');
+    });
+
+    it('writes WebVTT with a header and escaped text', () => {
+        expect(buildWebVtt(segments.slice(0, 2), { language: 'en' })).toBe(
+            'WEBVTT\nKind: captions\nLanguage: en\n\n00:00:00.000 --> 00:00:01.500\nHello and welcome.\n\n' +
+                '00:00:01.500 --> 00:00:04.500\nFish &amp; &lt;chips&gt;\n'
+        );
+    });
+});
@@ -0,0 +1,99 @@
+import { getPageLocation } from './chatTranscript.js';
+import { chooseTrack, parseWebVtt, transcriptResult, transcriptSettings } from './captionTracks.js';
+import { buildTranscriptMarkdown } from './transcriptFormat.js';
+
+/**
+ * Any page whose <video> carries WebVTT captions as `<track>` elements. Only
+ * same-origin files are read (the page's own captions, fetched with its
+ * cookies); other pages fall through to the normal article pass. When the
+ * video is the page, the transcript is the capture; on an article with a
+ * captioned clip it is appended after the article instead.
+ */
+
+// A <track> without `kind` is a subtitle track.
+const TRACK_SELECTOR = 'video track[src][kind="captions"], video track[src][kind="subtitles"], video track[src]:not([kind])';
+
+// Text outside the player, site chrome and scripts; more than this many words
+// means the page is an article that happens to embed a video.
+const ARTICLE_WORD_THRESHOLD = 150;
+const NON_CONTENT_SELECTOR = 'video, script, style, noscript, template, nav, header, footer, aside, form';
+
+/** True when the video is the page's content: `og:type` says so, or there is little else to read. */
+export function isVideoMainContent(doc = document) {
+    const ogType = doc.querySelector('meta[property="og:type"]')?.getAttribute('content') ?? '';
+    if (/^video(\.|$)/i.test(ogType.trim())) return true;
+    if (!doc.body) return true;
+
+    const body = doc.body.cloneNode(true);
+    body.querySelectorAll(NON_CONTENT_SELECTOR).forEach((el) => el.remove());
+    const words = body.textContent.split(/\s+/).filter(Boolean).length;
+    return words <= ARTICLE_WORD_THRESHOLD;
+}
+
+/** The page's same-origin caption tracks, in the track chooser's shape. */
+export function findVideoTracks(doc = document) {
+    const location = getPageLocation(doc);
+    if (!location) return [];
+
+    return Array.from(doc.querySelectorAll(TRACK_SELECTOR)).flatMap((element) => {
+        let url;
+        try {
+            url = new URL(element.getAttribute('src'), doc.baseURI || location.href);
+        } catch {
+            return [];
+        }
+        if (url.origin !== location.origin) return [];
+        return [{
+            languageCode: element.getAttribute('srclang') || '',
+            kind: '',
+            name: { simpleText: element.getAttribute('label') || element.getAttribute('srclang') || 'Captions' },
+            baseUrl: url.toString()
+        }];
+    });
+}
+
+/**
+ * The transcript as a capture of its own, or with `appendix: true` as a
+ * "Transcript" section (`{ appendix }`) for the end of the article.
+ */
+export async function extractVideoTrackTranscript(
+    doc = document,
+    { settings, interactive = false, fetchImpl = globalThis.fetch, appendix = false } = {}
+) {
+    const tracks = findVideoTracks(doc);
+    if (!tracks.length) return null;
+
+    const preferences = transcriptSettings(settings);
+    const track = await chooseTrack(doc, tracks, { ...preferences, interactive });
+    const resp = await fetchImpl(track.baseUrl, { credentials: 'same-origin' });
+    if (!resp.ok) {
+        console.warn(`[PageToMD] Caption track HTTP ${resp.status}:`, track.baseUrl);
+        return null;
+    }
+
+    const segments = parseWebVtt(await resp.text());
+    if (!segments.length) return null;
+    if (appendix) {
+        return {
+            appendix: buildTranscriptMarkdown({ title: 'Transcript', segments, format: preferences.format, headingLevel: 2 })
+        };
+    }
+    return transcriptResult(segments, {
+        settings: preferences,
+        track: track.languageCode ? track : null,
+        title: doc.title || 'Untitled'
+    });
+}
+
+export const videoTrackSiteExtractor = {
+    name: 'video-track',
+    priority: 1,
+    matches: (doc) => !!doc.querySelector(TRACK_SELECTOR),
+    extract: (doc, context) =>
+        extractVideoTrackTranscript(doc, {
+            settings: context?.settings,
+            interactive: !!context?.interactive,
+            fetchImpl: context?.fetch,
+            appendix: !isVideoMainContent(doc)
+        })
+};
@@ -0,0 +1,71 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, vi } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractVideoTrackTranscript, findVideoTracks, isVideoMainContent, videoTrackSiteExtractor } from './videoTrackTranscript.js';
+
+const captions = readFileSync(new URL('./fixtures/captions.vtt', import.meta.url), 'utf8');
+
+const page = `
+<h1>Workshop recording</h1>
+<video controls src="/media/workshop.mp4">
+    <track kind="captions" src="/media/workshop.de.vtt" srclang="de" label="Deutsch">
+    <track kind="captions" src="/media/workshop.en.vtt" srclang="en" label="English">
+    <track kind="subtitles" src="https://cdn.example.net/workshop.fr.vtt" srclang="fr" label="Français">
+    <track kind="chapters" src="/media/workshop.chapters.vtt" srclang="en">
+</video>`;
+
+function createDocument(html, url) {
+    const window = new Window({ url });
+    window.document.title = 'Workshop recording';
+    window.document.body.innerHTML = html;
+    return window.document;
+}
+
+describe('videoTrackTranscript', () => {
+    const url = 'https://media.example.org/talks/workshop';
+
+    it('finds same-origin caption and subtitle tracks only', () => {
+        const tracks = findVideoTracks(createDocument(page, url));
+        expect(tracks.map((track) => track.baseUrl)).toEqual([
+            'https://media.example.org/media/workshop.de.vtt',
+            'https://media.example.org/media/workshop.en.vtt'
+        ]);
+        expect(tracks[1]).toMatchObject({ languageCode: 'en', name: { simpleText: 'English' } });
+        expect(videoTrackSiteExtractor.matches(createDocument('<video src="a.mp4"></video>', url))).toBe(false);
+    });
+
+    it('renders the preferred language as a timestamped transcript', async () => {
+        const fetchImpl = vi.fn(async () => new Response(captions));
+        const result = await extractVideoTrackTranscript(createDocument(page, url), { settings: { transcriptFormat: 'lines' }, fetchImpl });
+
+        expect(fetchImpl).toHaveBeenCalledWith('https://media.example.org/media/workshop.en.vtt', { credentials: 'same-origin' });
+        expect(result.markdown).toContain('# Workshop recording');
+        expect(result.markdown).toContain('[0:00] Welcome back to the workshop.');
+        expect(result.metadataOverrides).toMatchObject({ title: 'Workshop recording', extra: { transcript_language: 'en' } });
+    });
+
+    it('appends the transcript to articles that embed a captioned clip', async () => {
+        const paragraph = `<p>${'The bridge deck expands in summer and the joints take up the slack. '.repeat(20)}</p>`;
+        const article = createDocument(`<article><h1>Why bridges have joints</h1>${paragraph}${page}</article>`, url);
+        expect(isVideoMainContent(article)).toBe(false);
+        expect(isVideoMainContent(createDocument(page, url))).toBe(true);
+
+        const tagged = createDocument(`<article>${paragraph}${page}</article>`, url);
+        tagged.head.innerHTML = '<meta property="og:type" content="video.other">';
+        expect(isVideoMainContent(tagged)).toBe(true);
+
+        const fetchImpl = vi.fn(async () => new Response(captions));
+        const result = await videoTrackSiteExtractor.extract(article, { settings: { transcriptFormat: 'lines' }, fetch: fetchImpl });
+        expect(result.markdown).toBeUndefined();
+        expect(result.metadataOverrides).toBeUndefined();
+        expect(result.appendix).toMatch(/^## Transcript\n\n\[0:00\] Welcome back to the workshop\./);
+    });
+
+    it('falls through when the page has no readable track', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const fetchImpl = vi.fn(async () => new Response('', { status: 403 }));
+        expect(await extractVideoTrackTranscript(createDocument(page, url), { fetchImpl })).toBeNull();
+        expect(await extractVideoTrackTranscript(createDocument('<video></video>', url), { fetchImpl })).toBeNull();
+        warn.mockRestore();
+    });
+});
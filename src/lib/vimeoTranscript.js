@@ -0,0 +1,107 @@
+import { getPageLocation } from './chatTranscript.js';
+import { chooseTrack, parseWebVtt, transcriptResult, transcriptSettings } from './captionTracks.js';
+import { readInlineJson } from './inlineJson.js';
+
+/**
+ * Vimeo transcripts: the player config lists the video's text tracks (WebVTT
+ * files on player.vimeo.com). The embed page inlines the config; video pages
+ * on vimeo.com do not, so it is fetched.
+ */
+
+const VIMEO_HOST_RE = /^(www\.)?vimeo\.com$/i;
+const PLAYER_HOST_RE = /^player\.vimeo\.com$/i;
+const PLAYER_ORIGIN = 'https://player.vimeo.com';
+
+/**
+ * `{ id, hash }` for vimeo.com/ID (also under /channels/…, /groups/…,
+ * /showcase/…), unlisted vimeo.com/ID/HASH and player.vimeo.com/video/ID;
+ * null for anything else.
+ */
+export function parseVimeoVideo(href) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch {
+        return null;
+    }
+
+    if (PLAYER_HOST_RE.test(url.hostname)) {
+        const id = /^\/video\/(\d+)/.exec(url.pathname)?.[1];
+        return id ? { id, hash: url.searchParams.get('h') } : null;
+    }
+    if (!VIMEO_HOST_RE.test(url.hostname)) return null;
+
+    const match = /\/(\d+)(?:\/([\da-f]{6,}))?\/?$/i.exec(url.pathname);
+    return match ? { id: match[1], hash: match[2] ?? url.searchParams.get('h') } : null;
+}
+
+export function isVimeoVideoPage(doc = document) {
+    return !!parseVimeoVideo(getPageLocation(doc)?.href || '');
+}
+
+async function fetchPlayerConfig(fetchImpl, { id, hash }) {
+    const url = new URL(`/video/${id}/config`, PLAYER_ORIGIN);
+    if (hash) url.searchParams.set('h', hash);
+    const resp = await fetchImpl(url.toString());
+    if (!resp.ok) throw new Error(`player config HTTP ${resp.status}`);
+    return resp.json();
+}
+
+/** Vimeo's `request.text_tracks` in the shape the track chooser expects. */
+export function normalizeVimeoTracks(config) {
+    return (config?.request?.text_tracks ?? [])
+        .filter((track) => track?.url && track.lang)
+        .map((track) => ({
+            languageCode: track.lang,
+            kind: /auto-?generated/i.test(track.label ?? '') || /auto|ai_generated|asr/i.test(track.provenance ?? '') ? 'asr' : '',
+            name: { simpleText: (track.label ?? track.lang).replace(/\s*\(auto-?generated\)$/i, '') },
+            baseUrl: new URL(track.url, PLAYER_ORIGIN).toString()
+        }));
+}
+
+export function vimeoTimestampUrl(id, seconds) {
+    return `https://vimeo.com/${id}#t=${Math.floor(seconds)}s`;
+}
+
+export async function extractVimeoTranscript(doc = document, { settings, interactive = false, fetchImpl = globalThis.fetch } = {}) {
+    const video = parseVimeoVideo(getPageLocation(doc)?.href || '');
+    if (!video) return null;
+
+    const preferences = transcriptSettings(settings);
+    let config = readInlineJson(doc, 'playerConfig');
+    if (!config?.request?.text_tracks) {
+        try {
+            config = await fetchPlayerConfig(fetchImpl, video);
+        } catch (error) {
+            console.warn('[PageToMD] Vimeo player config failed:', error);
+            return { error: 'Could not load this Vimeo video’s player config.' };
+        }
+    }
+
+    const tracks = normalizeVimeoTracks(config);
+    if (!tracks.length) {
+        return { error: 'This Vimeo video has no captions or subtitles.' };
+    }
+
+    const track = await chooseTrack(doc, tracks, { ...preferences, interactive });
+    const resp = await fetchImpl(track.baseUrl);
+    if (!resp.ok) {
+        return { error: `Could not download the Vimeo captions (HTTP ${resp.status}).` };
+    }
+
+    return transcriptResult(parseWebVtt(await resp.text()), {
+        settings: preferences,
+        track,
+        title: config?.video?.title || doc.title,
+        author: config?.video?.owner?.name || null,
+        linkTimestamp: (seconds) => vimeoTimestampUrl(video.id, seconds)
+    });
+}
+
+export const vimeoSiteExtractor = {
+    name: 'vimeo',
+    priority: 30,
+    matches: (doc) => isVimeoVideoPage(doc),
+    extract: (doc, context) =>
+        extractVimeoTranscript(doc, { settings: context?.settings, interactive: !!context?.interactive, fetchImpl: context?.fetch })
+};
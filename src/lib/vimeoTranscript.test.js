@@ -0,0 +1,83 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, vi } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractVimeoTranscript, isVimeoVideoPage, normalizeVimeoTracks, parseVimeoVideo } from './vimeoTranscript.js';
+
+const fixture = readFileSync(new URL('./fixtures/vimeo-player.html', import.meta.url), 'utf8');
+const captions = readFileSync(new URL('./fixtures/captions.vtt', import.meta.url), 'utf8');
+
+function createDocument(html, url) {
+    const window = new Window({ url });
+    window.document.write(html);
+    return window.document;
+}
+
+describe('vimeoTranscript', () => {
+    it('reads video ids from vimeo.com and player URLs', () => {
+        expect(parseVimeoVideo('https://vimeo.com/824000111')).toEqual({ id: '824000111', hash: null });
+        expect(parseVimeoVideo('https://vimeo.com/824000111/a1b2c3d4e5')).toEqual({ id: '824000111', hash: 'a1b2c3d4e5' });
+        expect(parseVimeoVideo('https://vimeo.com/channels/staffpicks/824000111')).toEqual({ id: '824000111', hash: null });
+        expect(parseVimeoVideo('https://player.vimeo.com/video/824000111?h=a1b2c3&autoplay=1')).toEqual({ id: '824000111', hash: 'a1b2c3' });
+        expect(parseVimeoVideo('https://vimeo.com/rowanhale')).toBeNull();
+        expect(parseVimeoVideo('https://example.com/824000111')).toBeNull();
+        expect(isVimeoVideoPage(createDocument('', 'https://vimeo.com/824000111'))).toBe(true);
+    });
+
+    it('normalizes text tracks and flags auto-generated ones', () => {
+        const tracks = normalizeVimeoTracks({
+            request: {
+                text_tracks: [
+                    { lang: 'en-x-autogen', url: '/texttrack/1.vtt', label: 'English (auto-generated)' },
+                    { lang: 'de', url: 'https://player.vimeo.com/texttrack/2.vtt', label: 'Deutsch' },
+                    { lang: 'fr', label: 'Français' }
+                ]
+            }
+        });
+        expect(tracks).toEqual([
+            { languageCode: 'en-x-autogen', kind: 'asr', name: { simpleText: 'English' }, baseUrl: 'https://player.vimeo.com/texttrack/1.vtt' },
+            { languageCode: 'de', kind: '', name: { simpleText: 'Deutsch' }, baseUrl: 'https://player.vimeo.com/texttrack/2.vtt' }
+        ]);
+    });
+
+    it('renders the preferred track from the inline player config', async () => {
+        const fetchImpl = vi.fn(async () => new Response(captions));
+        const doc = createDocument(fixture, 'https://player.vimeo.com/video/824000111');
+
+        const result = await extractVimeoTranscript(doc, { settings: { transcriptFormat: 'lines' }, fetchImpl });
+
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+        expect(fetchImpl).toHaveBeenCalledWith('https://player.vimeo.com/texttrack/9002.vtt?token=def');
+        expect(result.fileType).toBeNull();
+        expect(result.markdown).toContain('# Finishing the Bookshelf');
+        expect(result.markdown).toContain('[0:03](https://vimeo.com/824000111#t=3s) Today we are finishing the bookshelf');
+        expect(result.markdown).toContain('First, sand the edges & corners.');
+        expect(result.metadataOverrides).toMatchObject({
+            title: 'Finishing the Bookshelf',
+            author: 'Rowan Hale',
+            extra: { transcript_language: 'en', transcript_kind: 'manual' }
+        });
+    });
+
+    it('fetches the player config when the page does not inline it', async () => {
+        const config = JSON.parse(/window\.playerConfig = (\{.*\});/.exec(fixture)[1]);
+        const fetchImpl = vi.fn(async (url) =>
+            url.includes('/config') ? new Response(JSON.stringify(config)) : new Response(captions)
+        );
+        const doc = createDocument('<p>Video</p>', 'https://vimeo.com/824000111/a1b2c3d4e5');
+
+        const result = await extractVimeoTranscript(doc, { settings: { transcriptTrackKind: 'asr', transcriptExportFormat: 'srt' }, fetchImpl });
+
+        expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual([
+            'https://player.vimeo.com/video/824000111/config?h=a1b2c3d4e5',
+            'https://player.vimeo.com/texttrack/9001.vtt?token=abc'
+        ]);
+        expect(result.fileType).toEqual({ extension: 'srt', mimeType: expect.any(String) });
+        expect(result.markdown).toMatch(/^1\n00:00:00,500 --> 00:00:03,000\nWelcome back to the workshop\./);
+    });
+
+    it('reports videos without text tracks', async () => {
+        const fetchImpl = vi.fn(async () => new Response(JSON.stringify({ request: { text_tracks: [] } })));
+        const doc = createDocument('', 'https://vimeo.com/824000111');
+        expect(await extractVimeoTranscript(doc, { fetchImpl })).toEqual({ error: 'This Vimeo video has no captions or subtitles.' });
+    });
+});
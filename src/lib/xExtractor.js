@@ -0,0 +1,118 @@
+import { getPageLocation } from './chatTranscript.js';
+import { resolvePageUrl, toIsoDate } from './threadComments.js';
+import { buildSocialThread, selectAuthorThread } from './socialPosts.js';
+
+const X_HOST_PATTERN = /(^|\.)(x\.com|twitter\.com)$/i;
+const STATUS_PATH_PATTERN = /^\/([^/]+)\/status\/(\d+)/;
+
+function parseStatusPath(doc) {
+    const location = getPageLocation(doc);
+    if (!location || !X_HOST_PATTERN.test(location.hostname || '')) return null;
+    const match = STATUS_PATH_PATTERN.exec(location.pathname || '');
+    return match ? { user: match[1], id: match[2] } : null;
+}
+
+export function isXStatusPage(doc = document) {
+    return !!parseStatusPath(doc);
+}
+
+// Photos are served at a size picked for the layout; `name=large` asks for
+// the full-resolution copy.
+function fullSizeImage(src) {
+    return src ? src.replace(/([?&]name=)[^&]+/, '$1large') : src;
+}
+
+// "User-Name" holds the display name, the @handle and (for the post itself)
+// the timestamp link. Quoted posts render it without links, so the leaf
+// spans are the fallback.
+function readUserName(root) {
+    const texts = Array.from(root?.querySelectorAll('span') ?? [])
+        .filter((span) => !span.querySelector('span'))
+        .map((span) => span.textContent.trim())
+        .filter(Boolean);
+    const handle = texts.find((text) => /^@\w+$/.test(text)) ?? null;
+    const name =
+        Array.from(root?.querySelectorAll('a') ?? [])
+            .filter((link) => !link.querySelector('time'))
+            .map((link) => link.textContent.trim())
+            .find((text) => text && !text.startsWith('@')) ||
+        texts.find((text) => !text.startsWith('@') && text !== '·') ||
+        null;
+    return { name, handle };
+}
+
+function readMedia(root, include) {
+    const media = [];
+    for (const img of root.querySelectorAll('[data-testid="tweetPhoto"] img')) {
+        if (include(img)) media.push({ src: fullSizeImage(img.getAttribute('src')), alt: img.getAttribute('alt') || 'Image' });
+    }
+    for (const video of root.querySelectorAll('[data-testid="videoPlayer"] video[poster]')) {
+        if (include(video)) media.push({ src: video.getAttribute('poster'), alt: video.getAttribute('aria-label') || 'Video' });
+    }
+    return media;
+}
+
+function readPost(doc, node, quoteRoot = null) {
+    // The quoted post sits inside the quoting post's article; keep its parts
+    // out of the outer post and read them separately.
+    const outside = (el) => !quoteRoot || !quoteRoot.contains(el);
+    const pick = (selector) => Array.from(node.querySelectorAll(selector)).find(outside) ?? null;
+
+    const { name, handle } = readUserName(pick('[data-testid="User-Name"]'));
+    const time = pick('time[datetime]');
+    const link = time?.closest('a[href*="/status/"]');
+    return {
+        name,
+        handle,
+        url: link ? resolvePageUrl(doc, link.getAttribute('href')) : null,
+        created: toIsoDate(time?.getAttribute('datetime')),
+        content: pick('[data-testid="tweetText"]'),
+        media: readMedia(node, outside),
+        quote: null
+    };
+}
+
+function findQuoteRoot(article) {
+    return Array.from(article.querySelectorAll('div[role="link"]')).find((el) =>
+        el.querySelector('[data-testid="User-Name"]')
+    ) ?? null;
+}
+
+function readArticle(doc, article) {
+    const quoteRoot = findQuoteRoot(article);
+    const post = readPost(doc, article, quoteRoot);
+    if (quoteRoot) post.quote = readPost(doc, quoteRoot);
+    return post;
+}
+
+/**
+ * Reads a status page's conversation: the opened post and the posts its
+ * author chained to it are stitched into one article. Likes, reposts and
+ * the rest of the engagement bar are left behind.
+ */
+export function extractXThread(doc = document) {
+    const status = parseStatusPath(doc);
+    if (!status) return null;
+
+    try {
+        const articles = Array.from(doc.querySelectorAll('article[data-testid="tweet"]'));
+        if (!articles.length) return null;
+
+        const posts = articles.map((article) => readArticle(doc, article));
+        const focus = posts.findIndex((post) => post.url?.endsWith(`/status/${status.id}`));
+        const thread = selectAuthorThread(posts, focus === -1 ? 0 : focus);
+        if (!thread.length) return null;
+
+        return buildSocialThread(doc, 'x', thread);
+    } catch (error) {
+        console.warn('[PageToMD] Failed to extract X thread', error);
+        return null;
+    }
+}
+
+export const xSiteExtractor = {
+    name: 'x',
+    priority: 10,
+    matches: (doc) => isXStatusPage(doc),
+    extract: (doc) => extractXThread(doc)
+};
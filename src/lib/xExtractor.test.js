@@ -0,0 +1,83 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import { extractXThread, isXStatusPage } from './xExtractor.js';
+
+const fixture = readFileSync(new URL('./fixtures/x-thread.html', import.meta.url), 'utf8');
+
+function createDocument(html, url) {
+    const window = new Window();
+    window.document.body.innerHTML = html;
+    window.location.href = url;
+    return window.document;
+}
+
+describe('xExtractor', () => {
+    const statusUrl = 'https://x.com/dana_ops/status/1900000000000000002';
+
+    it('matches status pages on x.com and twitter.com', () => {
+        expect(isXStatusPage(createDocument('', statusUrl))).toBe(true);
+        expect(isXStatusPage(createDocument('', 'https://twitter.com/dana_ops/status/1900000000000000001'))).toBe(true);
+        expect(isXStatusPage(createDocument('', 'https://x.com/home'))).toBe(false);
+    });
+
+    it('stitches the author\'s run of posts and stops at other replies', () => {
+        const { article } = extractXThread(createDocument(fixture, statusUrl));
+
+        expect(article.getAttribute('data-pagetomd-generated')).toBe('x-thread');
+        const posts = article.querySelectorAll('section[data-social-post]');
+        expect(Array.from(posts, (post) => post.getAttribute('data-social-post'))).toEqual([
+            'https://x.com/dana_ops/status/1900000000000000001',
+            'https://x.com/dana_ops/status/1900000000000000002',
+            'https://x.com/dana_ops/status/1900000000000000003'
+        ]);
+        expect(article.textContent).not.toContain('Thanks for the write-up');
+        expect(article.textContent).not.toContain("You're welcome");
+        expect(article.querySelector('[role="group"], button')).toBeNull();
+    });
+
+    it('splits post text into paragraphs and keeps emoji as text', () => {
+        const { article } = extractXThread(createDocument(fixture, statusUrl));
+
+        const paragraphs = article.querySelectorAll('section[data-social-post]')[0].querySelectorAll(':scope > p');
+        expect(paragraphs[0].textContent).toBe("Postmortem thread on Tuesday's outage 🧵");
+        expect(paragraphs[1].innerHTML).toBe('It started with a certificate rotation.<br>Nothing else changed that morning.');
+    });
+
+    it('renders quoted posts as blockquotes and media as images with alt text', () => {
+        const { article } = extractXThread(createDocument(fixture, statusUrl));
+        const [first, second, third] = article.querySelectorAll('section[data-social-post]');
+
+        const photo = first.querySelector('img');
+        expect(photo.getAttribute('alt')).toBe('Graph of error rates spiking at 09:12');
+        expect(photo.getAttribute('src')).toBe('https://pbs.twimg.com/media/AAA111?format=jpg&name=large');
+
+        expect(second.querySelector(':scope > p').textContent).toBe('The new chain was missing an intermediate, which @lee_sec spotted first:');
+        const quote = second.querySelector('blockquote');
+        expect(quote.querySelector('strong').textContent).toBe('Lee (@lee_sec)');
+        expect(quote.textContent).toContain('handshake failures');
+        expect(quote.querySelector('img').getAttribute('src')).toBe('https://pbs.twimg.com/media/BBB222?format=png&name=large');
+        expect(second.querySelectorAll('img')).toHaveLength(1);
+
+        expect(third.querySelector('img').getAttribute('alt')).toBe('Embedded video');
+    });
+
+    it('puts the handle and post timestamps in metadata', () => {
+        const { metadataOverrides } = extractXThread(createDocument(fixture, statusUrl));
+
+        expect(metadataOverrides).toMatchObject({
+            title: "Dana Ops: Postmortem thread on Tuesday's outage 🧵 It started with a certificate…",
+            author: 'Dana Ops',
+            publishedDate: '2026-03-13T09:00:00.000Z'
+        });
+        expect(metadataOverrides.extra).toEqual({
+            handle: '@dana_ops',
+            post_timestamps: ['2026-03-13T09:00:00.000Z', '2026-03-13T09:01:00.000Z', '2026-03-13T09:03:00.000Z'],
+            post_urls: [
+                'https://x.com/dana_ops/status/1900000000000000001',
+                'https://x.com/dana_ops/status/1900000000000000002',
+                'https://x.com/dana_ops/status/1900000000000000003'
+            ]
+        });
+    });
+});
@@ -9,14 +9,43 @@
  *   4. Fallback: scrape visible transcript panel from DOM.
  */
 
-const YT_WATCH_RE = /^https?:\/\/(www\.)?youtube\.com\/watch\?/;
+import { chooseTrack, describeTrack, transcriptSettings } from './captionTracks.js';
+import { readInlineJson } from './inlineJson.js';
+import { countWords, parseDescriptionChapters, parseTimestamp, readPlayerChapters, renderTranscript } from './transcriptFormat.js';
 
-export function isYouTubeWatchPage() {
-    return YT_WATCH_RE.test(window.location.href);
+const YT_HOST_RE = /(^|\.)(youtube\.com|youtube-nocookie\.com)$/i;
+const YT_PATH_ID_RE = /^\/(?:shorts|embed|live|v)\/([\w-]{6,})/;
+
+/**
+ * The video ID from a watch page, Shorts, embed, live or youtu.be URL;
+ * '' for anything else.
+ */
+export function parseYouTubeVideoId(href) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch {
+        return '';
+    }
+
+    const host = url.hostname.toLowerCase();
+    if (host === 'youtu.be') return /^\/([\w-]{6,})/.exec(url.pathname)?.[1] ?? '';
+    if (!YT_HOST_RE.test(host)) return '';
+    if (url.pathname === '/watch') return url.searchParams.get('v') || '';
+    return YT_PATH_ID_RE.exec(url.pathname)?.[1] ?? '';
+}
+
+export function isYouTubeVideoPage(doc = document) {
+    const win = doc?.defaultView ?? (typeof window !== 'undefined' ? window : null);
+    return !!parseYouTubeVideoId(win?.location?.href || '');
+}
+
+export function youtubeTimestampUrl(videoId, seconds) {
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${Math.floor(seconds)}s`;
 }
 
 function getVideoId() {
-    return new URL(window.location.href).searchParams.get('v') || '';
+    return parseYouTubeVideoId(window.location.href);
 }
 
 /* ------------------------------------------------------------------ */
@@ -50,33 +79,7 @@ function extractCaptionTracksFromHtml(html) {
 }
 
 function extractYtInitialPlayerResponseFromDom() {
-    for (const script of document.querySelectorAll('script')) {
-        const text = script.textContent || '';
-        if (!text.includes('ytInitialPlayerResponse')) continue;
-
-        let idx = text.indexOf('var ytInitialPlayerResponse');
-        if (idx !== -1) {
-            const eq = text.indexOf('=', idx);
-            if (eq !== -1) {
-                let depth = 0;
-                let inStr = false;
-                let esc = false;
-                let start = eq + 1;
-                let i = start;
-                for (; i < text.length; i++) {
-                    const ch = text[i];
-                    if (esc) { esc = false; continue; }
-                    if (ch === '\\') { esc = true; continue; }
-                    if (ch === '"') { inStr = !inStr; continue; }
-                    if (inStr) continue;
-                    if (ch === '{') depth++;
-                    else if (ch === '}') { depth--; if (depth === 0) { i++; break; } }
-                }
-                try { return JSON.parse(text.slice(start, i)); } catch { /* continue */ }
-            }
-        }
-    }
-    return null;
+    return readInlineJson(document, 'ytInitialPlayerResponse');
 }
 
 /* ------------------------------------------------------------------ */
@@ -108,55 +111,7 @@ async function fetchPlayerResponse(videoId, apiKey) {
 }
 
 /* ------------------------------------------------------------------ */
-/*  3.  Language selection                                            */
-/* ------------------------------------------------------------------ */
-
-const LANG_FALLBACK_CHAIN = [
-    'en', 'de', 'fr', 'es', 'it', 'zh', 'ja', 'ko', 'pt', 'ru'
-];
-
-function pickBestTrack(tracks, preferredLang = 'auto') {
-    if (!tracks || tracks.length === 0) return null;
-    const byTwo = (code) => code.toLowerCase().slice(0, 2);
-
-    if (preferredLang !== 'auto') {
-        const exact = tracks.find((t) => t.languageCode === preferredLang);
-        if (exact) return exact;
-        const fuzzy = tracks.find((t) => byTwo(t.languageCode) === byTwo(preferredLang));
-        if (fuzzy) return fuzzy;
-    }
-
-    if (preferredLang === 'auto') {
-        const enTracks = tracks.filter((t) => byTwo(t.languageCode) === 'en');
-        const manualEn = enTracks.find((t) => t.kind !== 'asr');
-        if (manualEn) return manualEn;
-        const autoEn = enTracks.find((t) => t.kind === 'asr');
-        if (autoEn) return autoEn;
-    }
-
-    for (const lang of LANG_FALLBACK_CHAIN) {
-        const match = tracks.find((t) => byTwo(t.languageCode) === lang);
-        if (match) return match;
-    }
-
-    return tracks[0];
-}
-
-/* ------------------------------------------------------------------ */
-/*  4.  Timestamp formatting                                          */
-/* ------------------------------------------------------------------ */
-
-function formatTimestamp(seconds) {
-    const hrs = Math.floor(seconds / 3600);
-    const mins = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const pad = (n) => String(n).padStart(2, '0');
-    if (hrs > 0) return `${hrs}:${pad(mins)}:${pad(secs)}`;
-    return `${mins}:${pad(secs)}`;
-}
-
-/* ------------------------------------------------------------------ */
-/*  5.  Transcript fetch with debugging                               */
+/*  3.  Transcript fetch with debugging                               */
 /* ------------------------------------------------------------------ */
 
 async function fetchTranscriptXml(baseUrl) {
@@ -180,7 +135,7 @@ async function fetchTranscriptXml(baseUrl) {
     const doc = parser.parseFromString(text, 'text/xml');
     const texts = doc.getElementsByTagName('text');
 
-    const lines = [];
+    const segments = [];
     for (const el of Array.from(texts)) {
         const raw = el.textContent || '';
         const decoded = raw
@@ -194,11 +149,12 @@ async function fetchTranscriptXml(baseUrl) {
             .trim();
         if (!decoded) continue;
         const start = Number(el.getAttribute('start') || '0');
-        lines.push(`[${formatTimestamp(start)}] ${decoded}`);
+        const dur = Number(el.getAttribute('dur'));
+        segments.push({ start, duration: Number.isFinite(dur) && el.hasAttribute('dur') ? dur : null, text: decoded });
     }
 
-    if (lines.length === 0) throw new Error('timedtext xml: no <text> nodes');
-    return lines;
+    if (segments.length === 0) throw new Error('timedtext xml: no <text> nodes');
+    return segments;
 }
 
 async function fetchTranscriptJson3(baseUrl) {
@@ -217,7 +173,7 @@ async function fetchTranscriptJson3(baseUrl) {
 
     const data = JSON.parse(text);
     const events = data.events || [];
-    const lines = [];
+    const segments = [];
 
     for (const event of events) {
         if (!event.segs || event.segs.length === 0) continue;
@@ -227,16 +183,19 @@ async function fetchTranscriptJson3(baseUrl) {
             .replace(/\n/g, ' ')
             .trim();
         if (!text) continue;
-        const ts = formatTimestamp((event.tStartMs || 0) / 1000);
-        lines.push(`[${ts}] ${text}`);
+        segments.push({
+            start: (event.tStartMs || 0) / 1000,
+            duration: event.dDurationMs != null ? event.dDurationMs / 1000 : null,
+            text
+        });
     }
 
-    if (lines.length === 0) throw new Error('timedtext json3: no segments');
-    return lines;
+    if (segments.length === 0) throw new Error('timedtext json3: no segments');
+    return segments;
 }
 
 /* ------------------------------------------------------------------ */
-/*  6.  DOM panel scraping (last resort)                              */
+/*  4.  DOM panel scraping (last resort)                              */
 /* ------------------------------------------------------------------ */
 
 function querySelectorDeep(root, selector) {
@@ -265,30 +224,36 @@ function scrapeTranscriptFromDom() {
     const panel = querySelectorDeep(document, 'ytd-transcript-body-renderer');
     if (!panel) return null;
 
-    const segments = querySelectorAllDeep(panel, 'ytd-transcript-segment-renderer');
-    if (!segments.length) return null;
+    const renderers = querySelectorAllDeep(panel, 'ytd-transcript-segment-renderer');
+    if (!renderers.length) return null;
 
-    const lines = [];
-    for (const seg of segments) {
+    const segments = [];
+    for (const seg of renderers) {
         const tsEl = querySelectorDeep(seg, '[class*="timestamp"]') || seg.querySelector('div:first-child');
         const textEl = querySelectorDeep(seg, '[class*="text"]') || seg.querySelector('yt-formatted-string');
         const ts = tsEl ? tsEl.textContent.trim() : '';
         const text = textEl ? textEl.textContent.trim() : seg.textContent.trim();
         if (!text) continue;
-        lines.push(ts ? `[${ts}] ${text}` : text);
+        segments.push({ start: parseTimestamp(ts), duration: null, text });
     }
 
-    if (lines.length) {
-        console.log(`[PageToMD] Scraped ${lines.length} lines from DOM panel`);
-        return lines;
+    if (segments.length) {
+        console.log(`[PageToMD] Scraped ${segments.length} lines from DOM panel`);
+        return segments;
     }
     return null;
 }
 
 /* ------------------------------------------------------------------ */
-/*  7.  Metadata                                                      */
+/*  5.  Metadata                                                      */
 /* ------------------------------------------------------------------ */
 
+// Shorts, embeds and the like are recorded by their watch-page URL.
+function pageUrl() {
+    const href = window.location.href;
+    return new URL(href).pathname === '/watch' ? href : `https://www.youtube.com/watch?v=${getVideoId()}`;
+}
+
 function extractYouTubeMetadata(playerResponse) {
     const vd = playerResponse?.videoDetails || {};
     const mi = playerResponse?.microformat?.playerMicroformatRenderer || {};
@@ -296,7 +261,7 @@ function extractYouTubeMetadata(playerResponse) {
         title: vd.title || document.title || 'Untitled',
         author: vd.author || mi.ownerChannelName || '',
         source: 'youtube.com',
-        url: window.location.href,
+        url: pageUrl(),
         domain: 'youtube.com',
         description: vd.shortDescription?.substring(0, 500) || '',
         publishedDate: mi.publishDate || '',
@@ -304,12 +269,56 @@ function extractYouTubeMetadata(playerResponse) {
     };
 }
 
+/** The page's inline `ytInitialPlayerResponse`, if it is for `videoId` (see readCurrentInitialData()). */
+export function readCurrentPlayerResponse(doc, videoId) {
+    const response = readInlineJson(doc, 'ytInitialPlayerResponse');
+    return response?.videoDetails?.videoId === videoId ? response : null;
+}
+
+// The frontmatter keeps a 500-character summary; the note body gets all of it.
+function readFullDescription(playerResponse, videoId) {
+    return (
+        playerResponse?.videoDetails?.shortDescription ??
+        readCurrentPlayerResponse(document, videoId)?.videoDetails?.shortDescription ??
+        ''
+    );
+}
+
+/**
+ * The page's inline `ytInitialData`, if it describes `videoId`. The script is
+ * from the tab's first load and YouTube switches videos without reloading,
+ * so after navigating it belongs to a different video.
+ */
+export function readCurrentInitialData(doc, videoId) {
+    const data = readInlineJson(doc, 'ytInitialData');
+    return data?.currentVideoEndpoint?.watchEndpoint?.videoId === videoId ? data : null;
+}
+
+// The player bar's chapters (player response, then the page's initial data)
+// win over timestamps typed into the description.
+function findChapters(playerResponse, description, videoId) {
+    const fromPlayer = readPlayerChapters(playerResponse);
+    if (fromPlayer.length) return fromPlayer;
+    const fromInitialData = readPlayerChapters(readCurrentInitialData(document, videoId));
+    if (fromInitialData.length) return fromInitialData;
+    return parseDescriptionChapters(description);
+}
+
 /* ------------------------------------------------------------------ */
-/*  8.  Main entry point                                              */
+/*  6.  Main entry point                                              */
 /* ------------------------------------------------------------------ */
 
-export async function tryExtractYouTubeTranscript() {
-    if (!isYouTubeWatchPage()) {
+/**
+ * `selectTrack(tracks)` picks the caption track (see chooseTrack());
+ * `format` and `exportFormat` are passed on to renderTranscript(). Subtitle
+ * exports come back with the `fileType` to save them as.
+ */
+export async function tryExtractYouTubeTranscript({
+    selectTrack = async (tracks) => chooseTrack(document, tracks),
+    format = 'paragraphs',
+    exportFormat = 'markdown'
+} = {}) {
+    if (!isYouTubeVideoPage()) {
         return { found: false, isYouTube: false, markdown: '', metadata: {} };
     }
 
@@ -370,41 +379,44 @@ export async function tryExtractYouTubeTranscript() {
     /* -------------------------------------------------------------- */
     /*  4. Try to fetch transcript                                    */
     /* -------------------------------------------------------------- */
-    let lines = [];
+    let segments = [];
+    let usedTrack = null;
 
     if (captionTracks && captionTracks.length > 0) {
-        const track = pickBestTrack(captionTracks, 'auto');
+        const track = await selectTrack(captionTracks);
         if (track?.baseUrl) {
             console.log('[PageToMD] Selected track:', track.languageCode, track.kind || 'manual');
 
             // Try XML
             try {
-                lines = await fetchTranscriptXml(track.baseUrl);
-                console.log('[PageToMD] XML fetch lines:', lines.length);
+                segments = await fetchTranscriptXml(track.baseUrl);
+                console.log('[PageToMD] XML fetch lines:', segments.length);
             } catch (err) {
                 console.warn('[PageToMD] XML fetch failed:', err);
             }
 
             // Try JSON3
-            if (lines.length === 0) {
+            if (segments.length === 0) {
                 try {
-                    lines = await fetchTranscriptJson3(track.baseUrl);
-                    console.log('[PageToMD] JSON3 fetch lines:', lines.length);
+                    segments = await fetchTranscriptJson3(track.baseUrl);
+                    console.log('[PageToMD] JSON3 fetch lines:', segments.length);
                 } catch (err) {
                     console.warn('[PageToMD] JSON3 fetch failed:', err);
                 }
             }
+
+            if (segments.length > 0) usedTrack = track;
         }
     }
 
     /* -------------------------------------------------------------- */
     /*  5. LAST RESORT: Scrape visible transcript panel               */
     /* -------------------------------------------------------------- */
-    if (lines.length === 0) {
-        lines = scrapeTranscriptFromDom();
+    if (segments.length === 0) {
+        segments = scrapeTranscriptFromDom();
     }
 
-    if (!lines || lines.length === 0) {
+    if (!segments || segments.length === 0) {
         console.log('[PageToMD] No transcript available for this YouTube video');
         return { found: false, isYouTube: true, markdown: '', metadata: {} };
     }
@@ -418,15 +430,52 @@ export async function tryExtractYouTubeTranscript() {
               title: document.title || 'Untitled',
               author: '',
               source: 'youtube.com',
-              url: window.location.href,
+              url: pageUrl(),
               domain: 'youtube.com',
               description: '',
               publishedDate: '',
               tags: []
           };
 
-    const body = lines.join('\n\n');
-    const markdown = `# ${metadata.title}\n\n${body}`;
+    // The panel scrape does not say which track it shows.
+    if (usedTrack) {
+        const { language, kind: trackKind } = describeTrack(usedTrack);
+        metadata.extra = { transcript_language: language, transcript_kind: trackKind };
+    }
+
+    metadata.wordCount = countWords(segments);
+
+    const description = exportFormat === 'markdown' ? readFullDescription(playerResponse, videoId) : '';
+    const rendered = renderTranscript(segments, {
+        exportFormat,
+        language: usedTrack?.languageCode,
+        format,
+        title: metadata.title,
+        description,
+        chapters: findChapters(playerResponse, description, videoId),
+        linkTimestamp: (seconds) => youtubeTimestampUrl(videoId, seconds)
+    });
+    if (rendered.error) {
+        return { found: false, isYouTube: true, error: rendered.error };
+    }
 
-    return { found: true, isYouTube: true, markdown, metadata };
+    return { found: true, isYouTube: true, markdown: rendered.markdown, metadata, fileType: rendered.fileType };
 }
+
+export const youtubeSiteExtractor = {
+    name: 'youtube',
+    priority: 30,
+    matches: (doc) => isYouTubeVideoPage(doc),
+    extract: async (doc, context) => {
+        const settings = transcriptSettings(context?.settings);
+        const yt = await tryExtractYouTubeTranscript({
+            selectTrack: (tracks) => chooseTrack(doc, tracks, { ...settings, interactive: !!context?.interactive }),
+            format: settings.format,
+            exportFormat: settings.exportFormat
+        });
+        if (!yt.found) {
+            return { error: yt.error ?? 'No transcript available for this YouTube video.' };
+        }
+        return { markdown: yt.markdown, metadataOverrides: yt.metadata, fileType: yt.fileType ?? null };
+    }
+};
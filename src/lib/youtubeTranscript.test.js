@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { Window } from 'happy-dom';
+import {
+    isYouTubeVideoPage,
+    parseYouTubeVideoId,
+    readCurrentInitialData,
+    readCurrentPlayerResponse,
+    youtubeTimestampUrl
+} from './youtubeTranscript.js';
+
+describe('parseYouTubeVideoId', () => {
+    it('reads watch, Shorts, embed, live and short links', () => {
+        expect(parseYouTubeVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s')).toBe('dQw4w9WgXcQ');
+        expect(parseYouTubeVideoId('https://m.youtube.com/watch?v=dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+        expect(parseYouTubeVideoId('https://www.youtube.com/shorts/aBcD3fGh1jK')).toBe('aBcD3fGh1jK');
+        expect(parseYouTubeVideoId('https://www.youtube.com/embed/dQw4w9WgXcQ?start=10')).toBe('dQw4w9WgXcQ');
+        expect(parseYouTubeVideoId('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+        expect(parseYouTubeVideoId('https://www.youtube.com/live/jfKfPfyJRdk')).toBe('jfKfPfyJRdk');
+        expect(parseYouTubeVideoId('https://youtu.be/dQw4w9WgXcQ?si=abc')).toBe('dQw4w9WgXcQ');
+    });
+
+    it('returns an empty string for other pages', () => {
+        expect(parseYouTubeVideoId('https://www.youtube.com/')).toBe('');
+        expect(parseYouTubeVideoId('https://www.youtube.com/@channel/videos')).toBe('');
+        expect(parseYouTubeVideoId('https://example.com/watch?v=dQw4w9WgXcQ')).toBe('');
+        expect(parseYouTubeVideoId('not a url')).toBe('');
+    });
+});
+
+describe('isYouTubeVideoPage', () => {
+    it('checks the document location', () => {
+        const window = new Window();
+        window.location.href = 'https://www.youtube.com/shorts/aBcD3fGh1jK';
+        expect(isYouTubeVideoPage(window.document)).toBe(true);
+        window.location.href = 'https://www.youtube.com/feed/subscriptions';
+        expect(isYouTubeVideoPage(window.document)).toBe(false);
+    });
+});
+
+describe('youtubeTimestampUrl', () => {
+    it('links the watch page at whole seconds', () => {
+        expect(youtubeTimestampUrl('dQw4w9WgXcQ', 75.9)).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=75s');
+    });
+});
+
+describe('inline page data', () => {
+    it('ignores the inline data of the video the tab first loaded', () => {
+        const { document } = new Window();
+        document.body.innerHTML =
+            '<script>var ytInitialData = {"currentVideoEndpoint":{"watchEndpoint":{"videoId":"aaaaaaaaaaa"}},"chapters":[]};</script>';
+
+        expect(readCurrentInitialData(document, 'aaaaaaaaaaa')).toMatchObject({ chapters: [] });
+        expect(readCurrentInitialData(document, 'bbbbbbbbbbb')).toBeNull();
+    });
+
+    it('does the same for the inline player response', () => {
+        const { document } = new Window();
+        document.body.innerHTML =
+            '<script>var ytInitialPlayerResponse = {"videoDetails":{"videoId":"aaaaaaaaaaa","shortDescription":"First video"}};</script>';
+
+        expect(readCurrentPlayerResponse(document, 'aaaaaaaaaaa')?.videoDetails.shortDescription).toBe('First video');
+        expect(readCurrentPlayerResponse(document, 'bbbbbbbbbbb')).toBeNull();
+    });
+});
@@ -1,17 +1,117 @@
 import browser from 'webextension-polyfill';
+import { renderFilename } from './lib/filenameTemplate';
+import {
+    BUILT_IN_PROFILES,
+    FRONTMATTER_FIELDS,
+    formatKeyValueLines,
+    normalizeProfile,
+    parseKeyValueLines,
+    resolveProfileSettings
+} from './lib/profiles';
+import { ASSET_MODES, OUTPUT_TARGETS, readStoredSetting, SETTINGS_DEFAULTS, storageKeysFor, TOOLBAR_ACTIONS } from './lib/settings';
 
-const STORAGE_KEY = 'defaultStripLinks';
+const LEGACY_STRIP_LINKS_KEY = 'defaultStripLinks';
+const PROFILES_KEY = 'profiles';
+const DEFAULT_PROFILE_KEY = 'defaultProfile';
+const SHIFT_PROFILE_KEY = 'shiftProfile';
 const DEBUG_KEY = 'debugLogging';
+const OUTPUT_KEY = 'outputTarget';
+const FILENAME_KEY = 'filenameTemplate';
+const TOOLBAR_ACTION_KEY = 'toolbarAction';
+const ASSET_MODE_KEY = 'assetMode';
+const INLINE_LIMIT_KEYS = ['inlineImageMaxKb', 'inlineTotalMaxKb'];
+// Per-site and conversion options; each has an input with the same id
+// (checkbox, number or select).
+const SITE_SETTING_KEYS = [
+    'mathDelimiters',
+    'redditUseJsonApi',
+    'redditMaxDepth',
+    'redditMinScore',
+    'redditTopLevelLimit',
+    'redditOpOnly',
+    'stackExchangeTopAnswers',
+    'transcriptLanguages',
+    'transcriptTrackKind',
+    'transcriptAskTrack',
+    'transcriptFormat',
+    'transcriptExportFormat'
+];
+const ALL_SITES = { origins: ['<all_urls>'] };
+
+const PREVIEW_METADATA = {
+    title: 'Understanding Readability in Firefox',
+    domain: 'developer.mozilla.org',
+    author: 'Jane Doe',
+    source: 'MDN Web Docs'
+};
+
+const profileState = {
+    profiles: [],
+    defaultProfileId: '',
+    shiftProfileId: '',
+    editingId: ''
+};
 
 async function loadSettings() {
-    const result = await browser.storage.local.get([STORAGE_KEY, DEBUG_KEY]);
-    const stripLinks = result[STORAGE_KEY] ?? false;
+    const result = await browser.storage.local.get([
+        LEGACY_STRIP_LINKS_KEY,
+        PROFILES_KEY,
+        DEFAULT_PROFILE_KEY,
+        SHIFT_PROFILE_KEY,
+        DEBUG_KEY,
+        OUTPUT_KEY,
+        FILENAME_KEY,
+        TOOLBAR_ACTION_KEY,
+        ASSET_MODE_KEY,
+        ...INLINE_LIMIT_KEYS,
+        ...storageKeysFor(SITE_SETTING_KEYS)
+    ]);
     const debugLogging = result[DEBUG_KEY] ?? false;
+    const outputTarget = result[OUTPUT_KEY] ?? SETTINGS_DEFAULTS.outputTarget;
+
+    const { profiles, defaultProfile, shiftProfile } = resolveProfileSettings(result);
+    profileState.profiles = profiles;
+    profileState.defaultProfileId = defaultProfile.id;
+    profileState.shiftProfileId = shiftProfile.id;
+    profileState.editingId = defaultProfile.id;
+    renderProfiles();
+
+    const toolbarSelect = document.getElementById('toolbarAction');
+    if (toolbarSelect) {
+        toolbarSelect.value = result[TOOLBAR_ACTION_KEY] ?? SETTINGS_DEFAULTS.toolbarAction;
+    }
+
+    const outputRadio = document.querySelector(`input[name="outputTarget"][value="${outputTarget}"]`);
+    if (outputRadio) {
+        outputRadio.checked = true;
+    }
+
+    const assetMode = result[ASSET_MODE_KEY] ?? SETTINGS_DEFAULTS.assetMode;
+    const assetRadio = document.querySelector(`input[name="assetMode"][value="${assetMode}"]`);
+    if (assetRadio) {
+        assetRadio.checked = true;
+    }
+
+    for (const key of INLINE_LIMIT_KEYS) {
+        const input = document.getElementById(key);
+        if (input) input.value = result[key] ?? SETTINGS_DEFAULTS[key];
+    }
 
-    const value = stripLinks ? 'withoutLinks' : 'withLinks';
-    const radio = document.querySelector(`input[name="defaultMode"][value="${value}"]`);
-    if (radio) {
-        radio.checked = true;
+    for (const key of SITE_SETTING_KEYS) {
+        const input = document.getElementById(key);
+        if (!input) continue;
+        const value = readStoredSetting(result, key);
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.value = value ?? '';
+        }
+    }
+
+    const filenameInput = document.getElementById('filenameTemplate');
+    if (filenameInput) {
+        filenameInput.value = result[FILENAME_KEY] ?? SETTINGS_DEFAULTS.filenameTemplate;
+        updateFilenamePreview();
     }
 
     const debugCheckbox = document.getElementById('debugLogging');
@@ -20,12 +120,212 @@ async function loadSettings() {
     }
 }
 
-async function saveMode() {
-    const selected = document.querySelector('input[name="defaultMode"]:checked');
-    if (!selected) return;
+function fillProfileSelect(select, selectedId) {
+    if (!select) return;
+    select.replaceChildren(
+        ...profileState.profiles.map((profile) => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === selectedId;
+            return option;
+        })
+    );
+}
+
+function getEditingProfile() {
+    return profileState.profiles.find((profile) => profile.id === profileState.editingId) ?? profileState.profiles[0];
+}
+
+function renderProfiles() {
+    fillProfileSelect(document.getElementById('defaultProfile'), profileState.defaultProfileId);
+    fillProfileSelect(document.getElementById('shiftProfile'), profileState.shiftProfileId);
+    fillProfileSelect(document.getElementById('editProfile'), profileState.editingId);
+    renderProfileEditor();
+}
+
+function renderProfileEditor() {
+    const profile = getEditingProfile();
+    if (!profile) return;
+
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('profileCustomFields').value = formatKeyValueLines(profile.customFields);
+    document.getElementById('profileRenameKeys').value = formatKeyValueLines(profile.renameKeys);
+    document.getElementById('profileStripLinks').checked = profile.stripLinks;
+    document.getElementById('profileStripImages').checked = profile.stripImages;
+    document.getElementById('profileInlineImages').checked = profile.inlineImages;
+    document.getElementById('profileFrontmatterFormat').value = profile.frontmatterFormat;
+    document.getElementById('profileCalloutStyle').value = profile.calloutStyle;
+
+    const fieldList = document.getElementById('profileFields');
+    fieldList.replaceChildren(
+        ...FRONTMATTER_FIELDS.map((field) => {
+            const label = document.createElement('label');
+            label.className = 'field-check';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = field.key;
+            checkbox.checked = profile.fields.includes(field.key);
+            checkbox.addEventListener('change', () => void updateEditingProfile());
+            const text = document.createElement('span');
+            text.textContent = field.label;
+            label.append(checkbox, text);
+            return label;
+        })
+    );
+
+    document.getElementById('deleteProfile').disabled = profileState.profiles.length <= 1;
+}
+
+async function saveProfiles() {
+    await browser.storage.local.set({
+        [PROFILES_KEY]: profileState.profiles,
+        [DEFAULT_PROFILE_KEY]: profileState.defaultProfileId,
+        [SHIFT_PROFILE_KEY]: profileState.shiftProfileId
+    });
+    showStatus('Saved.');
+}
+
+async function updateEditingProfile() {
+    const profile = getEditingProfile();
+    if (!profile) return;
+
+    const fields = Array.from(document.querySelectorAll('#profileFields input:checked')).map((input) => input.value);
+    const updated = normalizeProfile({
+        ...profile,
+        name: document.getElementById('profileName').value.trim() || profile.name,
+        fields,
+        customFields: parseKeyValueLines(document.getElementById('profileCustomFields').value),
+        renameKeys: parseKeyValueLines(document.getElementById('profileRenameKeys').value),
+        stripLinks: document.getElementById('profileStripLinks').checked,
+        stripImages: document.getElementById('profileStripImages').checked,
+        inlineImages: document.getElementById('profileInlineImages').checked,
+        frontmatterFormat: document.getElementById('profileFrontmatterFormat').value,
+        calloutStyle: document.getElementById('profileCalloutStyle').value
+    });
+
+    profileState.profiles = profileState.profiles.map((p) => (p.id === updated.id ? updated : p));
+    fillProfileSelect(document.getElementById('defaultProfile'), profileState.defaultProfileId);
+    fillProfileSelect(document.getElementById('shiftProfile'), profileState.shiftProfileId);
+    fillProfileSelect(document.getElementById('editProfile'), profileState.editingId);
+    await saveProfiles();
+}
+
+async function addProfile() {
+    const base = getEditingProfile() ?? normalizeProfile(BUILT_IN_PROFILES[0]);
+    let index = profileState.profiles.length + 1;
+    while (profileState.profiles.some((profile) => profile.id === `profile-${index}`)) {
+        index += 1;
+    }
+
+    const profile = normalizeProfile({ ...base, id: `profile-${index}`, name: `${base.name} copy` });
+    profileState.profiles = [...profileState.profiles, profile];
+    profileState.editingId = profile.id;
+    renderProfiles();
+    await saveProfiles();
+}
+
+async function deleteProfile() {
+    if (profileState.profiles.length <= 1) return;
+
+    const removedId = profileState.editingId;
+    profileState.profiles = profileState.profiles.filter((profile) => profile.id !== removedId);
+    const fallbackId = profileState.profiles[0].id;
+    if (profileState.defaultProfileId === removedId) profileState.defaultProfileId = fallbackId;
+    if (profileState.shiftProfileId === removedId) profileState.shiftProfileId = fallbackId;
+    profileState.editingId = fallbackId;
+    renderProfiles();
+    await saveProfiles();
+}
+
+async function resetProfiles() {
+    profileState.profiles = BUILT_IN_PROFILES.map(normalizeProfile);
+    profileState.defaultProfileId = 'obsidian';
+    profileState.shiftProfileId = 'llm';
+    profileState.editingId = 'obsidian';
+    renderProfiles();
+    await saveProfiles();
+}
+
+async function saveToolbarAction() {
+    const toolbarSelect = document.getElementById('toolbarAction');
+    if (!toolbarSelect || !TOOLBAR_ACTIONS.includes(toolbarSelect.value)) return;
 
-    const stripLinks = selected.value === 'withoutLinks';
-    await browser.storage.local.set({ [STORAGE_KEY]: stripLinks });
+    await browser.storage.local.set({ [TOOLBAR_ACTION_KEY]: toolbarSelect.value });
+    showStatus('Saved.');
+}
+
+async function saveOutputTarget() {
+    const selected = document.querySelector('input[name="outputTarget"]:checked');
+    if (!selected || !OUTPUT_TARGETS.includes(selected.value)) return;
+
+    await browser.storage.local.set({ [OUTPUT_KEY]: selected.value });
+    showStatus('Saved.');
+}
+
+async function saveAssetMode() {
+    const selected = document.querySelector('input[name="assetMode"]:checked');
+    if (!selected || !ASSET_MODES.includes(selected.value)) return;
+
+    // permissions.request() must run inside the click, before anything is awaited.
+    const granted = selected.value === 'off' || (await browser.permissions.request(ALL_SITES));
+    if (!granted) {
+        const previous = (await browser.storage.local.get(ASSET_MODE_KEY))[ASSET_MODE_KEY] ?? SETTINGS_DEFAULTS.assetMode;
+        document.querySelector(`input[name="assetMode"][value="${previous}"]`).checked = true;
+        showStatus('Permission denied; image bundling stays off.');
+        return;
+    }
+
+    await browser.storage.local.set({ [ASSET_MODE_KEY]: selected.value });
+    showStatus('Saved.');
+}
+
+async function saveInlineLimit(key) {
+    const input = document.getElementById(key);
+    if (!input) return;
+
+    const value = Math.round(Number(input.value));
+    input.value = Number.isFinite(value) && value >= 1 ? value : SETTINGS_DEFAULTS[key];
+    await browser.storage.local.set({ [key]: Number(input.value) });
+    showStatus('Saved.');
+}
+
+function updateFilenamePreview() {
+    const filenameInput = document.getElementById('filenameTemplate');
+    const preview = document.getElementById('filenamePreview');
+    if (!filenameInput || !preview) return;
+
+    preview.textContent = renderFilename(filenameInput.value, PREVIEW_METADATA);
+}
+
+async function saveFilenameTemplate() {
+    const filenameInput = document.getElementById('filenameTemplate');
+    if (!filenameInput) return;
+
+    const template = filenameInput.value.trim() || SETTINGS_DEFAULTS.filenameTemplate;
+    filenameInput.value = template;
+    updateFilenamePreview();
+    await browser.storage.local.set({ [FILENAME_KEY]: template });
+    showStatus('Saved.');
+}
+
+async function saveSiteSetting(key) {
+    const input = document.getElementById(key);
+    if (!input) return;
+
+    let value;
+    if (input.type === 'checkbox') {
+        value = input.checked;
+    } else if (input.type === 'number') {
+        const number = Math.round(Number(input.value));
+        const inRange = input.min === '' || number >= Number(input.min);
+        value = input.value !== '' && Number.isFinite(number) && inRange ? number : SETTINGS_DEFAULTS[key];
+        input.value = value ?? '';
+    } else {
+        value = input.value;
+    }
+
+    await browser.storage.local.set({ [key]: value });
     showStatus('Saved.');
 }
 
@@ -50,10 +350,61 @@ function showStatus(message) {
 document.addEventListener('DOMContentLoaded', () => {
     void loadSettings();
 
-    document.querySelectorAll('input[name="defaultMode"]').forEach((radio) => {
-        radio.addEventListener('change', () => void saveMode());
+    document.getElementById('toolbarAction')?.addEventListener('change', () => void saveToolbarAction());
+    document.getElementById('defaultProfile')?.addEventListener('change', (event) => {
+        profileState.defaultProfileId = event.target.value;
+        void saveProfiles();
+    });
+    document.getElementById('shiftProfile')?.addEventListener('change', (event) => {
+        profileState.shiftProfileId = event.target.value;
+        void saveProfiles();
+    });
+    document.getElementById('editProfile')?.addEventListener('change', (event) => {
+        profileState.editingId = event.target.value;
+        renderProfileEditor();
+    });
+    for (const id of [
+        'profileName',
+        'profileCustomFields',
+        'profileRenameKeys',
+        'profileFrontmatterFormat',
+        'profileCalloutStyle',
+        'profileStripLinks',
+        'profileStripImages',
+        'profileInlineImages'
+    ]) {
+        document.getElementById(id)?.addEventListener('change', () => void updateEditingProfile());
+    }
+    document.getElementById('profileInlineImages')?.addEventListener('change', (event) => {
+        // Same-site images inline without it; other hosts need the optional permission.
+        if (event.target.checked) void browser.permissions.request(ALL_SITES).catch(() => false);
+    });
+    document.getElementById('addProfile')?.addEventListener('click', () => void addProfile());
+    document.getElementById('deleteProfile')?.addEventListener('click', () => void deleteProfile());
+    document.getElementById('resetProfiles')?.addEventListener('click', () => void resetProfiles());
+
+    document.querySelectorAll('input[name="outputTarget"]').forEach((radio) => {
+        radio.addEventListener('change', () => void saveOutputTarget());
+    });
+
+    for (const key of INLINE_LIMIT_KEYS) {
+        document.getElementById(key)?.addEventListener('change', () => void saveInlineLimit(key));
+    }
+
+    document.querySelectorAll('input[name="assetMode"]').forEach((radio) => {
+        radio.addEventListener('change', () => void saveAssetMode());
     });
 
+    for (const key of SITE_SETTING_KEYS) {
+        document.getElementById(key)?.addEventListener('change', () => void saveSiteSetting(key));
+    }
+
+    const filenameInput = document.getElementById('filenameTemplate');
+    if (filenameInput) {
+        filenameInput.addEventListener('input', updateFilenamePreview);
+        filenameInput.addEventListener('change', () => void saveFilenameTemplate());
+    }
+
     const debugCheckbox = document.getElementById('debugLogging');
     if (debugCheckbox) {
         debugCheckbox.addEventListener('change', () => void saveDebug());
@@ -0,0 +1,245 @@
+import browser from 'webextension-polyfill';
+import { writeClipboardText } from './lib/clipboard';
+import { buildFrontmatter, buildMarkdownDocument, buildTitleBlock } from './lib/markdownDocument';
+import { renderMarkdownPreview } from './lib/markdownPreview';
+import { findProfile, resolveProfileSettings } from './lib/profiles';
+import { loadSettings } from './lib/settings';
+import { estimateTokens, formatCopySummary } from './lib/textStats';
+
+const state = {
+    tabId: null,
+    profiles: [],
+    profile: null,
+    markdown: '',
+    metadata: null,
+    // Set for non-Markdown output (subtitles), which is shown and saved as-is.
+    fileType: null,
+    // Bumped on every conversion so a slow, superseded response is ignored.
+    runId: 0,
+    edited: false
+};
+
+const ALL_SITES = { origins: ['<all_urls>'] };
+
+const $ = (id) => document.getElementById(id);
+
+function setStatus(message, { error = false } = {}) {
+    const status = $('status');
+    status.textContent = message ?? '';
+    status.classList.toggle('error', error);
+}
+
+function setBusy(busy) {
+    for (const id of ['save', 'copy']) {
+        $(id).disabled = busy || state.metadata == null;
+    }
+}
+
+function parseTags(text) {
+    return text
+        .split(',')
+        .map((tag) => tag.trim())
+        .filter(Boolean);
+}
+
+function currentMetadata() {
+    const title = $('title').value.trim();
+    return {
+        ...state.metadata,
+        title: title || state.metadata?.title,
+        tags: parseTags($('tags').value)
+    };
+}
+
+function composeDocument() {
+    return buildMarkdownDocument(
+        { markdown: state.markdown, metadata: currentMetadata(), fileType: state.fileType },
+        state.profile
+    );
+}
+
+function updateStats() {
+    const content = composeDocument();
+    $('stats').textContent =
+        `${content.length.toLocaleString('en-US')} characters, ~${estimateTokens(content).toLocaleString('en-US')} tokens`;
+}
+
+function renderPreview() {
+    const metadata = currentMetadata();
+    const pane = $('renderedPane');
+    if (state.fileType) {
+        const text = document.createElement('pre');
+        text.textContent = state.markdown;
+        pane.replaceChildren(text);
+        return;
+    }
+    const frontmatter = document.createElement('pre');
+    frontmatter.className = 'frontmatter';
+    frontmatter.textContent = buildFrontmatter(metadata, state.profile).trimEnd();
+    const body = renderMarkdownPreview(buildTitleBlock(state.markdown, metadata) + state.markdown, document);
+    pane.replaceChildren(...(frontmatter.textContent ? [frontmatter] : []), body);
+}
+
+function refresh() {
+    if (!$('renderedPane').hidden) renderPreview();
+    updateStats();
+}
+
+function showTab(raw) {
+    $('showRendered').setAttribute('aria-selected', String(!raw));
+    $('showRaw').setAttribute('aria-selected', String(raw));
+    $('renderedPane').hidden = raw;
+    $('rawPane').hidden = !raw;
+    if (!raw) renderPreview();
+}
+
+async function convert() {
+    const runId = ++state.runId;
+    const hadEdits = state.edited;
+    setBusy(true);
+    setStatus('Converting…');
+
+    const response = await browser.tabs
+        .sendMessage(state.tabId, {
+            action: 'convert_preview',
+            options: {
+                scope: 'auto',
+                profileId: state.profile.id,
+                stripLinks: $('stripLinks').checked,
+                stripImages: $('stripImages').checked,
+                inlineImages: $('inlineImages').checked,
+                calloutStyle: state.profile.calloutStyle
+            }
+        })
+        .catch((err) => {
+            console.error('Could not reach the content script.', err);
+            return { error: 'This page cannot be converted. Try reloading it.' };
+        });
+    if (runId !== state.runId) return;
+
+    if (!response || response.error) {
+        setStatus(response?.error ?? 'Conversion failed.', { error: true });
+        setBusy(false);
+        return;
+    }
+
+    // Keep the user's title and tags across re-runs; the body is replaced.
+    if (state.metadata == null) {
+        $('title').value = response.metadata?.title ?? '';
+        $('tags').value = (response.metadata?.tags ?? []).join(', ');
+    }
+    state.metadata = response.metadata ?? {};
+    state.markdown = response.markdown ?? '';
+    state.fileType = response.fileType ?? null;
+    state.edited = false;
+    $('rawPane').value = state.markdown;
+
+    refresh();
+    setBusy(false);
+    setStatus(hadEdits ? 'Converted again; earlier Markdown edits were replaced.' : '');
+}
+
+async function save() {
+    setBusy(true);
+    const response = await browser.runtime
+        .sendMessage({
+            type: 'SAVE_EDITED_MARKDOWN',
+            data: {
+                markdown: state.markdown,
+                metadata: currentMetadata(),
+                fileType: state.fileType,
+                options: { profileId: state.profile.id }
+            }
+        })
+        .catch((error) => ({ success: false, error: error?.message ?? String(error) }));
+
+    if (response?.success) {
+        window.close();
+        return;
+    }
+    setStatus(`Save failed: ${response?.error ?? 'unknown error'}`, { error: true });
+    setBusy(false);
+}
+
+async function copy() {
+    const content = composeDocument();
+    try {
+        await writeClipboardText(content);
+        setStatus(formatCopySummary(content));
+    } catch (error) {
+        setStatus(`Copy failed: ${error?.message ?? String(error)}`, { error: true });
+    }
+}
+
+function selectProfile(id) {
+    state.profile = findProfile(state.profiles, id);
+    $('stripLinks').checked = state.profile.stripLinks;
+    $('stripImages').checked = state.profile.stripImages;
+    $('inlineImages').checked = state.profile.inlineImages;
+}
+
+async function init() {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    state.tabId = tab?.id ?? null;
+
+    const stored = await loadSettings(browser.storage.local, ['profiles', 'defaultProfile', 'shiftProfile', 'defaultStripLinks']);
+    const { profiles, defaultProfile } = resolveProfileSettings(stored);
+    state.profiles = profiles;
+
+    $('profile').replaceChildren(
+        ...profiles.map((profile) => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === defaultProfile.id;
+            return option;
+        })
+    );
+    selectProfile(defaultProfile.id);
+
+    if (state.tabId == null) {
+        setStatus('No active tab to convert.', { error: true });
+        setBusy(false);
+        return;
+    }
+    await convert();
+}
+
+async function toggleInlineImages(checked) {
+    // Same-site images inline without it; other hosts need the optional
+    // permission. permissions.request() must run inside the click, before
+    // anything is awaited.
+    const granted = !checked || (await browser.permissions.request(ALL_SITES).catch(() => false));
+    await convert();
+    if (!granted) setStatus('Permission denied; only images from this site are inlined.');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    $('profile').addEventListener('change', (event) => {
+        selectProfile(event.target.value);
+        void convert();
+    });
+    $('stripLinks').addEventListener('change', () => void convert());
+    $('stripImages').addEventListener('change', () => void convert());
+    $('inlineImages').addEventListener('change', (event) => void toggleInlineImages(event.target.checked));
+    $('title').addEventListener('input', refresh);
+    $('tags').addEventListener('input', refresh);
+    $('rawPane').addEventListener('input', (event) => {
+        state.markdown = event.target.value;
+        state.edited = true;
+        updateStats();
+    });
+
+    $('showRendered').addEventListener('click', () => showTab(false));
+    $('showRaw').addEventListener('click', () => showTab(true));
+
+    $('previewForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        void save();
+    });
+    $('copy').addEventListener('click', () => void copy());
+    $('cancel').addEventListener('click', () => window.close());
+
+    setBusy(true);
+    void init();
+});
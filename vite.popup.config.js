@@ -0,0 +1,49 @@
+import { defineConfig } from 'vite';
+import path from 'path';
+import fs from 'fs';
+
+export default defineConfig({
+    base: './',
+    build: {
+        outDir: 'dist',
+        emptyOutDir: false,
+        sourcemap: true,
+        rollupOptions: {
+            input: path.resolve(__dirname, 'src/popup.html'),
+            output: {
+                entryFileNames: 'popup.js',
+                assetFileNames: (assetInfo) => {
+                    if (assetInfo.names?.some((n) => n.endsWith('.css'))) {
+                        return 'popup.css';
+                    }
+                    return '[name][extname]';
+                }
+            }
+        }
+    },
+    plugins: [
+        {
+            name: 'flatten-popup-html',
+            writeBundle(_popup, bundle) {
+                const srcKey = Object.keys(bundle).find(
+                    (k) => k.includes('/popup.html') || k.includes('\\popup.html')
+                );
+                if (srcKey && srcKey !== 'popup.html') {
+                    const srcPath = path.resolve(__dirname, 'dist', srcKey);
+                    const destPath = path.resolve(__dirname, 'dist', 'popup.html');
+                    if (fs.existsSync(srcPath)) {
+                        let html = fs.readFileSync(srcPath, 'utf-8');
+                        html = html.replace(/src="\.\.\//g, 'src="./');
+                        html = html.replace(/href="\.\.\//g, 'href="./');
+                        fs.writeFileSync(destPath, html, 'utf-8');
+                        fs.unlinkSync(srcPath);
+                        const dir = path.dirname(srcPath);
+                        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                            fs.rmdirSync(dir);
+                        }
+                    }
+                }
+            }
+        }
+    ]
+});